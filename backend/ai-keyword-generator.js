@@ -9,7 +9,7 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs').promises;
 const path = require('path');
 
-const CACHE_DIR = path.join(__dirname, 'cache');
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
 const KEYWORD_CACHE_FILE = path.join(CACHE_DIR, 'keyword-mappings.json');
 
 // Initialize Gemini
@@ -4,12 +4,11 @@
  * Used for pre-filtering products by category before Vision API
  */
 
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { cjGet } = require('./cj-client');
 
-const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
-const CACHE_DIR = path.join(__dirname, 'cache');
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
 const CACHE_FILE = path.join(CACHE_DIR, 'cj-categories.json');
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 
@@ -21,20 +20,14 @@ const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 async function fetchCategoriesFromAPI(cjToken) {
     console.log('[Category Service] Fetching categories from CJ API...');
 
-    const response = await axios.get(`${CJ_API_BASE}/product/getCategory`, {
-        headers: {
-            'CJ-Access-Token': cjToken,
-            'Content-Type': 'application/json'
-        },
-        timeout: 30000
-    });
+    const body = await cjGet('/product/getCategory', undefined, cjToken, { caller: 'categories', timeout: 30000 });
 
-    if (response.data.code !== 200) {
-        throw new Error(`CJ API Error: ${response.data.message}`);
+    if (body.code !== 200) {
+        throw new Error(`CJ API Error: ${body.message}`);
     }
 
-    console.log(`[Category Service] Retrieved ${response.data.data.length} top-level categories`);
-    return response.data.data;
+    console.log(`[Category Service] Retrieved ${body.data.length} top-level categories`);
+    return body.data;
 }
 
 /**
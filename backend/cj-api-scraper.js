@@ -1,10 +1,13 @@
-const axios = require('axios');
-
-const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
+const { getCategoryIndex } = require('./category-service');
+const { cjGet, CJ_API_BASE } = require('./cj-client');
 
 // CJ API has a hard limit of 6000 max offset
 const MAX_OFFSET = 6000;
 
+// Exhaustive mode: fallback partition dimensions once category splits run out
+const INVENTORY_RANGES = [[0, 9], [10, 99], [100, 999], [1000, 9999], [10000, null]];
+const PARTITION_COUNTRIES = ['CN', 'US', 'GB', 'DE', 'FR', 'IT', 'ES', 'CZ', 'PL', 'AU', 'TH', 'BR', 'MX'];
+
 // Track active scrape sessions for cancellation
 const activeScrapes = new Map();
 
@@ -17,11 +20,11 @@ function generateScrapeId() {
 
 /**
  * Cancel an active scrape session
+ * The session is left in place so the page loop sees the flag; its owner removes it.
  */
 function cancelScrape(scrapeId) {
   if (activeScrapes.has(scrapeId)) {
     activeScrapes.get(scrapeId).cancelled = true;
-    activeScrapes.delete(scrapeId);
     console.log(`[CJ API] Scrape ${scrapeId} cancelled`);
     return true;
   }
@@ -36,6 +39,55 @@ function isCancelled(scrapeId) {
   return session ? session.cancelled : false;
 }
 
+/**
+ * Normalize a CJ product to the shape the scrape pipeline uses
+ * listV2 uses id, nameEn, sku, bigImage; legacy list and product/query use
+ * pid, productNameEn, productSku, productImage
+ * @param {Object} p - Raw CJ product
+ * @returns {Object} Normalized product
+ */
+function normalizeProduct(p) {
+  const productName = p.nameEn || p.productNameEn || '';
+  const slug = productName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const productId = p.id || p.pid || p.productId || '';
+  const image = firstImage(p.bigImage || p.productImage);
+
+  return {
+    pid: productId,
+    title: productName,
+    productNameEn: productName,
+    productSku: p.sku || p.productSku || '',
+    sku: p.sku || p.productSku || '',
+    productImage: image,
+    image: image,
+    sellPrice: parseFloat(p.sellPrice) || 0,
+    price: `$${parseFloat(p.sellPrice) || 0}`,
+    categoryId: p.categoryId || '',
+    categoryName: p.threeCategoryName || p.categoryName || '',
+    warehouseInventoryNum: p.warehouseInventoryNum || 0,
+    verifiedWarehouse: p.verifiedWarehouse,
+    listedNum: p.listedNum || 0,
+    lists: p.listedNum || 0,
+    url: `https://cjdropshipping.com/product/${slug}-p-${productId}.html`,
+    variants: p.variants || []
+  };
+}
+
+// product/query returns productImage as a JSON array string
+function firstImage(value) {
+  if (typeof value === 'string' && value.startsWith('[')) {
+    try {
+      return JSON.parse(value)[0] || '';
+    } catch (e) {
+      return '';
+    }
+  }
+  return Array.isArray(value) ? value[0] || '' : value || '';
+}
+
 /**
  * Search CJ products using the V2 API (Elasticsearch-based)
  * 
@@ -64,6 +116,8 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
     orderBy = 0,                 // 0=best match, 1=listing count, 2=price
     sort = 'desc',
     scrapeId = null,             // For cancellation support
+    onProgress = null,           // Called after each page: { page, totalPages, totalRecords, fetched }
+    parentScrapeId = null,       // Exhaustive mode: cancelling the parent stops this partition
     _useLegacy = false           // Internal flag to force legacy endpoint
   } = options;
 
@@ -92,7 +146,7 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
   try {
     do {
       // Check for cancellation
-      if (fetchAllPages && isCancelled(sessionId)) {
+      if (fetchAllPages && (isCancelled(sessionId) || isCancelled(parentScrapeId))) {
         console.log(`[CJ API] ⛔ Scrape cancelled at page ${currentPage}`);
         break;
       }
@@ -169,27 +223,22 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
 
       console.log('[CJ API] Request URL:', url.substring(0, 180) + '...');
 
-      const response = await axios.get(url, {
-        headers: {
-          'CJ-Access-Token': cjToken,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+      // Paced by the shared CJ client limiter (no per-page delay needed)
+      const body = await cjGet(endpoint, params, cjToken, { caller: 'scrape', timeout: 30000 });
 
       // Log response
       console.log('[CJ API] Response:', {
-        code: response.data.code,
-        message: response.data.message
+        code: body.code,
+        message: body.message
       });
 
       // Check for API errors
-      if (response.data.code !== 200) {
+      if (body.code !== 200) {
         console.error('[CJ API] Error response:', {
-          code: response.data.code,
-          message: response.data.message
+          code: body.code,
+          message: body.message
         });
-        throw new Error(`CJ API Error: ${response.data.message} (code: ${response.data.code})`);
+        throw new Error(`CJ API Error: ${body.message} (code: ${body.code})`);
       }
 
       // ========================================
@@ -200,9 +249,9 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
 
       if (useListV2) {
         // listV2 response: { totalRecords, totalPages, content: [{ productList: [...] }] }
-        totalRecords = response.data.data?.totalRecords || 0;
+        totalRecords = body.data?.totalRecords || 0;
         actualPageSize = Math.min(pageSize, 100);
-        const content = response.data.data?.content || [];
+        const content = body.data?.content || [];
 
         // Products are nested inside content[].productList
         for (const item of content) {
@@ -214,16 +263,16 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
         console.log('[CJ API] listV2 Response:', {
           page: currentPage,
           totalRecords,
-          totalPages: response.data.data?.totalPages || 0,
+          totalPages: body.data?.totalPages || 0,
           contentItems: content.length,
           productsExtracted: products.length
         });
 
       } else {
         // Legacy list response: { total, list: [...], pageNum, pageSize }
-        totalRecords = response.data.data?.total || 0;
-        products = response.data.data?.list || [];
-        actualPageSize = response.data.data?.pageSize || pageSize;
+        totalRecords = body.data?.total || 0;
+        products = body.data?.list || [];
+        actualPageSize = body.data?.pageSize || pageSize;
 
         console.log('[CJ API] list Response:', {
           page: currentPage,
@@ -232,42 +281,8 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
         });
       }
 
-      // Helper function to generate URL slug
-      const generateSlug = (name) => {
-        return (name || '')
-          .toLowerCase()
-          .replace(/[^a-z0-9]+/g, '-')
-          .replace(/^-+|-+$/g, '');
-      };
-
       // Normalize product structure (listV2 uses different field names!)
-      const normalizedProducts = products.map(p => {
-        // listV2 uses: id, nameEn, sku, bigImage
-        // Legacy uses: pid, productNameEn, productSku, productImage
-        const productName = p.nameEn || p.productNameEn || '';
-        const slug = generateSlug(productName);
-        const productId = p.id || p.pid || '';
-
-        return {
-          pid: productId,
-          title: productName,
-          productNameEn: productName,
-          productSku: p.sku || p.productSku || '',
-          sku: p.sku || p.productSku || '',
-          productImage: p.bigImage || p.productImage || '',
-          image: p.bigImage || p.productImage || '',
-          sellPrice: parseFloat(p.sellPrice) || 0,
-          price: `$${parseFloat(p.sellPrice) || 0}`,
-          categoryId: p.categoryId || '',
-          categoryName: p.threeCategoryName || p.categoryName || '',
-          warehouseInventoryNum: p.warehouseInventoryNum || 0,
-          verifiedWarehouse: p.verifiedWarehouse,
-          listedNum: p.listedNum || 0,
-          lists: p.listedNum || 0,
-          url: `https://cjdropshipping.com/product/${slug}-p-${productId}.html`,
-          variants: p.variants || []
-        };
-      });
+      const normalizedProducts = products.map(normalizeProduct);
 
       allProducts.push(...normalizedProducts);
       currentPage++;
@@ -276,6 +291,15 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
       const totalPages = Math.ceil(totalRecords / actualPageSize);
       const maxFetchablePages = Math.floor(MAX_OFFSET / actualPageSize);
 
+      if (onProgress) {
+        onProgress({
+          page: currentPage - 1,
+          totalPages: Math.min(totalPages, maxFetchablePages),
+          totalRecords,
+          fetched: allProducts.length
+        });
+      }
+
       if (!fetchAllPages) {
         break;
       }
@@ -290,9 +314,6 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
         break;
       }
 
-      // Rate limiting delay between pages
-      await new Promise(resolve => setTimeout(resolve, 150));
-
       console.log(`[CJ API] Fetched page ${currentPage - 1}, total so far: ${allProducts.length}`);
 
     } while (fetchAllPages);
@@ -344,6 +365,276 @@ async function searchCJProducts(searchTerm, cjToken, options = {}) {
   }
 }
 
+/**
+ * Ask CJ how many products match a partition (single 1-item page)
+ * @returns {Promise<number>} totalRecords for the partition
+ */
+async function probePartitionTotal(searchTerm, cjToken, options) {
+  const result = await searchCJProducts(searchTerm, cjToken, {
+    ...options,
+    pageNum: 1,
+    pageSize: 1,
+    fetchAllPages: false,
+    onProgress: null
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'CJ API request failed');
+  }
+  return result.totalProducts;
+}
+
+/**
+ * Split a partition one step further along the next available dimension:
+ * level-2 category list -> level-3 children -> warehouse inventory range -> country
+ * @param {Object} partition - Current partition options
+ * @param {Object} context - { lv3ByParent, userInventory, userCountry }
+ * @returns {Array<Object>} Child partitions (empty if no dimension is left)
+ */
+function splitPartition(partition, context) {
+  const halve = (list) => {
+    const mid = Math.ceil(list.length / 2);
+    return [list.slice(0, mid), list.slice(mid)];
+  };
+
+  if (partition.lv2categoryList) {
+    if (partition.lv2categoryList.length > 1) {
+      return halve(partition.lv2categoryList).map(list => ({ ...partition, lv2categoryList: list }));
+    }
+    const children = context.lv3ByParent[partition.lv2categoryList[0]] || [];
+    if (children.length > 0) {
+      const { lv2categoryList, ...rest } = partition;
+      return [{ ...rest, lv3categoryList: children }];
+    }
+  }
+
+  if (partition.lv3categoryList && partition.lv3categoryList.length > 1) {
+    return halve(partition.lv3categoryList).map(list => ({ ...partition, lv3categoryList: list }));
+  }
+
+  if (!context.userInventory && partition.startWarehouseInventory === undefined) {
+    return INVENTORY_RANGES.map(([start, end]) => ({
+      ...partition,
+      startWarehouseInventory: start,
+      endWarehouseInventory: end
+    }));
+  }
+
+  if (!context.userCountry && !partition.countryCode) {
+    return PARTITION_COUNTRIES.map(code => ({ ...partition, countryCode: code }));
+  }
+
+  return [];
+}
+
+/**
+ * Describe a partition for logs and the scrape summary
+ */
+function describePartition(partition) {
+  const parts = [];
+  if (partition.lv2categoryList) parts.push(`lv2[${partition.lv2categoryList.length}]`);
+  if (partition.lv3categoryList) parts.push(`lv3[${partition.lv3categoryList.length}]`);
+  if (partition.startWarehouseInventory !== undefined) {
+    parts.push(`inventory ${partition.startWarehouseInventory}-${partition.endWarehouseInventory ?? '∞'}`);
+  }
+  if (partition.countryCode) parts.push(`country ${partition.countryCode}`);
+  return parts.join(', ') || 'all';
+}
+
+/**
+ * Exhaustive search - breaks past the MAX_OFFSET ceiling by splitting the query
+ * into partitions listV2 accepts (categories, inventory ranges, countries),
+ * recursing until each partition fits under the limit, then merging by pid.
+ *
+ * Accepts the same options as searchCJProducts (fetchAllPages is implied).
+ *
+ * @param {string} searchTerm - Search keyword
+ * @param {string} cjToken - CJ API access token
+ * @param {Object} options - Search options
+ * @returns {Promise<Object>} searchCJProducts result plus { partitions, probes, truncatedPartitions }
+ */
+async function searchCJProductsExhaustive(searchTerm, cjToken, options = {}) {
+  const { scrapeId = null, onProgress = null, categoryId = null, ...baseOptions } = options;
+  const sessionId = scrapeId || generateScrapeId();
+  activeScrapes.set(sessionId, { cancelled: false, startedAt: Date.now() });
+
+  try {
+    const base = { ...baseOptions, categoryId, parentScrapeId: sessionId };
+    const totalRecords = await probePartitionTotal(searchTerm, cjToken, base);
+    let probes = 1;
+
+    if (totalRecords <= MAX_OFFSET) {
+      console.log(`[CJ API] Exhaustive: ${totalRecords} products fit under the offset limit, no partitioning needed`);
+      return await searchCJProducts(searchTerm, cjToken, { ...options, fetchAllPages: true });
+    }
+
+    console.log(`[CJ API] Exhaustive: ${totalRecords} products exceed offset limit ${MAX_OFFSET}, partitioning...`);
+
+    // Build level-2 -> level-3 category map (skip category split when a category is already fixed)
+    const context = {
+      lv3ByParent: {},
+      userInventory: baseOptions.startWarehouseInventory != null || baseOptions.endWarehouseInventory != null,
+      userCountry: !!baseOptions.countryCode
+    };
+    let root = {};
+    const hasCategoryFilter = categoryId || baseOptions.lv2categoryList?.length || baseOptions.lv3categoryList?.length;
+    if (!hasCategoryFilter) {
+      try {
+        const categoryData = await getCategoryIndex(cjToken);
+        const lv2Ids = [];
+        for (const cat of Object.values(categoryData.byId || {})) {
+          if (cat.level === 2) lv2Ids.push(cat.categoryId);
+          if (cat.level === 3 && cat.parentId) {
+            (context.lv3ByParent[cat.parentId] = context.lv3ByParent[cat.parentId] || []).push(cat.categoryId);
+          }
+        }
+        if (lv2Ids.length > 0) root = { lv2categoryList: lv2Ids };
+      } catch (error) {
+        console.warn('[CJ API] Exhaustive: category tree unavailable, partitioning by inventory/country only:', error.message);
+      }
+    }
+
+    // Recursively split until every leaf fits under MAX_OFFSET
+    const leaves = [];
+    const queue = splitPartition(root, context);
+    while (queue.length > 0) {
+      if (isCancelled(sessionId)) break;
+      const partition = queue.shift();
+      const total = await probePartitionTotal(searchTerm, cjToken, { ...base, ...partition });
+      probes++;
+      if (total === 0) continue;
+      if (total <= MAX_OFFSET) {
+        leaves.push({ partition, total, truncated: false });
+        continue;
+      }
+      const children = splitPartition(partition, context);
+      if (children.length === 0) {
+        console.warn(`[CJ API] Exhaustive: partition (${describePartition(partition)}) still has ${total} products, fetching first ${MAX_OFFSET}`);
+        leaves.push({ partition, total, truncated: true });
+      } else {
+        queue.unshift(...children);
+      }
+    }
+
+    console.log(`[CJ API] Exhaustive: ${leaves.length} partitions after ${probes} probes`);
+
+    // Fetch every leaf and merge by pid
+    const merged = new Map();
+    let duplicates = 0;
+    for (let i = 0; i < leaves.length; i++) {
+      if (isCancelled(sessionId)) {
+        console.log(`[CJ API] ⛔ Exhaustive scrape cancelled at partition ${i + 1}/${leaves.length}`);
+        break;
+      }
+      const leaf = leaves[i];
+      const result = await searchCJProducts(searchTerm, cjToken, {
+        ...base,
+        ...leaf.partition,
+        fetchAllPages: true,
+        scrapeId: `${sessionId}:${i + 1}`,
+        onProgress: onProgress ? (progress) => onProgress({
+          ...progress,
+          fetched: merged.size + progress.fetched,
+          totalRecords,
+          partition: i + 1,
+          partitions: leaves.length
+        }) : null
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'CJ API request failed');
+      }
+      for (const product of result.products) {
+        if (merged.has(product.pid)) {
+          duplicates++;
+        } else {
+          merged.set(product.pid, product);
+        }
+      }
+      leaf.fetched = result.products.length;
+    }
+
+    const products = Array.from(merged.values());
+    console.log(`[CJ API] ✅ Exhaustive search complete: ${products.length} unique products (${duplicates} duplicates across partitions)`);
+
+    return {
+      success: true,
+      products,
+      totalProducts: totalRecords,
+      actualFetched: products.length,
+      currentPage: 1,
+      totalPages: Math.ceil(totalRecords / 100),
+      scrapeId: sessionId,
+      probes,
+      duplicates,
+      partitions: leaves.map(leaf => ({
+        description: describePartition(leaf.partition),
+        ...leaf.partition,
+        total: leaf.total,
+        fetched: leaf.fetched || 0,
+        truncated: leaf.truncated
+      })),
+      truncatedPartitions: leaves.filter(leaf => leaf.truncated).length
+    };
+  } catch (error) {
+    console.error('[CJ API] Exhaustive search failed:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      products: [],
+      totalProducts: 0
+    };
+  } finally {
+    activeScrapes.delete(sessionId);
+  }
+}
+
+/**
+ * Raw product detail from CJ's product/query endpoint
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @param {string} caller - Caller name for the shared limiter and usage stats
+ * @returns {Promise<Object>} CJ product detail (images, description, variants, weight...)
+ * @throws {Error} On API errors or when the product doesn't exist
+ */
+async function queryCJProduct(pid, cjToken, caller = 'product') {
+  const body = await cjGet('/product/query', { pid }, cjToken, { caller });
+
+  if (body.code !== 200) {
+    throw new Error(`CJ API Error: ${body.message || 'Unknown error'} (code: ${body.code})`);
+  }
+  if (!body.data) {
+    throw new Error(`CJ product ${pid} not found`);
+  }
+  return body.data;
+}
+
+/**
+ * Fetch a single CJ product by pid (product page URLs)
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} Same shape as searchCJProducts: { success, products, totalProducts, ... }
+ */
+async function getCJProduct(pid, cjToken) {
+  try {
+    console.log(`[CJ API] Fetching product ${pid}...`);
+    const product = normalizeProduct(await queryCJProduct(pid, cjToken, 'scrape'));
+    return {
+      success: true,
+      products: [product],
+      totalProducts: 1,
+      actualFetched: 1,
+      fetchedPages: 1
+    };
+  } catch (error) {
+    console.error('[CJ API] Product fetch failed:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      products: [],
+      totalProducts: 0
+    };
+  }
+}
+
 /**
  * Get CJ product categories
  * @param {string} cjToken - CJ API token
@@ -352,19 +643,13 @@ async function getCJCategories(cjToken) {
   try {
     console.log('[CJ API] Fetching category list...');
 
-    const response = await axios.get(`${CJ_API_BASE}/product/getCategory`, {
-      headers: {
-        'CJ-Access-Token': cjToken,
-        'Content-Type': 'application/json'
-      },
-      timeout: 15000
-    });
+    const body = await cjGet('/product/getCategory', undefined, cjToken, { caller: 'categories' });
 
-    if (response.data.code !== 200) {
-      throw new Error(`CJ API Error: ${response.data.message || 'Unknown error'}`);
+    if (body.code !== 200) {
+      throw new Error(`CJ API Error: ${body.message || 'Unknown error'}`);
     }
 
-    const categories = response.data.data || [];
+    const categories = body.data || [];
     console.log(`[CJ API] Retrieved ${categories.length} top-level categories`);
 
     // Flatten the category tree for easier searching
@@ -406,6 +691,10 @@ async function getCJCategories(cjToken) {
 
 module.exports = {
   searchCJProducts,
+  searchCJProductsExhaustive,
+  getCJProduct,
+  queryCJProduct,
+  normalizeProduct,
   getCJCategories,
   cancelScrape,
   generateScrapeId,
@@ -0,0 +1,277 @@
+/**
+ * CJ Auth
+ * Manages the CJ access token instead of relying on a long-lived CJ_API_TOKEN:
+ * logs in with the account email + API key, persists the access and refresh
+ * tokens to data/cj-auth.json, refreshes the access token before it expires and
+ * reports token health for /api/cj-status.
+ *
+ * Credentials come from CJ_EMAIL / CJ_API_KEY or from POST /api/cj/auth. Only the
+ * tokens are persisted; without env credentials an expired refresh token needs a
+ * new login. With neither credentials nor stored tokens, CJ_API_TOKEN is used as-is.
+ *
+ * CJ_AUTH_BASE points the auth calls somewhere else (e.g. the fake auth endpoint
+ * from cj-fake-auth.js for offline testing).
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const TOKEN_FILE = path.join(DATA_DIR, 'cj-auth.json');
+
+// Refresh this long before expiry (capped at 10% of the token's lifetime)
+const REFRESH_MARGIN_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+// CJ only allows a login every few minutes, so failed attempts wait this long before the next try
+const RETRY_MS = 5 * 60 * 1000;
+
+const state = {
+  authBase: process.env.CJ_AUTH_BASE || CJ_API_BASE,
+  credentials: process.env.CJ_EMAIL && process.env.CJ_API_KEY
+    ? { email: process.env.CJ_EMAIL, apiKey: process.env.CJ_API_KEY }
+    : null,
+  tokens: null, // { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt, email, obtainedAt, lastRefreshAt }
+  pending: null, // in-flight login/refresh, shared by concurrent callers
+  timer: null,
+  lastError: null,
+  lastAttemptAt: 0,
+  onToken: null
+};
+
+function expiryMs(value) {
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function refreshAt(tokens) {
+  const expires = expiryMs(tokens.accessTokenExpiresAt);
+  if (!expires) return null;
+  const lifetime = expires - new Date(tokens.lastRefreshAt || tokens.obtainedAt).getTime();
+  return expires - Math.min(REFRESH_MARGIN_MS, Math.max(0, lifetime) * 0.1);
+}
+
+async function saveTokens() {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(TOKEN_FILE, JSON.stringify(state.tokens, null, 2));
+}
+
+async function postAuth(endpoint, body) {
+  const response = await axios.post(`${state.authBase}${endpoint}`, body, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 15000
+  });
+  if (response.data.code !== 200 || !response.data.data?.accessToken) {
+    throw new Error(`CJ auth error: ${response.data.message || 'Unknown error'} (code: ${response.data.code})`);
+  }
+  return response.data.data;
+}
+
+// Adopt a token response, persist it and schedule the next refresh
+async function storeTokens(data, extra) {
+  const now = new Date().toISOString();
+  state.tokens = {
+    accessToken: data.accessToken,
+    accessTokenExpiresAt: data.accessTokenExpiryDate,
+    refreshToken: data.refreshToken,
+    refreshTokenExpiresAt: data.refreshTokenExpiryDate,
+    email: extra.email || state.tokens?.email || null,
+    obtainedAt: extra.obtainedAt || now,
+    lastRefreshAt: now
+  };
+  state.lastError = null;
+  await saveTokens();
+  scheduleRefresh();
+  if (state.onToken) state.onToken(state.tokens.accessToken);
+  return state.tokens;
+}
+
+function scheduleRefresh(delayMs = null) {
+  clearTimeout(state.timer);
+  const at = delayMs !== null ? Date.now() + delayMs : state.tokens && refreshAt(state.tokens);
+  if (!at) return;
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    refreshTokens().catch(() => scheduleRefresh(RETRY_MS));
+  }, Math.min(MAX_TIMER_MS, Math.max(0, at - Date.now())));
+  state.timer.unref();
+}
+
+// Only one login/refresh at a time - everyone else waits for the same result
+function single(task) {
+  if (!state.pending) {
+    state.pending = task().finally(() => {
+      state.pending = null;
+    });
+  }
+  return state.pending;
+}
+
+async function doLogin(credentials) {
+  if (!credentials || !credentials.apiKey) {
+    throw new Error('CJ credentials required (email and apiKey, or CJ_EMAIL / CJ_API_KEY)');
+  }
+  state.lastAttemptAt = Date.now();
+  console.log(`[CJ Auth] Requesting access token${credentials.email ? ` for ${credentials.email}` : ''}...`);
+  try {
+    const data = await postAuth('/authentication/getAccessToken', {
+      email: credentials.email,
+      password: credentials.apiKey
+    });
+    await storeTokens(data, { email: credentials.email, obtainedAt: new Date().toISOString() });
+    console.log(`[CJ Auth] Access token valid until ${state.tokens.accessTokenExpiresAt}`);
+    return getTokenHealth();
+  } catch (error) {
+    state.lastError = error.message;
+    console.error('[CJ Auth] Login failed:', error.message);
+    throw error;
+  }
+}
+
+async function doRefresh() {
+  if (!state.tokens?.refreshToken) {
+    return doLogin(state.credentials);
+  }
+  state.lastAttemptAt = Date.now();
+  try {
+    const refreshExpires = expiryMs(state.tokens.refreshTokenExpiresAt);
+    if (refreshExpires && refreshExpires <= Date.now()) {
+      throw new Error('Refresh token expired');
+    }
+    const data = await postAuth('/authentication/refreshAccessToken', { refreshToken: state.tokens.refreshToken });
+    await storeTokens(data, {});
+    console.log(`[CJ Auth] Access token refreshed, valid until ${state.tokens.accessTokenExpiresAt}`);
+    return getTokenHealth();
+  } catch (error) {
+    state.lastError = error.message;
+    console.error('[CJ Auth] Refresh failed:', error.message);
+    if (!state.credentials) throw error;
+    return doLogin(state.credentials);
+  }
+}
+
+/**
+ * Log in with the account email and API key
+ * @param {Object} credentials - { email, apiKey } (defaults to CJ_EMAIL / CJ_API_KEY)
+ * @returns {Promise<Object>} Token health
+ * @throws {Error} If no credentials are available or CJ rejects them
+ */
+function login(credentials = state.credentials) {
+  return single(() => doLogin(credentials));
+}
+
+/**
+ * Get a new access token with the refresh token (logs in again if that fails and credentials are set)
+ * @returns {Promise<Object>} Token health
+ */
+function refreshTokens() {
+  return single(doRefresh);
+}
+
+/**
+ * Current access token, refreshed first if it has expired or is about to
+ * @returns {Promise<string|null>} Managed access token, or null when tokens aren't managed
+ */
+async function getAccessToken() {
+  if (!state.tokens) return null;
+  const now = Date.now();
+  if (now >= (refreshAt(state.tokens) ?? Infinity) && now - state.lastAttemptAt >= RETRY_MS) {
+    try {
+      await refreshTokens();
+    } catch (error) {
+      // Keep using the old token until it actually expires
+      if (Date.now() >= (expiryMs(state.tokens.accessTokenExpiresAt) ?? Infinity)) throw error;
+    }
+  }
+  return state.tokens.accessToken;
+}
+
+/**
+ * Token state for /api/cj-status (never includes the tokens themselves)
+ * @returns {Object} { mode, status, email, accessTokenExpiresAt, refreshTokenExpiresAt, expiresInHours, refreshAt, lastRefreshAt, lastError }
+ *   mode - 'managed' (login + refresh), 'static' (CJ_API_TOKEN) or 'none'
+ *   status - 'valid', 'expiring' (refresh due), 'expired' or 'missing'
+ */
+function getTokenHealth() {
+  if (!state.tokens) {
+    const staticToken = !!process.env.CJ_API_TOKEN;
+    return {
+      mode: staticToken ? 'static' : 'none',
+      status: staticToken ? 'valid' : 'missing',
+      credentialsConfigured: !!state.credentials,
+      lastError: state.lastError
+    };
+  }
+  const expires = expiryMs(state.tokens.accessTokenExpiresAt);
+  const due = refreshAt(state.tokens);
+  const now = Date.now();
+  let status = 'valid';
+  if (expires && now >= expires) status = 'expired';
+  else if (due && now >= due) status = 'expiring';
+
+  return {
+    mode: 'managed',
+    status,
+    email: state.tokens.email,
+    credentialsConfigured: !!state.credentials,
+    accessTokenExpiresAt: state.tokens.accessTokenExpiresAt,
+    refreshTokenExpiresAt: state.tokens.refreshTokenExpiresAt,
+    expiresInHours: expires ? parseFloat(((expires - now) / 3600000).toFixed(1)) : null,
+    refreshAt: due ? new Date(due).toISOString() : null,
+    obtainedAt: state.tokens.obtainedAt,
+    lastRefreshAt: state.tokens.lastRefreshAt,
+    lastError: state.lastError
+  };
+}
+
+/**
+ * Forget the managed tokens (falls back to CJ_API_TOKEN)
+ */
+async function clearTokens() {
+  clearTimeout(state.timer);
+  state.tokens = null;
+  state.lastError = null;
+  await fs.unlink(TOKEN_FILE).catch(() => {});
+  if (state.onToken) state.onToken(process.env.CJ_API_TOKEN || '');
+}
+
+/**
+ * Load persisted tokens (or log in with env credentials) and start the refresh timer
+ * @param {Object} options - { authBase, onToken(accessToken) }
+ * @returns {Promise<Object>} Token health
+ */
+async function initCJAuth(options = {}) {
+  if (options.authBase) state.authBase = options.authBase;
+  if (options.onToken) state.onToken = options.onToken;
+
+  try {
+    state.tokens = JSON.parse(await fs.readFile(TOKEN_FILE, 'utf8'));
+    console.log(`[CJ Auth] Loaded stored token (expires ${state.tokens.accessTokenExpiresAt})`);
+  } catch (e) {
+    state.tokens = null;
+  }
+
+  try {
+    if (state.tokens) {
+      await getAccessToken();
+      scheduleRefresh();
+      if (state.onToken) state.onToken(state.tokens.accessToken);
+    } else if (state.credentials) {
+      await login();
+    }
+  } catch (error) {
+    console.error('[CJ Auth] Startup authentication failed:', error.message);
+    if (state.credentials) scheduleRefresh(RETRY_MS);
+  }
+  return getTokenHealth();
+}
+
+module.exports = {
+  initCJAuth,
+  login,
+  refreshTokens,
+  getAccessToken,
+  getTokenHealth,
+  clearTokens
+};
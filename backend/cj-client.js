@@ -0,0 +1,227 @@
+/**
+ * CJ API Client
+ * Every CJ request goes through here, so scrapes, lookups, freight quotes and
+ * price syncs share one rate limiter and one daily quota count instead of each
+ * pacing itself with its own delays.
+ *
+ * - Token bucket: CJ_RATE_PER_SECOND requests per second, bursts up to CJ_RATE_BURST
+ * - Fair queueing: waiting requests are served round-robin per caller
+ *   ("scrape", "sync", ...), so a long sync can't starve a scrape or vice versa
+ * - HTTP 429 / CJ code 1600200 pause the whole bucket and retry with backoff
+ * - Daily usage (UTC) per caller and endpoint, reported by getUsage()
+ * - The managed access token from cj-auth.js wins over the token a caller passes,
+ *   so long-running jobs pick up refreshed tokens
+ */
+
+const axios = require('axios');
+const { getAccessToken, getTokenHealth, refreshTokens } = require('./cj-auth');
+
+const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
+
+const RATE_PER_SECOND = Number(process.env.CJ_RATE_PER_SECOND) || 2;
+const RATE_BURST = Number(process.env.CJ_RATE_BURST) || 4;
+const DAILY_QUOTA = Number(process.env.CJ_DAILY_QUOTA) || 1000;
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+const RATE_LIMIT_CODE = 1600200;
+const AUTH_ERROR_CODES = [1600001, 1600003]; // invalid / expired access token
+
+const limiter = {
+  tokens: RATE_BURST,
+  lastRefill: Date.now(),
+  pausedUntil: 0,
+  waiting: new Map(), // caller -> [resolve] - Map order is the round-robin order
+  timer: null
+};
+
+let usage = newUsageDay();
+
+function newUsageDay() {
+  return {
+    date: new Date().toISOString().slice(0, 10),
+    requests: 0,
+    retries: 0,
+    rateLimited: 0,
+    errors: 0,
+    byCaller: {},
+    byEndpoint: {},
+    quotaWarned: false
+  };
+}
+
+function recordRequest(caller, endpoint) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (usage.date !== today) {
+    usage = newUsageDay();
+  }
+  usage.requests++;
+  usage.byCaller[caller] = (usage.byCaller[caller] || 0) + 1;
+  usage.byEndpoint[endpoint] = (usage.byEndpoint[endpoint] || 0) + 1;
+  if (usage.requests >= DAILY_QUOTA && !usage.quotaWarned) {
+    usage.quotaWarned = true;
+    console.warn(`[CJ Client] Daily quota reached (${usage.requests}/${DAILY_QUOTA}) - CJ may start refusing requests`);
+  }
+}
+
+function refill() {
+  const now = Date.now();
+  limiter.tokens = Math.min(RATE_BURST, limiter.tokens + ((now - limiter.lastRefill) / 1000) * RATE_PER_SECOND);
+  limiter.lastRefill = now;
+}
+
+// Hand out tokens to waiting callers in turn, then sleep until the next token (or the end of a pause)
+function drain() {
+  if (limiter.timer) return;
+  refill();
+
+  while (limiter.waiting.size > 0 && limiter.tokens >= 1 && Date.now() >= limiter.pausedUntil) {
+    const [caller, queue] = limiter.waiting.entries().next().value;
+    limiter.waiting.delete(caller);
+    const resolve = queue.shift();
+    if (queue.length > 0) {
+      limiter.waiting.set(caller, queue); // back of the line
+    }
+    limiter.tokens -= 1;
+    resolve();
+  }
+
+  if (limiter.waiting.size > 0) {
+    const untilToken = ((1 - limiter.tokens) / RATE_PER_SECOND) * 1000;
+    const wait = Math.max(untilToken, limiter.pausedUntil - Date.now(), 10);
+    limiter.timer = setTimeout(() => {
+      limiter.timer = null;
+      drain();
+    }, wait);
+  }
+}
+
+function acquire(caller) {
+  return new Promise(resolve => {
+    if (!limiter.waiting.has(caller)) {
+      limiter.waiting.set(caller, []);
+    }
+    limiter.waiting.get(caller).push(resolve);
+    drain();
+  });
+}
+
+// Stop every caller for a while - CJ's limit is per account, not per request
+function pause(ms) {
+  limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + ms);
+  limiter.tokens = 0;
+}
+
+function retryDelay(error, attempt) {
+  const retryAfter = parseInt(error?.response?.headers?.['retry-after'], 10);
+  if (retryAfter > 0) return retryAfter * 1000;
+  return RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Make a CJ API request through the shared limiter
+ * @param {string} method - 'GET' or 'POST'
+ * @param {string} endpoint - Path under CJ_API_BASE (e.g. '/product/query')
+ * @param {Object} options - { token, params, data, caller, timeout } - token is the fallback when no managed token exists
+ * @returns {Promise<Object>} CJ response body ({ code, result, message, data })
+ * @throws {Error} On network/HTTP errors (after retries for HTTP 429)
+ */
+async function cjRequest(method, endpoint, options = {}) {
+  const { token, params, data, caller = 'other', timeout = 15000 } = options;
+  let reauthenticated = false;
+
+  for (let attempt = 1; ; attempt++) {
+    await acquire(caller);
+    const accessToken = (await getAccessToken()) || token;
+    recordRequest(caller, endpoint);
+
+    let body;
+    try {
+      const response = await axios({
+        method,
+        url: `${CJ_API_BASE}${endpoint}`,
+        params,
+        data,
+        headers: {
+          'CJ-Access-Token': accessToken,
+          'Content-Type': 'application/json'
+        },
+        timeout
+      });
+      body = response.data;
+    } catch (error) {
+      if (error.response?.status === 429 && attempt <= MAX_RETRIES) {
+        usage.rateLimited++;
+        usage.retries++;
+        const delay = retryDelay(error, attempt);
+        console.warn(`[CJ Client] ${endpoint} rate limited (HTTP 429), retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+        pause(delay);
+        continue;
+      }
+      if (error.response?.status === 429) usage.rateLimited++;
+      usage.errors++;
+      throw error;
+    }
+
+    if (body?.code === RATE_LIMIT_CODE) {
+      usage.rateLimited++;
+      if (attempt <= MAX_RETRIES) {
+        usage.retries++;
+        const delay = retryDelay(null, attempt);
+        console.warn(`[CJ Client] ${endpoint} rate limited (code ${RATE_LIMIT_CODE}), retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+        pause(delay);
+        continue;
+      }
+    }
+    // Token revoked or expired early - get a new one once and repeat the request
+    if (AUTH_ERROR_CODES.includes(body?.code) && !reauthenticated && getTokenHealth().mode === 'managed') {
+      reauthenticated = true;
+      console.warn(`[CJ Client] ${endpoint} rejected the access token (code ${body.code}), refreshing`);
+      try {
+        await refreshTokens();
+        continue;
+      } catch (error) {
+        return body;
+      }
+    }
+    return body;
+  }
+}
+
+function cjGet(endpoint, params, token, options = {}) {
+  return cjRequest('GET', endpoint, { ...options, params, token });
+}
+
+function cjPost(endpoint, data, token, options = {}) {
+  return cjRequest('POST', endpoint, { ...options, data, token });
+}
+
+/**
+ * Today's CJ usage and limiter state
+ * @returns {Object} { date, requests, quota, remaining, retries, rateLimited, errors, byCaller, byEndpoint, limiter }
+ */
+function getUsage() {
+  refill();
+  const { quotaWarned, ...counts } = usage;
+  return {
+    ...counts,
+    quota: DAILY_QUOTA,
+    remaining: Math.max(0, DAILY_QUOTA - usage.requests),
+    limiter: {
+      ratePerSecond: RATE_PER_SECOND,
+      burst: RATE_BURST,
+      availableTokens: Math.floor(limiter.tokens),
+      pausedUntil: limiter.pausedUntil > Date.now() ? new Date(limiter.pausedUntil).toISOString() : null,
+      queued: Object.fromEntries([...limiter.waiting].map(([caller, queue]) => [caller, queue.length]))
+    }
+  };
+}
+
+module.exports = {
+  cjRequest,
+  cjGet,
+  cjPost,
+  getUsage,
+  CJ_API_BASE,
+  RATE_LIMIT_CODE
+};
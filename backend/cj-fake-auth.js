@@ -0,0 +1,74 @@
+/**
+ * CJ Fake Auth
+ * Local stand-in for CJ's authentication endpoints so the token lifecycle in
+ * cj-auth.js can be exercised offline. Enabled with CJ_FAKE_AUTH=true; tokens
+ * live CJ_FAKE_AUTH_TTL_SECONDS (default 15 minutes) so refreshes happen quickly.
+ *
+ *   POST <base>/authentication/getAccessToken      { email, password }
+ *   POST <base>/authentication/refreshAccessToken  { refreshToken }
+ *
+ * Any non-empty password is accepted except "invalid". Responses use CJ's
+ * envelope ({ code, result, message, data }) and field names.
+ */
+
+const crypto = require('crypto');
+
+const FAKE_AUTH_PATH = '/api/cj/fake-auth';
+const REFRESH_TTL_MS = 180 * 24 * 60 * 60 * 1000; // CJ refresh tokens last 180 days
+
+// refreshToken -> email
+const refreshTokens = new Map();
+
+function issueTokens(email, ttlMs) {
+  const now = Date.now();
+  const refreshToken = `fake_refresh_${crypto.randomBytes(12).toString('hex')}`;
+  refreshTokens.set(refreshToken, email);
+  return {
+    accessToken: `fake_access_${crypto.randomBytes(12).toString('hex')}`,
+    accessTokenExpiryDate: new Date(now + ttlMs).toISOString(),
+    refreshToken,
+    refreshTokenExpiryDate: new Date(now + REFRESH_TTL_MS).toISOString(),
+    createDate: new Date(now).toISOString()
+  };
+}
+
+function fail(res, code, message) {
+  res.json({ code, result: false, message, data: null });
+}
+
+/**
+ * Register the fake auth routes
+ * @param {Object} app - Express app
+ * @param {Object} options - { ttlSeconds }
+ * @returns {string} Base path to use as the auth base URL
+ */
+function mountFakeAuth(app, options = {}) {
+  const ttlMs = (Number(options.ttlSeconds) || 15 * 60) * 1000;
+
+  app.post(`${FAKE_AUTH_PATH}/authentication/getAccessToken`, (req, res) => {
+    const { email, password } = req.body || {};
+    if (!password || password === 'invalid') {
+      return fail(res, 1600001, 'Invalid API key or account');
+    }
+    console.log(`[Fake Auth] Issued token for ${email || '(no email)'}`);
+    res.json({ code: 200, result: true, message: 'Success', data: issueTokens(email || null, ttlMs) });
+  });
+
+  app.post(`${FAKE_AUTH_PATH}/authentication/refreshAccessToken`, (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshTokens.has(refreshToken)) {
+      return fail(res, 1600003, 'Refresh token is invalid or expired');
+    }
+    const email = refreshTokens.get(refreshToken);
+    refreshTokens.delete(refreshToken); // rotated, like CJ
+    console.log(`[Fake Auth] Refreshed token for ${email || '(no email)'}`);
+    res.json({ code: 200, result: true, message: 'Success', data: issueTokens(email, ttlMs) });
+  });
+
+  console.log(`[Fake Auth] CJ auth endpoints mounted at ${FAKE_AUTH_PATH} (token TTL ${ttlMs / 1000}s)`);
+  return FAKE_AUTH_PATH;
+}
+
+module.exports = {
+  mountFakeAuth
+};
@@ -0,0 +1,215 @@
+/**
+ * CJ Product Lookup
+ * Single-product queries against the CJ API (product, variants, inventory,
+ * warehouses, my products) without running a scrape. Responses are normalized
+ * like cj-api-scraper.js / product-enricher.js and cached in memory per query.
+ */
+
+const { cjGet } = require('./cj-client');
+const { normalizeProduct } = require('./cj-api-scraper');
+const { normalizeProductDetail, normalizeVariant } = require('./product-enricher');
+
+// How long each kind of lookup stays fresh - stock moves faster than product data
+const CACHE_TTL = {
+  product: 60 * 60 * 1000,         // 1 hour
+  variants: 60 * 60 * 1000,        // 1 hour
+  inventory: 5 * 60 * 1000,        // 5 minutes
+  warehouses: 24 * 60 * 60 * 1000, // 24 hours
+  myProducts: 5 * 60 * 1000        // 5 minutes
+};
+const MAX_CACHE_ENTRIES = 1000;
+
+const cache = new Map(); // `${kind}:${key}` -> { value, ts }
+
+/**
+ * Error with the HTTP status the route should answer with
+ */
+function lookupError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function cjData(endpoint, params, cjToken) {
+  if (!cjToken) {
+    throw lookupError('CJ_API_TOKEN environment variable is required', 500);
+  }
+  const body = await cjGet(endpoint, params, cjToken, { caller: 'lookup' });
+
+  if (body.code !== 200) {
+    throw lookupError(`CJ API Error: ${body.message || 'Unknown error'} (code: ${body.code})`, 400);
+  }
+  return body.data;
+}
+
+/**
+ * Serve a lookup from the cache, or load and cache it
+ * @param {string} kind - Key of CACHE_TTL
+ * @param {string} key - Query key within that kind
+ * @param {Function} loader - async () => value
+ * @param {boolean} refresh - Skip the cached value
+ * @returns {Promise<Object>} { value, cached }
+ */
+async function cached(kind, key, loader, refresh = false) {
+  const cacheKey = `${kind}:${key}`;
+  const entry = cache.get(cacheKey);
+  if (!refresh && entry && Date.now() - entry.ts < CACHE_TTL[kind]) {
+    return { value: entry.value, cached: true };
+  }
+
+  const value = await loader();
+  cache.delete(cacheKey);
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(cacheKey, { value, ts: Date.now() });
+  return { value, cached: false };
+}
+
+// CJ stock entries: { areaEn, areaId, countryCode, totalInventoryNum, cjInventoryNum, factoryInventoryNum }
+function normalizeInventory(entries) {
+  const warehouses = (entries || []).map(entry => ({
+    warehouse: entry.areaEn || entry.countryNameEn || null,
+    areaId: entry.areaId ?? null,
+    countryCode: entry.countryCode || null,
+    total: Number(entry.totalInventoryNum ?? entry.storageNum ?? 0),
+    cjInventory: Number(entry.cjInventoryNum ?? 0),
+    factoryInventory: Number(entry.factoryInventoryNum ?? 0)
+  }));
+  return {
+    total: warehouses.reduce((sum, w) => sum + w.total, 0),
+    warehouses
+  };
+}
+
+/**
+ * Product detail (list fields plus gallery, description, variants, weight...)
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - { countryCode, refresh }
+ * @returns {Promise<Object>} { value: product, cached }
+ */
+function getProduct(pid, cjToken, options = {}) {
+  const params = { pid };
+  if (options.countryCode) params.countryCode = options.countryCode;
+  return cached('product', `${pid}|${options.countryCode || ''}`, async () => {
+    const detail = await cjData('/product/query', params, cjToken);
+    if (!detail) {
+      throw lookupError(`CJ product ${pid} not found`, 404);
+    }
+    return normalizeProductDetail(detail, normalizeProduct(detail));
+  }, options.refresh);
+}
+
+/**
+ * Variants of a product
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - { countryCode, refresh }
+ * @returns {Promise<Object>} { value: variants, cached }
+ */
+function getVariants(pid, cjToken, options = {}) {
+  const params = { pid };
+  if (options.countryCode) params.countryCode = options.countryCode;
+  return cached('variants', `${pid}|${options.countryCode || ''}`, async () => {
+    const variants = await cjData('/product/variant/query', params, cjToken);
+    return (variants || []).map(variant => normalizeVariant(variant));
+  }, options.refresh);
+}
+
+/**
+ * Stock of a product per warehouse
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - { refresh }
+ * @returns {Promise<Object>} { value: { total, warehouses, variants }, cached }
+ */
+function getProductInventory(pid, cjToken, options = {}) {
+  return cached('inventory', `pid:${pid}`, async () => {
+    const data = await cjData('/product/stock/getInventoryByPid', { pid }, cjToken);
+    // Per-product totals plus per-variant breakdowns, or a flat list on older responses
+    const inventory = normalizeInventory(Array.isArray(data) ? data : data?.inventories);
+    inventory.variants = (data?.variantInventories || []).map(v => ({
+      vid: v.vid,
+      ...normalizeInventory(v.inventory || v.inventories)
+    }));
+    return inventory;
+  }, options.refresh);
+}
+
+/**
+ * Stock of one SKU per warehouse
+ * @param {string} sku - CJ product or variant SKU
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - { refresh }
+ * @returns {Promise<Object>} { value: { total, warehouses }, cached }
+ */
+function getSkuInventory(sku, cjToken, options = {}) {
+  return cached('inventory', `sku:${sku}`, async () => {
+    const data = await cjData('/product/stock/queryBySku', { sku }, cjToken);
+    return normalizeInventory(Array.isArray(data) ? data : data ? [data] : []);
+  }, options.refresh);
+}
+
+/**
+ * CJ's global warehouse list
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - { refresh }
+ * @returns {Promise<Object>} { value: warehouses, cached }
+ */
+function getWarehouses(cjToken, options = {}) {
+  return cached('warehouses', 'all', async () => {
+    const data = await cjData('/product/globalWarehouseList', {}, cjToken);
+    return data || [];
+  }, options.refresh);
+}
+
+/**
+ * Products saved to "My Products" on the CJ account
+ * @param {string} cjToken - CJ API token
+ * @param {Object} query - { keyword, categoryId, startAt, endAt, isListed, pageNum, pageSize, refresh }
+ * @returns {Promise<Object>} { value: { total, pageNum, pageSize, products }, cached }
+ */
+function getMyProducts(cjToken, query = {}) {
+  const { refresh, ...filters } = query;
+  const params = { pageNum: filters.pageNum || 1, pageSize: filters.pageSize || 10 };
+  for (const key of ['keyword', 'categoryId', 'startAt', 'endAt', 'isListed']) {
+    if (filters[key] !== undefined && filters[key] !== '') params[key] = filters[key];
+  }
+  return cached('myProducts', JSON.stringify(params), async () => {
+    const data = await cjData('/product/myProduct/query', params, cjToken);
+    const list = data?.content || data?.list || [];
+    return {
+      total: data?.totalRecords ?? data?.total ?? list.length,
+      pageNum: Number(params.pageNum),
+      pageSize: Number(params.pageSize),
+      products: list.map(normalizeProduct)
+    };
+  }, refresh);
+}
+
+/**
+ * Drop cached lookups
+ * @param {string} kind - Only this kind (e.g. "inventory"), or everything when omitted
+ * @returns {number} Entries removed
+ */
+function clearLookupCache(kind = null) {
+  let removed = 0;
+  for (const key of [...cache.keys()]) {
+    if (!kind || key.startsWith(`${kind}:`)) {
+      cache.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  getProduct,
+  getVariants,
+  getProductInventory,
+  getSkuInventory,
+  getWarehouses,
+  getMyProducts,
+  clearLookupCache
+};
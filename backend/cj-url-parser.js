@@ -0,0 +1,211 @@
+/**
+ * CJ URL Parser
+ * Translates cjdropshipping.com page URLs into scrape parameters.
+ *
+ *   /search/<keyword>.html           search results    -> keyword
+ *   /list/<slug>-l-<categoryId>.html category listing -> categoryId
+ *   /product/<slug>-p-<pid>.html     product page      -> pid (fetched directly)
+ *
+ * Query parameters are mapped onto searchCJProducts options (countryCode,
+ * orderBy, sort, categoryId, warehouse filters) or, for the price range, onto
+ * productFilters. Paging and tracking parameters are ignored; anything else is
+ * reported back as untranslated instead of being silently dropped.
+ */
+
+const { normalizeProductFilters } = require('./product-filters');
+
+const PATH_PATTERNS = [
+  { type: 'product', pattern: /^\/product\/(.*)-p-([^/.]+)\.html$/ },
+  { type: 'category', pattern: /^\/(?:list|category)\/(?:(.*)-l-)?([^/.]+)\.html$/ },
+  { type: 'search', pattern: /^\/search\/(.+?)\.html$/ }
+];
+
+const KEYWORD_PARAMS = ['keyWord', 'keyword', 'q'];
+const CATEGORY_PARAMS = ['categoryId', 'id'];
+const MIN_PRICE_PARAMS = ['startSellPrice', 'minPrice', 'priceMin', 'startPrice'];
+const MAX_PRICE_PARAMS = ['endSellPrice', 'maxPrice', 'priceMax', 'endPrice'];
+const COUNTRY_PARAMS = ['countryCode', 'shipFrom', 'shipFromCountry', 'warehouseCountry', 'country'];
+const SORT_PARAMS = ['sortBy', 'sortType', 'orderBy'];
+const PASSTHROUGH_PARAMS = ['verifiedWarehouse', 'startWarehouseInventory', 'endWarehouseInventory'];
+
+// We always fetch every page, so paging state in the URL means nothing
+const IGNORED_PARAMS = ['pageNum', 'pageSize', 'page', 'size', 'from', 'spm'];
+
+// CJ listV2 orderBy: 0 = best match, 1 = listing count, 2 = price
+const SORT_VALUES = {
+  '0': { orderBy: 0 },
+  default: { orderBy: 0 },
+  relevance: { orderBy: 0 },
+  bestmatch: { orderBy: 0 },
+  '1': { orderBy: 1 },
+  listed: { orderBy: 1, sort: 'desc' },
+  listednum: { orderBy: 1, sort: 'desc' },
+  popular: { orderBy: 1, sort: 'desc' },
+  '2': { orderBy: 2 },
+  price: { orderBy: 2, sort: 'asc' },
+  priceasc: { orderBy: 2, sort: 'asc' },
+  pricelow: { orderBy: 2, sort: 'asc' },
+  pricedesc: { orderBy: 2, sort: 'desc' },
+  pricehigh: { orderBy: 2, sort: 'desc' }
+};
+
+// "wholesale-sherpa-throw-blanket" -> "sherpa throw blanket"
+function slugToWords(slug) {
+  return decodeURIComponent(slug || '')
+    .split(/[-_+\s]+/)
+    .filter(w => w && w.toLowerCase() !== 'wholesale')
+    .join(' ')
+    .trim();
+}
+
+function firstParam(params, names) {
+  for (const name of names) {
+    if (params.has(name) && params.get(name) !== '') {
+      return { name, value: params.get(name) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a CJ URL
+ * @param {string} url - Search, category listing or product page URL
+ * @returns {Object} { type, keyword, pid, categorySlug, filters, productFilters, untranslated, ignored }
+ *   type - 'search', 'category', 'product' or 'unknown'
+ *   filters - searchCJProducts options: categoryId, countryCode, orderBy, sort, warehouse filters
+ *   productFilters - price range from the URL, in normalizeProductFilters() form
+ *   untranslated - [{ param, value, reason }] for parameters that could not be applied
+ */
+function parseCJUrl(url) {
+  const parsed = {
+    type: 'unknown',
+    keyword: '',
+    pid: null,
+    categorySlug: null,
+    filters: {},
+    productFilters: {},
+    untranslated: [],
+    ignored: []
+  };
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    console.error('[CJ URL] Parse error:', e.message);
+    parsed.untranslated.push({ param: 'url', value: url, reason: 'not a valid URL' });
+    return parsed;
+  }
+
+  const pathname = urlObj.pathname.replace(/\/+$/, '');
+  for (const { type, pattern } of PATH_PATTERNS) {
+    const match = pathname.match(pattern);
+    if (!match) continue;
+    parsed.type = type;
+    if (type === 'search') {
+      parsed.keyword = decodeURIComponent(match[1]).replace(/\+/g, ' ').trim();
+    } else if (type === 'category') {
+      parsed.categorySlug = match[1] ? slugToWords(match[1]) : null;
+      parsed.filters.categoryId = match[2];
+    } else {
+      // The slug is the product title - good enough for the text and image filters
+      parsed.keyword = slugToWords(match[1]);
+      parsed.pid = match[2];
+    }
+    break;
+  }
+
+  const params = urlObj.searchParams;
+  const handled = new Set();
+  const use = (names) => {
+    const found = firstParam(params, names);
+    names.forEach(name => handled.add(name));
+    return found;
+  };
+  const reject = (found, reason) => parsed.untranslated.push({ param: found.name, value: found.value, reason });
+
+  const keywordParam = use(KEYWORD_PARAMS);
+  if (keywordParam && !parsed.keyword) {
+    parsed.keyword = keywordParam.value.trim();
+    if (parsed.type === 'unknown') parsed.type = 'search';
+  }
+  if (parsed.type === 'unknown' && pathname) {
+    parsed.untranslated.push({ param: 'path', value: urlObj.pathname, reason: 'not a CJ search, category or product page' });
+  }
+
+  const categoryParam = use(CATEGORY_PARAMS);
+  if (categoryParam && !parsed.filters.categoryId) {
+    parsed.filters.categoryId = categoryParam.value;
+  }
+
+  const country = use(COUNTRY_PARAMS);
+  if (country) {
+    if (/^[a-z]{2}$/i.test(country.value)) {
+      parsed.filters.countryCode = country.value.toUpperCase();
+    } else {
+      reject(country, 'expected a 2-letter country code');
+    }
+  }
+
+  const sortBy = use(SORT_PARAMS);
+  if (sortBy) {
+    const mapped = SORT_VALUES[sortBy.value.toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (mapped) {
+      Object.assign(parsed.filters, mapped);
+    } else {
+      reject(sortBy, 'unknown sort order');
+    }
+  }
+
+  // A bare direction only makes sense on top of a sort field (or CJ's default order)
+  const direction = use(['sort']);
+  if (direction) {
+    const value = direction.value.toLowerCase();
+    if (value === 'asc' || value === 'desc') {
+      parsed.filters.sort = value;
+    } else {
+      reject(direction, 'expected asc or desc');
+    }
+  }
+
+  const minPrice = use(MIN_PRICE_PARAMS);
+  const maxPrice = use(MAX_PRICE_PARAMS);
+  const priceRange = {};
+  if (minPrice) priceRange.minPrice = minPrice.value;
+  if (maxPrice) priceRange.maxPrice = maxPrice.value;
+  try {
+    parsed.productFilters = normalizeProductFilters(priceRange);
+  } catch (err) {
+    [minPrice, maxPrice].filter(Boolean).forEach(found => reject(found, err.message));
+  }
+
+  for (const name of PASSTHROUGH_PARAMS) {
+    const found = use([name]);
+    if (found) parsed.filters[name] = found.value;
+  }
+
+  for (const [name, value] of params.entries()) {
+    if (handled.has(name)) continue;
+    if (IGNORED_PARAMS.includes(name) || name.startsWith('utm_')) {
+      parsed.ignored.push(name);
+    } else {
+      parsed.untranslated.push({ param: name, value, reason: 'no matching CJ API option' });
+    }
+  }
+
+  console.log('[CJ URL] Parsed:', {
+    type: parsed.type,
+    keyword: parsed.keyword,
+    pid: parsed.pid,
+    filters: parsed.filters,
+    productFilters: parsed.productFilters
+  });
+  if (parsed.untranslated.length > 0) {
+    console.warn('[CJ URL] Untranslated:', parsed.untranslated.map(u => `${u.param}=${u.value} (${u.reason})`).join(', '));
+  }
+  return parsed;
+}
+
+module.exports = {
+  parseCJUrl
+};
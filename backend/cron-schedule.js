@@ -0,0 +1,130 @@
+/**
+ * Cron Schedule
+ * Minimal cron expression support for in-process schedules (no external scheduler).
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-6, Sunday = 0; 7 is also Sunday)
+ *   * * * * *
+ *
+ * Fields accept *, numbers, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10).
+ * Shortcuts: @hourly, @daily, @weekly, @monthly. Times are server local time.
+ */
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Don't search further than this for the next match (covers Feb 29 schedules)
+const MAX_LOOKAHEAD_MINUTES = 366 * 4 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${name}`);
+    }
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = Number(from);
+      end = to === undefined ? (stepText === undefined ? start : max) : Number(to);
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * 1" (Mondays 09:00) or "@weekly"
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const normalized = SHORTCUTS[(expression || '').trim()] || (expression || '').trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday), got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    expression: expression.trim(),
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Vixie cron: a day field starting with * (including */2) counts as unrestricted
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dom = schedule.dayOfMonth.has(date.getDate());
+  const dow = schedule.dayOfWeek.has(date.getDay());
+  // Standard cron: if both day fields are restricted, either one matching is enough
+  if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Next time a schedule fires, strictly after `from`
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} from - Start point (default now)
+ * @returns {Date|null} Next run time, or null if it never fires
+ */
+function nextRun(schedule, from = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (!parsed.month.has(date.getMonth() + 1) || !matchesDay(parsed, date)) {
+      // Skip to the start of the next day
+      date.setHours(24, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (parsed.minute.has(date.getMinutes())) {
+      return date;
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,259 @@
+/**
+ * Duplicate Detector
+ * Clusters near-duplicate CJ listings - the same item sold by several suppliers
+ * under slightly different titles with the same (or a cropped) photo.
+ *
+ * Two products are duplicates when their images have nearly the same
+ * perceptual hash and their normalized titles overlap, or - when an image
+ * hash is missing - when their titles are almost identical.
+ * Each cluster keeps one representative; the rest are listed as alternates.
+ */
+
+const axios = require('axios');
+const { Jimp } = require('jimp');
+
+const DEFAULTS = {
+  prefer: 'price',            // 'price' (cheapest) or 'inventory' (most stock)
+  minTitleSimilarity: 0.5,    // Title overlap needed when the images match
+  titleOnlySimilarity: 0.85,  // Title overlap needed when an image hash is missing
+  maxImageDistance: 10        // Max differing bits between 64-bit image hashes
+};
+
+const MAX_HASH_CACHE = 5000;
+const hashCache = new Map();  // imageUrl -> hash (or null if the image can't be decoded)
+
+// Listing filler that differs between suppliers of the same item
+const FILLER_WORDS = new Set([
+  'and', 'for', 'the', 'with', 'new', 'hot', 'sale', 'style', 'fashion', 'pcs', 'piece',
+  'free', 'shipping', 'high', 'quality', 'cross', 'border', 'amazon', 'explosive', 'models',
+  'creative', 'simple', 'modern', 'product', 'wholesale', 'factory', 'direct'
+]);
+
+/**
+ * Normalize a title to its set of meaningful words
+ * @param {string} title - Product title
+ * @returns {Set<string>} Words
+ */
+function titleTokens(title) {
+  return new Set(
+    (title || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(w => w.length > 1 && !FILLER_WORDS.has(w))
+  );
+}
+
+/**
+ * Jaccard similarity of two token sets
+ * @returns {number} 0..1
+ */
+function titleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Difference hash (dHash) of an image: 64 bits comparing adjacent pixels of a 9x8 greyscale thumbnail
+ * @param {Buffer} buffer - Image bytes (JPEG, PNG, GIF, BMP, TIFF)
+ * @returns {Promise<string>} 16-char hex hash
+ */
+async function perceptualHash(buffer) {
+  const image = await Jimp.read(buffer);
+  image.resize({ w: 9, h: 8 }).greyscale();
+  const { data } = image.bitmap;
+
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const left = data[(y * 9 + x) * 4];
+      const right = data[(y * 9 + x + 1) * 4];
+      bits += left > right ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hashes
+ * @returns {number} 0..64
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Download an image and hash it (cached per URL)
+ * @param {string} imageUrl - Image URL
+ * @returns {Promise<string|null>} Hash, or null if the image couldn't be fetched or decoded
+ */
+async function getImageHash(imageUrl) {
+  if (hashCache.has(imageUrl)) {
+    return hashCache.get(imageUrl);
+  }
+
+  let hash = null;
+  try {
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    });
+    hash = await perceptualHash(Buffer.from(response.data));
+  } catch (err) {
+    // Unsupported format (e.g. WebP) or download failure - title similarity still applies
+  }
+
+  if (hashCache.size >= MAX_HASH_CACHE) {
+    hashCache.delete(hashCache.keys().next().value);
+  }
+  hashCache.set(imageUrl, hash);
+  return hash;
+}
+
+/**
+ * Validate dedupe options from a request body
+ * @param {boolean|Object} input - true for defaults, or { prefer, minTitleSimilarity, maxImageDistance }
+ * @returns {Object|null} Options, or null when dedupe is off
+ * @throws {Error} If an option is out of range
+ */
+function normalizeDedupeOptions(input) {
+  if (!input) return null;
+  const options = input === true ? {} : input;
+  const normalized = { prefer: options.prefer || DEFAULTS.prefer };
+  if (!['price', 'inventory'].includes(normalized.prefer)) {
+    throw new Error('dedupe.prefer must be "price" or "inventory"');
+  }
+  for (const [key, max] of [['minTitleSimilarity', 1], ['titleOnlySimilarity', 1], ['maxImageDistance', 64]]) {
+    if (options[key] === undefined) continue;
+    const value = Number(options[key]);
+    if (!Number.isFinite(value) || value < 0 || value > max) {
+      throw new Error(`dedupe.${key} must be a number between 0 and ${max}`);
+    }
+    normalized[key] = value;
+  }
+  return normalized;
+}
+
+// Representative choice: cheapest first, or most inventory first
+function compareProducts(prefer) {
+  const byPrice = (a, b) => (a.sellPrice || 0) - (b.sellPrice || 0);
+  const byInventory = (a, b) => (b.warehouseInventoryNum || 0) - (a.warehouseInventoryNum || 0);
+  return prefer === 'inventory'
+    ? (a, b) => byInventory(a, b) || byPrice(a, b)
+    : (a, b) => byPrice(a, b) || byInventory(a, b);
+}
+
+/**
+ * Cluster near-duplicate products
+ * @param {Array} products - Products with pid, title, sellPrice, warehouseInventoryNum
+ * @param {Object} options - { hashes: Map(pid -> hash), prefer, minTitleSimilarity, titleOnlySimilarity, maxImageDistance }
+ * @returns {Object} { representatives, removed, clusters }
+ *   representatives - one product per cluster (input order), duplicates carry `alternates`
+ *   removed - [{ product, duplicateOf }] for each product dropped as a duplicate
+ *   clusters - number of clusters with more than one product
+ */
+function clusterDuplicates(products, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const hashes = settings.hashes || new Map();
+  const tokens = products.map(p => titleTokens(p.title));
+
+  // Union-find over product indexes
+  const parent = products.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < products.length; i++) {
+    const hashA = hashes.get(products[i].pid);
+    for (let j = i + 1; j < products.length; j++) {
+      const title = titleSimilarity(tokens[i], tokens[j]);
+      if (title < settings.minTitleSimilarity) continue;
+
+      const hashB = hashes.get(products[j].pid);
+      let duplicate = false;
+      if (hashA && hashB) {
+        duplicate = hammingDistance(hashA, hashB) <= settings.maxImageDistance;
+      } else {
+        duplicate = title >= settings.titleOnlySimilarity;
+      }
+
+      if (duplicate) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map(); // root -> [index]
+  products.forEach((_, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const compare = compareProducts(settings.prefer);
+  const keep = new Map();  // representative index -> alternates
+  const removed = [];
+  let clusters = 0;
+
+  for (const members of groups.values()) {
+    const [best, ...rest] = [...members].sort((a, b) => compare(products[a], products[b]));
+    if (rest.length === 0) {
+      keep.set(best, null);
+      continue;
+    }
+    clusters++;
+    const bestHash = hashes.get(products[best].pid);
+    const alternates = rest.map(i => {
+      const hash = hashes.get(products[i].pid);
+      removed.push({ product: products[i], duplicateOf: products[best].pid });
+      return {
+        pid: products[i].pid,
+        title: products[i].title,
+        sellPrice: products[i].sellPrice,
+        warehouseInventoryNum: products[i].warehouseInventoryNum,
+        image: products[i].image,
+        url: products[i].url,
+        // Relative to the representative (members may be linked through another alternate)
+        titleSimilarity: parseFloat(titleSimilarity(tokens[best], tokens[i]).toFixed(2)),
+        imageDistance: bestHash && hash ? hammingDistance(bestHash, hash) : null
+      };
+    });
+    keep.set(best, alternates);
+  }
+
+  const representatives = products
+    .map((product, i) => {
+      if (!keep.has(i)) return null;
+      const alternates = keep.get(i);
+      return alternates ? { ...product, alternates } : product;
+    })
+    .filter(Boolean);
+
+  return { representatives, removed, clusters };
+}
+
+module.exports = {
+  DEFAULTS,
+  normalizeDedupeOptions,
+  titleSimilarity,
+  perceptualHash,
+  hammingDistance,
+  getImageHash,
+  clusterDuplicates
+};
@@ -0,0 +1,155 @@
+/**
+ * Text Filter Rules
+ * Editable text-reject rules for the scrape text filter, stored in
+ * config/text_filter_rules.json and managed through /api/filter-rules.
+ *
+ * A rule applies when the search contains one of its triggers. It rejects a
+ * product whose title contains one of its rejectTerms, unless the title also
+ * contains one of its exceptTerms. Rules are checked in order.
+ *
+ * The file is re-read whenever it changes on disk, so edits (from the API or
+ * by hand) apply to the next scrape without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RULES_FILE = path.join(__dirname, 'config/text_filter_rules.json');
+
+let cached = null;      // { mtimeMs, rules }
+
+function readRulesFile() {
+  try {
+    const mtimeMs = fs.statSync(RULES_FILE).mtimeMs;
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.rules;
+    }
+    const data = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+    cached = { mtimeMs, rules: Array.isArray(data.rules) ? data.rules : [] };
+    console.log(`[Filter Rules] Loaded ${cached.rules.length} text filter rules`);
+    return cached.rules;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('[Filter Rules] Failed to read rules:', err.message);
+    }
+    return cached ? cached.rules : [];
+  }
+}
+
+function writeRulesFile(rules) {
+  fs.mkdirSync(path.dirname(RULES_FILE), { recursive: true });
+  fs.writeFileSync(RULES_FILE, JSON.stringify({ rules }, null, 2));
+  cached = { mtimeMs: fs.statSync(RULES_FILE).mtimeMs, rules };
+}
+
+function normalizeTerms(terms) {
+  if (!Array.isArray(terms)) return [];
+  return Array.from(new Set(
+    terms
+      .filter(t => typeof t === 'string')
+      .map(t => t.toLowerCase().trim())
+      .filter(Boolean)
+  ));
+}
+
+/**
+ * Validate and normalize a rule from a request body
+ * @param {Object} input - { name, triggers, rejectTerms, exceptTerms, enabled }
+ * @returns {Object} Normalized rule fields (without id)
+ * @throws {Error} If triggers or rejectTerms are missing
+ */
+function normalizeRule(input = {}) {
+  const rule = {
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    triggers: normalizeTerms(input.triggers),
+    rejectTerms: normalizeTerms(input.rejectTerms),
+    exceptTerms: normalizeTerms(input.exceptTerms),
+    enabled: input.enabled !== false
+  };
+  if (rule.triggers.length === 0) {
+    throw new Error('triggers must be a non-empty array of search terms');
+  }
+  if (rule.rejectTerms.length === 0) {
+    throw new Error('rejectTerms must be a non-empty array of title terms');
+  }
+  return rule;
+}
+
+/**
+ * Get all rules in evaluation order
+ * @returns {Array} Rules
+ */
+function listRules() {
+  return readRulesFile();
+}
+
+/**
+ * Add a rule at the end of the list
+ * @param {Object} input - Rule fields (see normalizeRule)
+ * @returns {Object} Stored rule with its generated id
+ */
+function createRule(input) {
+  const rule = { id: `rule_${crypto.randomBytes(4).toString('hex')}`, ...normalizeRule(input) };
+  writeRulesFile([...readRulesFile(), rule]);
+  return rule;
+}
+
+/**
+ * Replace a rule's fields, keeping its id and position
+ * @param {string} id - Rule ID
+ * @param {Object} input - Rule fields (see normalizeRule)
+ * @returns {Object|null} Updated rule or null if not found
+ */
+function updateRule(id, input) {
+  const rules = readRulesFile();
+  const index = rules.findIndex(r => r.id === id);
+  if (index === -1) return null;
+  const rule = { id, ...normalizeRule({ ...rules[index], ...input }) };
+  writeRulesFile(rules.map((r, i) => (i === index ? rule : r)));
+  return rule;
+}
+
+/**
+ * Remove a rule
+ * @param {string} id - Rule ID
+ * @returns {boolean} True if a rule was removed
+ */
+function deleteRule(id) {
+  const rules = readRulesFile();
+  const remaining = rules.filter(r => r.id !== id);
+  if (remaining.length === rules.length) return false;
+  writeRulesFile(remaining);
+  return true;
+}
+
+/**
+ * Find the first rule that rejects a title for a search
+ * @param {string} lowerTitle - Lowercased product title
+ * @param {string} lowerSearch - Lowercased search term
+ * @param {Array} rules - Rules from listRules()
+ * @returns {Object|null} { rule, term } or null if nothing rejects the title
+ */
+function findTextReject(lowerTitle, lowerSearch, rules = listRules()) {
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    if (!rule.triggers.some(trigger => lowerSearch.includes(trigger))) continue;
+
+    const term = rule.rejectTerms.find(reject => lowerTitle.includes(reject));
+    if (!term) continue;
+
+    const excepted = (rule.exceptTerms || []).some(except => lowerTitle.includes(except));
+    if (!excepted) {
+      return { rule, term };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  findTextReject
+};
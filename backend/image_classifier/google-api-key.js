@@ -0,0 +1,31 @@
+/**
+ * Google Vision - API Key provider
+ *
+ * Calls the images:annotate REST endpoint with GOOGLE_VISION_API_KEY.
+ */
+
+const axios = require('axios');
+
+module.exports = {
+  name: 'google-api-key',
+  description: 'Google Vision (API key)',
+  cacheNamespace: 'google',
+
+  isAvailable() {
+    return !!process.env.GOOGLE_VISION_API_KEY;
+  },
+
+  async classify(imageBuffer) {
+    const visionResponse = await axios.post(
+      `https://vision.googleapis.com/v1/images:annotate?key=${process.env.GOOGLE_VISION_API_KEY}`,
+      {
+        requests: [{
+          image: { content: imageBuffer.toString('base64') },
+          features: [{ type: 'LABEL_DETECTION', maxResults: 15 }]
+        }]
+      },
+      { timeout: 15000 }
+    );
+    return visionResponse.data.responses[0]?.labelAnnotations || [];
+  }
+};
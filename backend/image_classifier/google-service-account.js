@@ -0,0 +1,38 @@
+/**
+ * Google Vision - Service Account provider
+ *
+ * Uses @google-cloud/vision with GOOGLE_APPLICATION_CREDENTIALS
+ * (server.js writes GOOGLE_CREDENTIALS_JSON to a file at startup).
+ * gRPC bypasses axios, so MOCK_MODE record/replay goes through mockCall().
+ */
+
+const { mockCall } = require('../mock-http');
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    const vision = require('@google-cloud/vision');
+    client = new vision.ImageAnnotatorClient();
+  }
+  return client;
+}
+
+module.exports = {
+  name: 'google-service-account',
+  description: 'Google Vision (service account)',
+  cacheNamespace: 'google',
+
+  isAvailable() {
+    return !!(process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_CREDENTIALS_JSON);
+  },
+
+  async classify(imageBuffer) {
+    return mockCall('vision', 'labelDetection', imageBuffer, async () => {
+      const [result] = await getClient().labelDetection({
+        image: { content: imageBuffer }
+      });
+      return result.labelAnnotations || [];
+    });
+  }
+};
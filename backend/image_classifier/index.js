@@ -0,0 +1,66 @@
+/**
+ * Image Classifier Module
+ *
+ * Provider registry for product image classification. Every provider
+ * returns Vision-style labels ([{ description, score }]) so the same
+ * valid/reject label rules apply whichever backend produced them.
+ *
+ * Provider interface:
+ *   name          - id used in requests ('google-service-account', ...)
+ *   description   - human readable name for logs and the UI
+ *   cacheNamespace - label cache namespace ('google' providers share labels)
+ *   isAvailable() - true when the provider can run (credentials present)
+ *   contextKey(context) - optional; providers whose labels depend on product text
+ *   classify(imageBuffer, context) - Promise<Array<{ description, score }>>
+ */
+
+const googleServiceAccount = require('./google-service-account');
+const googleApiKey = require('./google-api-key');
+const local = require('./local');
+
+const PROVIDERS = {
+  [googleServiceAccount.name]: googleServiceAccount,
+  [googleApiKey.name]: googleApiKey,
+  [local.name]: local
+};
+
+// 'auto' picks the first available provider - the local one always is
+const AUTO_ORDER = [googleServiceAccount.name, googleApiKey.name, local.name];
+
+/**
+ * List providers and whether they can run right now
+ * @returns {Array<Object>} [{ name, description, available }]
+ */
+function listClassifiers() {
+  return Object.values(PROVIDERS).map(p => ({
+    name: p.name,
+    description: p.description,
+    available: p.isAvailable()
+  }));
+}
+
+/**
+ * Resolve a provider by name
+ * @param {string} name - Provider name or 'auto' (default)
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown or not configured
+ */
+function resolveClassifier(name = 'auto') {
+  if (!name || name === 'auto') {
+    return PROVIDERS[AUTO_ORDER.find(n => PROVIDERS[n].isAvailable())];
+  }
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown image classifier "${name}" (available: auto, ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (!provider.isAvailable()) {
+    throw new Error(`Image classifier "${name}" is not configured on this server`);
+  }
+  return provider;
+}
+
+module.exports = {
+  listClassifiers,
+  resolveClassifier,
+  PROVIDERS
+};
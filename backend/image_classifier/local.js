@@ -0,0 +1,167 @@
+/**
+ * Local (offline) provider
+ *
+ * No cloud calls. The image heuristics (inspectImage) reject downloads that
+ * can't be a usable product photo - not an image, unreadable dimensions, tiny,
+ * banner/strip shaped or near-blank - and a rejected image gets no labels, so
+ * it fails the label rules whatever the title says. Images that pass get labels
+ * derived from the product title and CJ category so the usual valid/reject
+ * label rules still mean something without Vision keys.
+ * Deterministic for a given image + title + category, which also makes it
+ * the backend to use in tests.
+ */
+
+const crypto = require('crypto');
+
+const MIN_IMAGE_SIDE = 100;     // Smaller than this is a placeholder/thumbnail
+const MIN_IMAGE_BYTES = 1024;
+const MAX_ASPECT_RATIO = 3;     // Wider/taller than 3:1 is a banner, size chart or text strip
+const MIN_BYTES_PER_PIXEL = 0.015; // Flat placeholder or blank images compress to almost nothing
+const TITLE_SCORE = 0.9;
+const PHRASE_SCORE = 0.95;
+const CATEGORY_SCORE = 0.8;
+
+// Listing filler that says nothing about what the product is
+const STOP_WORDS = new Set([
+  'and', 'for', 'the', 'with', 'new', 'hot', 'sale', 'style', 'fashion', 'pcs', 'set',
+  'from', 'free', 'shipping', 'high', 'quality', 'women', 'men', 'home', 'cross', 'border',
+  'amazon', 'explosive', 'models', 'creative', 'simple', 'modern', 'product', 'products'
+]);
+
+/**
+ * Read format and dimensions from an image header (PNG, JPEG, GIF, WebP)
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object} { format, width, height } - format is null if unrecognised
+ */
+function readImageInfo(buffer) {
+  const info = { format: null, width: null, height: null };
+  if (!buffer || buffer.length < 12) return info;
+
+  // PNG: signature + IHDR
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.length >= 24) {
+    return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: GIF87a / GIF89a
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: RIFF....WEBP + VP8 / VP8L / VP8X chunk
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' && buffer.length >= 30) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+      return { format: 'webp', width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    if (chunk === 'VP8 ') {
+      return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { format: 'webp', width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+    }
+    return { format: 'webp', width: null, height: null };
+  }
+
+  // JPEG: walk markers to the first SOFn frame header
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) {
+        return { format: 'jpeg', height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return { format: 'jpeg', width: null, height: null };
+  }
+
+  return info;
+}
+
+/**
+ * Decide whether downloaded bytes can be a usable product photo
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object} { ok, reason, info } - reason says why it was rejected
+ */
+function inspectImage(buffer) {
+  const info = readImageInfo(buffer);
+  const reject = reason => ({ ok: false, reason, info });
+
+  // Error page, placeholder HTML or a truncated download
+  if (!info.format || buffer.length < MIN_IMAGE_BYTES) return reject('not_an_image');
+  if (!info.width || !info.height) return reject('unreadable_dimensions');
+  if (Math.min(info.width, info.height) < MIN_IMAGE_SIDE) return reject('too_small');
+  if (Math.max(info.width, info.height) / Math.min(info.width, info.height) > MAX_ASPECT_RATIO) {
+    return reject('banner_shape');
+  }
+  if (buffer.length / (info.width * info.height) < MIN_BYTES_PER_PIXEL) return reject('near_blank');
+  return { ok: true, reason: null, info };
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(w => w.length > 2 && !STOP_WORDS.has(w));
+}
+
+/**
+ * Derive labels from title and category text
+ * @param {Object} context - { title, categoryName }
+ * @returns {Array} [{ description, score }]
+ */
+function textLabels(context) {
+  const labels = new Map();
+  const add = (description, score) => {
+    if (!labels.has(description) || labels.get(description) < score) {
+      labels.set(description, score);
+    }
+  };
+
+  const titleWords = tokenize(context.title);
+  titleWords.forEach(word => add(word, TITLE_SCORE));
+  // Adjacent pairs keep phrases like "throw pillow" distinguishable from "throw blanket"
+  for (let i = 0; i < titleWords.length - 1; i++) {
+    add(`${titleWords[i]} ${titleWords[i + 1]}`, PHRASE_SCORE);
+  }
+
+  tokenize(context.categoryName).forEach(word => add(word, CATEGORY_SCORE));
+
+  return Array.from(labels, ([description, score]) => ({ description, score }));
+}
+
+module.exports = {
+  name: 'local',
+  description: 'Local heuristics (offline)',
+  cacheNamespace: 'local',
+
+  isAvailable() {
+    return true;
+  },
+
+  // Labels depend on the product text as well as the image
+  contextKey(context) {
+    return crypto.createHash('sha1')
+      .update(`${context.title || ''}|${context.categoryName || ''}`)
+      .digest('hex')
+      .substring(0, 12);
+  },
+
+  async classify(imageBuffer, context = {}) {
+    // No labels for an image that can't be a product photo - the title alone never passes it
+    if (!inspectImage(imageBuffer).ok) {
+      return [];
+    }
+
+    return textLabels(context);
+  },
+
+  readImageInfo,
+  inspectImage
+};
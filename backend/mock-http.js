@@ -0,0 +1,392 @@
+/**
+ * Mock HTTP (record / replay)
+ * Sits under every outgoing call so the app can run offline against recorded
+ * responses - for demos and for reproducing a scrape, upload or price sync exactly.
+ *
+ *   MOCK_MODE=record  Real requests go out; each response is saved as a fixture
+ *   MOCK_MODE=replay  Requests are answered from fixtures, nothing leaves the machine
+ *
+ * Covers axios (CJ API, Shopify GraphQL, Vision API key, image downloads), global
+ * fetch (Gemini SDK) and, through mockCall(), SDK clients that don't use either
+ * (Vision service account over gRPC).
+ *
+ * Fixtures live in MOCK_FIXTURES_DIR (default backend/fixtures), one JSON file per
+ * request under a folder per service (cj, shopify, gemini, vision, http). The file
+ * name is a hash of method + URL + body, with API keys left out of the URL. Shopify
+ * fixtures also keep the GraphQL body they answer. A request that returns something
+ * different later in the session is appended, and replay serves the responses in the
+ * same order and number (repeating the last one), so a recorded preview -> sync ->
+ * preview plays back the same way.
+ *
+ * Replay misses fail like an unreachable host (code ENOTFOUND), so the app's own
+ * offline fallbacks kick in. CJ auth calls are never recorded (they carry tokens).
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['record', 'replay'];
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+const MANIFEST_FILE = path.join(FIXTURES_DIR, 'manifest.json');
+const PLACEHOLDER = 'mock-replay';
+
+// Credentials the routes check for - replay sets placeholders for the ones present while recording
+const CREDENTIALS = {
+  cj: ['CJ_API_TOKEN'],
+  gemini: ['GEMINI_API_KEY'],
+  visionApiKey: ['GOOGLE_VISION_API_KEY'],
+  visionServiceAccount: ['GOOGLE_APPLICATION_CREDENTIALS']
+};
+
+const SECRET_PARAMS = ['key', 'access_token', 'token'];
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+let mode = null;
+const fixtures = new Map(); // file -> parsed fixture
+const served = new Map(); // file -> responses served so far (replay)
+const stats = { recorded: 0, replayed: 0, missed: 0 };
+
+function isLocal(url) {
+  return /^https?:\/\/(localhost|127\.0\.0\.1)[:/]/.test(url);
+}
+
+function serviceFor(url) {
+  if (url.includes('cjdropshipping.com')) return 'cj';
+  if (url.includes('.myshopify.com')) return 'shopify';
+  if (url.includes('generativelanguage.googleapis.com')) return 'gemini';
+  if (url.includes('vision.googleapis.com')) return 'vision';
+  return 'http';
+}
+
+function stripSecrets(url) {
+  try {
+    const parsed = new URL(url);
+    SECRET_PARAMS.forEach(param => parsed.searchParams.delete(param));
+    return parsed.toString();
+  } catch (e) {
+    return url;
+  }
+}
+
+function bodyString(body) {
+  if (body === undefined || body === null) return '';
+  if (typeof body === 'string') return body;
+  if (Buffer.isBuffer(body) || body instanceof Uint8Array) return Buffer.from(body).toString('base64');
+  return JSON.stringify(body);
+}
+
+function fixtureFile(service, method, url, body) {
+  const hash = crypto.createHash('sha1')
+    .update(`${method.toUpperCase()} ${url}\n${bodyString(body)}`)
+    .digest('hex')
+    .slice(0, 20);
+  return path.join(FIXTURES_DIR, service, `${hash}.json`);
+}
+
+function loadFixture(file) {
+  if (!fixtures.has(file)) {
+    try {
+      fixtures.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      fixtures.set(file, null);
+    }
+  }
+  return fixtures.get(file);
+}
+
+// Response body as stored: parsed JSON when possible so fixtures stay readable, base64 for binary
+function encodeBody(data) {
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    return { base64: Buffer.from(data).toString('base64') };
+  }
+  if (typeof data === 'string') {
+    try {
+      return { json: JSON.parse(data) };
+    } catch (e) {
+      return { text: data };
+    }
+  }
+  return { json: data === undefined ? null : data };
+}
+
+function decodeBody(saved, asString) {
+  if (saved.base64 !== undefined) return Buffer.from(saved.base64, 'base64');
+  if (saved.text !== undefined) return saved.text;
+  return asString ? JSON.stringify(saved.json) : saved.json;
+}
+
+function pickHeaders(headers) {
+  const picked = {};
+  if (!headers) return picked;
+  for (const name of KEPT_HEADERS) {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    if (value !== undefined && value !== null) picked[name] = String(value);
+  }
+  return picked;
+}
+
+// A response repeated back to back is stored once with a `times` count, so replay
+// still knows when the next (different) response starts
+function saveResponse(file, request, response) {
+  const fixture = loadFixture(file) || { request, responses: [] };
+  const last = fixture.responses[fixture.responses.length - 1];
+  const { times, ...lastResponse } = last || {};
+  if (last && JSON.stringify(lastResponse) === JSON.stringify(response)) {
+    last.times = (times || 1) + 1;
+  } else {
+    fixture.responses.push(response);
+    stats.recorded++;
+  }
+
+  fixtures.set(file, fixture);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+}
+
+// Next recorded response for this request (the last one once the sequence runs out)
+function nextResponse(file) {
+  const fixture = loadFixture(file);
+  if (!fixture || fixture.responses.length === 0) return null;
+  const count = served.get(file) || 0;
+  served.set(file, count + 1);
+  stats.replayed++;
+
+  let seen = 0;
+  for (const response of fixture.responses) {
+    seen += response.times || 1;
+    if (count < seen) return response;
+  }
+  return fixture.responses[fixture.responses.length - 1];
+}
+
+function missError(description) {
+  stats.missed++;
+  const error = new Error(`MOCK_MODE replay: no fixture for ${description}`);
+  error.code = 'ENOTFOUND';
+  console.warn(`[Mock] ${error.message}`);
+  return error;
+}
+
+// ---- axios ----
+
+// What a fixture notes about its request - Shopify GraphQL keeps the query and variables,
+// so a fixture shows what the app sent (tokens travel in headers, which aren't stored)
+function requestInfo(service, method, url, body) {
+  const request = { method, url };
+  if (service === 'shopify' && typeof body === 'string') {
+    try {
+      request.body = JSON.parse(body);
+    } catch (e) {
+      // Not JSON - the hash alone identifies it
+    }
+  }
+  return request;
+}
+
+function axiosRequest(config) {
+  const url = stripSecrets(axios.getUri(config));
+  const method = (config.method || 'get').toUpperCase();
+  const service = serviceFor(url);
+  return {
+    method,
+    url,
+    file: fixtureFile(service, method, url, config.data),
+    request: requestInfo(service, method, url, config.data)
+  };
+}
+
+function axiosAdapter(realAdapter) {
+  return async (config) => {
+    const fullUrl = axios.getUri(config);
+    if (isLocal(fullUrl)) return realAdapter(config);
+    const { method, url, file, request } = axiosRequest(config);
+
+    if (mode === 'record') {
+      if (url.includes('/authentication/')) return realAdapter(config);
+      let response;
+      try {
+        response = await realAdapter(config);
+      } catch (error) {
+        if (error.response) {
+          saveResponse(file, request, {
+            status: error.response.status,
+            headers: pickHeaders(error.response.headers),
+            ...encodeBody(error.response.data)
+          });
+        }
+        throw error;
+      }
+      saveResponse(file, request, {
+        status: response.status,
+        headers: pickHeaders(response.headers),
+        ...encodeBody(response.data)
+      });
+      return response;
+    }
+
+    const saved = nextResponse(file);
+    if (!saved) {
+      throw new axios.AxiosError(missError(`${method} ${url}`).message, 'ENOTFOUND', config);
+    }
+    const response = {
+      data: decodeBody(saved, true),
+      status: saved.status,
+      statusText: String(saved.status),
+      headers: new axios.AxiosHeaders(saved.headers || {}),
+      config,
+      request: {}
+    };
+    const validateStatus = config.validateStatus;
+    if (validateStatus && !validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+    return response;
+  };
+}
+
+// ---- fetch ----
+
+function fetchWrapper(realFetch) {
+  return async (input, init = {}) => {
+    const rawUrl = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+    if (isLocal(rawUrl)) return realFetch(input, init);
+    const url = stripSecrets(rawUrl);
+    const method = (init.method || input.method || 'GET').toUpperCase();
+    const file = fixtureFile(serviceFor(url), method, url, init.body);
+
+    if (mode === 'record') {
+      const response = await realFetch(input, init);
+      const text = await response.clone().text();
+      saveResponse(file, { method, url }, {
+        status: response.status,
+        headers: pickHeaders(response.headers),
+        ...encodeBody(text)
+      });
+      return response;
+    }
+
+    const saved = nextResponse(file);
+    if (!saved) {
+      throw new TypeError('fetch failed', { cause: missError(`${method} ${url}`) });
+    }
+    return new Response(decodeBody(saved, true), { status: saved.status, headers: saved.headers });
+  };
+}
+
+// ---- manifest ----
+
+function writeManifest() {
+  const credentials = {};
+  for (const [name, vars] of Object.entries(CREDENTIALS)) {
+    credentials[name] = vars.some(v => process.env[v]);
+  }
+  // Managed CJ tokens and service account JSON count too
+  credentials.cj = credentials.cj || !!(process.env.CJ_EMAIL && process.env.CJ_API_KEY);
+  credentials.visionServiceAccount = credentials.visionServiceAccount || !!process.env.GOOGLE_CREDENTIALS_JSON;
+
+  const previous = readManifest();
+  const manifest = {
+    recordedAt: new Date().toISOString(),
+    credentials: previous
+      ? Object.fromEntries(Object.keys(credentials).map(k => [k, credentials[k] || !!previous.credentials?.[k]]))
+      : credentials
+  };
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Routes refuse to run without credentials, so stand in for the ones the recording had
+function applyPlaceholders() {
+  const manifest = readManifest();
+  if (!manifest) {
+    console.warn(`[Mock] No fixtures recorded in ${FIXTURES_DIR} - every outgoing request will fail`);
+    return;
+  }
+  for (const [name, vars] of Object.entries(CREDENTIALS)) {
+    if (manifest.credentials?.[name] && !vars.some(v => process.env[v])) {
+      vars.forEach(v => { process.env[v] = PLACEHOLDER; });
+    }
+  }
+}
+
+/**
+ * Install the record/replay layer when MOCK_MODE is set - call before any
+ * request is made or credentials are read
+ * @returns {string|null} Active mode ('record' or 'replay'), or null when off
+ */
+function installMockMode() {
+  const requested = (process.env.MOCK_MODE || '').toLowerCase();
+  if (!requested || requested === 'off') return null;
+  if (!MODES.includes(requested)) {
+    console.warn(`[Mock] Unknown MOCK_MODE "${process.env.MOCK_MODE}" (use record or replay) - ignoring`);
+    return null;
+  }
+  mode = requested;
+
+  axios.defaults.adapter = axiosAdapter(axios.getAdapter(axios.defaults.adapter));
+  if (typeof globalThis.fetch === 'function') {
+    globalThis.fetch = fetchWrapper(globalThis.fetch);
+  }
+
+  if (mode === 'record') {
+    writeManifest();
+  } else {
+    applyPlaceholders();
+  }
+  console.log(`[Mock] MOCK_MODE=${mode} - fixtures in ${FIXTURES_DIR}`);
+  return mode;
+}
+
+/**
+ * Record or replay a call that doesn't go through axios or fetch (e.g. a gRPC SDK client)
+ * @param {string} service - Fixture folder (e.g. 'vision')
+ * @param {string} name - Operation name, part of the fixture key
+ * @param {*} input - Request input, hashed into the fixture key (Buffers are fine)
+ * @param {Function} call - Makes the real call; its JSON-serializable result is recorded
+ * @returns {Promise<*>} Result of call(), or the recorded result in replay mode
+ */
+async function mockCall(service, name, input, call) {
+  if (!mode) return call();
+  const file = fixtureFile(service, 'CALL', name, input);
+
+  if (mode === 'record') {
+    const result = await call();
+    saveResponse(file, { method: 'CALL', url: name }, { status: 200, json: result === undefined ? null : result });
+    return result;
+  }
+
+  const saved = nextResponse(file);
+  if (!saved) throw missError(`${service} ${name}`);
+  return decodeBody(saved, false);
+}
+
+/**
+ * Current mock state for /health
+ * @returns {Object|null} { mode, fixturesDir, recorded, replayed, missed }, or null when off
+ */
+function getMockMode() {
+  if (!mode) return null;
+  return { mode, fixturesDir: FIXTURES_DIR, ...stats };
+}
+
+module.exports = {
+  installMockMode,
+  mockCall,
+  getMockMode
+};
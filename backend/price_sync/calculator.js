@@ -22,7 +22,8 @@ function loadConfig() {
       max_price: null,
       round_to: 0.95,
       show_compare_at: false,
-      compare_at_markup: 1.3
+      compare_at_markup: 1.3,
+      cost_basis: 'product'
     };
   }
 }
@@ -52,14 +53,18 @@ function roundToEnding(price, ending = 0.95) {
 
 /**
  * Calculate Shopify price from CJ price
+ * With cost_basis "landed" the markup applies to CJ price + shipping_cost
+ * (see freight.js for the estimate); otherwise shipping is ignored.
  * @param {number} cjPrice - Original CJ price
- * @param {Object} options - Override options
- * @returns {Object} { price, compareAtPrice }
+ * @param {Object} options - Override options (plus shipping_cost for landed pricing)
+ * @returns {Object} { price, compareAtPrice, cost, costBasis }
  */
 function calculatePrice(cjPrice, options = {}) {
   const config = loadConfig();
   
   const markup = options.markup_multiplier || config.markup_multiplier;
+  const costBasis = options.cost_basis || config.cost_basis || 'product';
+  const shippingCost = costBasis === 'landed' ? (options.shipping_cost || 0) : 0;
   const minPrice = options.min_price ?? config.min_price;
   const maxPrice = options.max_price ?? config.max_price;
   const roundTo = options.round_to ?? config.round_to;
@@ -67,7 +72,8 @@ function calculatePrice(cjPrice, options = {}) {
   const compareAtMarkup = options.compare_at_markup ?? config.compare_at_markup;
   
   // Calculate base price with markup
-  let calculatedPrice = cjPrice * markup;
+  const cost = cjPrice + shippingCost;
+  let calculatedPrice = cost * markup;
   
   // Round to ending
   if (roundTo) {
@@ -95,7 +101,9 @@ function calculatePrice(cjPrice, options = {}) {
   
   return {
     price: parseFloat(calculatedPrice.toFixed(2)),
-    compareAtPrice: compareAtPrice ? parseFloat(compareAtPrice.toFixed(2)) : null
+    compareAtPrice: compareAtPrice ? parseFloat(compareAtPrice.toFixed(2)) : null,
+    cost: parseFloat(cost.toFixed(2)),
+    costBasis
   };
 }
 
@@ -0,0 +1,218 @@
+/**
+ * Freight Estimation Module
+ *
+ * Estimates shipping for one unit of a CJ product to the configured destination,
+ * so prices can be calculated on product + shipping (landed cost) instead of the
+ * bare CJ sellPrice.
+ *
+ * Providers:
+ *   cj   - CJ's logistic/freightCalculate endpoint (needs a variant ID and network access)
+ *   stub - offline estimate from the product weight and a small table of typical CJ lines
+ *   auto - cj when a token is set, falling back to stub when CJ can't be reached
+ */
+
+const { loadConfig } = require('./calculator');
+const { queryCJProduct } = require('../cj-api-scraper');
+const { cjPost } = require('../cj-client');
+
+const DEFAULT_FREIGHT_CONFIG = {
+  provider: 'auto',
+  origin_country: 'CN',
+  destination_country: 'US',
+  shipping_method: null // null = cheapest line
+};
+
+// Offline estimates: flat fee + per-kg rate (USD), roughly CJ's published rates to the US/EU
+const STUB_LINES = [
+  { logisticName: 'CJPacket Ordinary', base: 2.9, perKg: 9.5, aging: '10-20' },
+  { logisticName: 'CJPacket Liquid', base: 3.6, perKg: 11, aging: '12-22' },
+  { logisticName: 'USPS+', base: 4.2, perKg: 12.5, aging: '7-12' },
+  { logisticName: 'DHL Official', base: 16, perKg: 24, aging: '3-7' }
+];
+const STUB_DEFAULT_WEIGHT_G = 300;
+
+// Estimates barely move day to day - cache them like CJ prices
+const FREIGHT_CACHE_TTL = 24 * 60 * 60 * 1000;
+const freightCache = new Map(); // `${vid || pid}|${from}|${to}|${method}` -> { estimate, ts }
+const vidCache = new Map();     // pid -> { vid, weight }
+
+const NETWORK_ERRORS = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Freight settings from price_sync_config.json merged over the defaults
+ * @param {Object} overrides - Per-request settings (destination_country, shipping_method, provider)
+ * @returns {Object} Freight config
+ */
+function loadFreightConfig(overrides = {}) {
+  const config = loadConfig();
+  const merged = { ...DEFAULT_FREIGHT_CONFIG, ...(config.freight || {}) };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  }
+  return merged;
+}
+
+// "7-15" -> { minDays: 7, maxDays: 15 }
+function parseAging(aging) {
+  const days = String(aging || '').match(/\d+/g);
+  if (!days) return { minDays: null, maxDays: null };
+  return { minDays: Number(days[0]), maxDays: Number(days[days.length - 1]) };
+}
+
+/**
+ * Pick the configured shipping method, or the cheapest line
+ * @param {Array} lines - [{ logisticName, logisticPrice, logisticAging }]
+ * @param {string|null} method - Preferred logistic name (case-insensitive)
+ * @returns {Object|null} Chosen line
+ */
+function selectLine(lines, method) {
+  if (!lines || lines.length === 0) return null;
+  if (method) {
+    const wanted = method.toLowerCase();
+    const match = lines.find(line => (line.logisticName || '').toLowerCase() === wanted);
+    if (match) return match;
+    console.warn(`[Freight] Shipping method "${method}" not offered, using the cheapest line`);
+  }
+  return [...lines].sort((a, b) => a.logisticPrice - b.logisticPrice)[0];
+}
+
+function toEstimate(line, source, config) {
+  return {
+    logisticName: line.logisticName,
+    price: parseFloat(Number(line.logisticPrice).toFixed(2)),
+    deliveryDays: line.logisticAging || null,
+    ...parseAging(line.logisticAging),
+    origin: config.origin_country,
+    destination: config.destination_country,
+    source
+  };
+}
+
+/**
+ * Offline estimate from weight
+ * @param {number|null} weight - Grams (a default is assumed when unknown)
+ * @param {Object} config - Freight config
+ * @returns {Object} Estimate with source "stub"
+ */
+function estimateStub(weight, config) {
+  const kg = (weight || STUB_DEFAULT_WEIGHT_G) / 1000;
+  const lines = STUB_LINES.map(line => ({
+    logisticName: line.logisticName,
+    logisticPrice: line.base + line.perKg * kg,
+    logisticAging: line.aging
+  }));
+  return toEstimate(selectLine(lines, config.shipping_method), 'stub', config);
+}
+
+// Variant ID (and weight) for a product - freightCalculate quotes per variant
+async function resolveVariant(product, cjToken) {
+  const vid = product.vid || product.variants?.[0]?.vid;
+  if (vid) return { vid, weight: product.weight ?? product.variants?.[0]?.weight ?? null };
+  if (vidCache.has(product.pid)) return vidCache.get(product.pid);
+
+  const detail = await queryCJProduct(product.pid, cjToken, 'freight');
+  const resolved = {
+    vid: detail.variants?.[0]?.vid || null,
+    // Weight ranges ("450-600") take the upper bound
+    weight: Math.max(0, ...(String(detail.productWeight || '').match(/\d+(\.\d+)?/g) || []).map(Number)) || null
+  };
+  vidCache.set(product.pid, resolved);
+  return resolved;
+}
+
+async function estimateCJ(vid, cjToken, config) {
+  const body = await cjPost('/logistic/freightCalculate', {
+    startCountryCode: config.origin_country,
+    endCountryCode: config.destination_country,
+    products: [{ quantity: 1, vid }]
+  }, cjToken, { caller: 'freight' });
+
+  if (body.code !== 200) {
+    throw new Error(`CJ API Error: ${body.message || 'Unknown error'} (code: ${body.code})`);
+  }
+  const line = selectLine(body.data || [], config.shipping_method);
+  if (!line) {
+    throw new Error(`No CJ logistics line ships to ${config.destination_country}`);
+  }
+  return toEstimate(line, 'cj', config);
+}
+
+/**
+ * Estimate shipping for one unit of a product
+ * @param {Object} product - { pid, vid?, variants?, weight? } (scrape result or enriched document)
+ * @param {string} cjToken - CJ API token
+ * @param {Object} overrides - Freight config overrides for this call
+ * @returns {Promise<Object>} { logisticName, price, deliveryDays, minDays, maxDays, origin, destination, source }
+ * @throws {Error} If the CJ provider is forced and the estimate fails
+ */
+async function estimateFreight(product, cjToken, overrides = {}) {
+  const config = loadFreightConfig(overrides);
+  const provider = config.provider === 'auto' ? (cjToken ? 'cj' : 'stub') : config.provider;
+
+  if (provider === 'stub') {
+    return estimateStub(product.weight, config);
+  }
+
+  const cacheKey = `${product.vid || product.pid}|${config.origin_country}|${config.destination_country}|${config.shipping_method || ''}`;
+  const cached = freightCache.get(cacheKey);
+  if (cached && Date.now() - cached.ts < FREIGHT_CACHE_TTL) {
+    return cached.estimate;
+  }
+
+  let variant = { vid: null, weight: product.weight ?? null };
+  try {
+    variant = await resolveVariant(product, cjToken);
+    if (!variant.vid) {
+      throw new Error(`CJ product ${product.pid} has no variants to quote`);
+    }
+    const estimate = await estimateCJ(variant.vid, cjToken, config);
+    freightCache.set(cacheKey, { estimate, ts: Date.now() });
+    return estimate;
+  } catch (error) {
+    // Offline (or CJ unreachable) in auto mode: a rough estimate beats no landed price at all
+    if (config.provider === 'auto' && NETWORK_ERRORS.includes(error.code)) {
+      console.warn(`[Freight] CJ unreachable (${error.code}), using offline estimate for ${product.pid}`);
+      return estimateStub(variant.weight, config);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Shipping cost for pricing - only fetched when the pricing config uses landed cost
+ * @param {Object} product - { pid, ... }
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - Pricing options (cost_basis, freight) over price_sync_config.json
+ * @returns {Promise<Object|null>} Estimate, or null when cost_basis is "product"
+ */
+async function getPricingFreight(product, cjToken, options = {}) {
+  const config = { ...loadConfig(), ...options };
+  if (config.cost_basis !== 'landed') return null;
+  return estimateFreight(product, cjToken, config.freight);
+}
+
+/**
+ * Record the chosen logistics line and delivery estimate on a product
+ * @param {Object} product - Scrape result or enriched document
+ * @param {string} cjToken - CJ API token
+ * @param {Object} overrides - Freight config overrides
+ * @returns {Promise<Object>} Copy of the product with `shipping` and `landedCost`
+ */
+async function attachFreight(product, cjToken, overrides = {}) {
+  const shipping = await estimateFreight(product, cjToken, overrides);
+  const sellPrice = product.sellPrice ?? (parseFloat(String(product.price || '').replace(/[^\d.]/g, '')) || 0);
+  return {
+    ...product,
+    shipping,
+    landedCost: parseFloat((sellPrice + shipping.price).toFixed(2))
+  };
+}
+
+module.exports = {
+  loadFreightConfig,
+  selectLine,
+  estimateStub,
+  estimateFreight,
+  attachFreight,
+  getPricingFreight
+};
@@ -6,7 +6,9 @@
 
 const { generatePreview, executeSync, syncSingleProduct, formatPreviewOutput } = require('./sync');
 const { calculatePrice, calculateChange, formatPrice, loadConfig } = require('./calculator');
-const { fetchShopifyProducts, matchProducts, setCJMetafield } = require('./matcher');
+const { fetchShopifyProducts, findProductsByCJIds, matchProducts, setCJMetafield } = require('./matcher');
+const { estimateFreight, attachFreight, loadFreightConfig, getPricingFreight } = require('./freight');
+const { getProductPricer, pricingMetafield } = require('./pricing');
 
 module.exports = {
   // Main sync functions
@@ -21,8 +23,19 @@ module.exports = {
   formatPrice,
   loadConfig,
   
+  // Freight / landed cost
+  estimateFreight,
+  attachFreight,
+  loadFreightConfig,
+  getPricingFreight,
+  
+  // Upload/sync shared pricing
+  getProductPricer,
+  pricingMetafield,
+  
   // Matching
   fetchShopifyProducts,
+  findProductsByCJIds,
   matchProducts,
   setCJMetafield
 };
@@ -9,15 +9,114 @@
 
 const axios = require('axios');
 
-const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
+const { cjGet } = require('../cj-client');
+const { parsePricingOverride, PRICING_METAFIELD_KEY } = require('./pricing');
+
 const CJ_METAFIELD_NAMESPACE = 'custom';
 const CJ_METAFIELD_KEY = 'cj_product_id';
+const CJ_VARIANT_METAFIELD_KEY = 'cj_variant_id';
+
+// Product fields both the full scan and the CJ id lookup read
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  status
+  variants(first: 100) {
+    edges {
+      node {
+        id
+        title
+        sku
+        price
+        compareAtPrice
+        metafield(namespace: "${CJ_METAFIELD_NAMESPACE}", key: "${CJ_VARIANT_METAFIELD_KEY}") {
+          value
+        }
+      }
+    }
+  }
+  metafields(first: 10, namespace: "${CJ_METAFIELD_NAMESPACE}") {
+    edges {
+      node {
+        key
+        value
+      }
+    }
+  }
+`;
+
+/**
+ * Flatten a GraphQL product node into the shape sync and upload work with
+ * Top-level variant fields are the first variant's; `variants` has every variant with its custom.cj_variant_id
+ */
+function toShopifyProduct(node) {
+  const variants = node.variants.edges.map(({ node: v }) => ({
+    variantId: v.id.split('/').pop(),
+    graphqlId: v.id,
+    title: v.title,
+    sku: v.sku || null,
+    currentPrice: parseFloat(v.price) || 0,
+    currentCompareAtPrice: v.compareAtPrice ? parseFloat(v.compareAtPrice) : null,
+    cjVariantId: v.metafield?.value || null
+  }));
+  const variant = node.variants.edges[0]?.node || {};
+  const metafields = node.metafields.edges.reduce((acc, mf) => {
+    acc[mf.node.key] = mf.node.value;
+    return acc;
+  }, {});
+
+  return {
+    shopifyId: node.id.split('/').pop(),
+    graphqlId: node.id,
+    title: node.title,
+    handle: node.handle,
+    status: node.status,
+    variantId: variant.id?.split('/').pop(),
+    variantGraphqlId: variant.id,
+    sku: variant.sku || null,
+    currentPrice: parseFloat(variant.price) || 0,
+    currentCompareAtPrice: variant.compareAtPrice ? parseFloat(variant.compareAtPrice) : null,
+    cjProductId: metafields[CJ_METAFIELD_KEY] || null,
+    pricingOverride: parsePricingOverride(metafields[PRICING_METAFIELD_KEY]),
+    variants
+  };
+}
+
+/**
+ * POST one products page query. Throws unless Shopify returned the products connection -
+ * callers act on "not in the store", so a missing page must never look like an empty one.
+ */
+async function fetchProductsPage(endpoint, shopifyStore, shopifyToken, query, variables) {
+  let response;
+  try {
+    response = await axios.post(endpoint, { query, variables }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': shopifyToken
+      },
+      timeout: 30000
+    });
+  } catch (error) {
+    console.error('[Matcher] Error fetching products:', error.message, 'Status:', error.response?.status, 'URL:', error.config?.url);
+    throw new Error(`Shopify API error: ${error.message} (store: ${shopifyStore})`);
+  }
+
+  const data = response.data?.data?.products;
+  if (!data || response.data.errors?.length > 0) {
+    const reason = response.data?.errors?.map(e => e.message).join(', ') || 'no products data in response';
+    console.error(`[Matcher] Incomplete product fetch: ${reason}`);
+    throw new Error(`Shopify API error: ${reason} (store: ${shopifyStore})`);
+  }
+  return { data, extensions: response.data.extensions };
+}
 
 /**
  * Fetch all products from Shopify with metafields
  * @param {string} shopifyStore - Shopify store URL
  * @param {string} shopifyToken - Shopify access token
  * @returns {Promise<Array>} Array of products
+ * @throws {Error} When any page fails - a partial catalog is never returned
  */
 async function fetchShopifyProducts(shopifyStore, shopifyToken) {
   const cleanStoreUrl = shopifyStore.replace(/^https?:\/\//i, '').replace(/\/+$/, '');
@@ -29,102 +128,112 @@ async function fetchShopifyProducts(shopifyStore, shopifyToken) {
   
   console.log('[Matcher] Fetching Shopify products...');
   
-  while (hasNextPage) {
-    const query = `
-      query GetProducts($cursor: String) {
-        products(first: 100, after: $cursor) {
-          pageInfo {
-            hasNextPage
-            endCursor
-          }
-          edges {
-            node {
-              id
-              title
-              handle
-              status
-              variants(first: 1) {
-                edges {
-                  node {
-                    id
-                    sku
-                    price
-                    compareAtPrice
-                  }
-                }
-              }
-              metafields(first: 10, namespace: "${CJ_METAFIELD_NAMESPACE}") {
-                edges {
-                  node {
-                    key
-                    value
-                  }
-                }
-              }
-            }
-          }
+  const query = `
+    query GetProducts($cursor: String) {
+      products(first: 100, after: $cursor) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {${PRODUCT_FIELDS}}
         }
       }
-    `;
+    }
+  `;
+  
+  while (hasNextPage) {
+    const { data } = await fetchProductsPage(GRAPHQL_ENDPOINT, shopifyStore, shopifyToken, query, { cursor });
     
-    try {
-      const response = await axios.post(GRAPHQL_ENDPOINT, {
-        query,
-        variables: { cursor }
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': shopifyToken
-        },
-        timeout: 30000
-      });
-      
-      const data = response.data.data?.products;
-      if (!data) {
-        console.error('[Matcher] No products data in response');
-        break;
+    allProducts = allProducts.concat(data.edges.map(edge => toShopifyProduct(edge.node)));
+    hasNextPage = data.pageInfo.hasNextPage;
+    cursor = data.pageInfo.endCursor;
+    
+    console.log(`[Matcher] Fetched ${allProducts.length} products...`);
+    
+    // Rate limiting
+    if (hasNextPage) await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  
+  console.log(`[Matcher] Total products fetched: ${allProducts.length}`);
+  return allProducts;
+}
+
+// CJ ids per search query - keeps the OR'd query string well under Shopify's limits
+const LOOKUP_CHUNK = 25;
+
+/**
+ * Find the store's products for a set of CJ product ids via a custom.cj_product_id
+ * metafield search, instead of scanning the whole catalog.
+ *
+ * Search hits are re-checked against the metafield value, and stores where Shopify
+ * can't filter on the metafield (it reports the search field as invalid) fall back
+ * to the full scan. Either way a failed page throws.
+ * @param {string} shopifyStore - Shopify store URL
+ * @param {string} shopifyToken - Shopify access token
+ * @param {Array<string>} pids - CJ product ids
+ * @returns {Promise<Map<string, Object>>} CJ product id -> first matching store product
+ */
+async function findProductsByCJIds(shopifyStore, shopifyToken, pids) {
+  const wanted = [...new Set(pids.filter(Boolean).map(String))];
+  const byPid = new Map();
+  if (wanted.length === 0) return byPid;
+
+  // Metafield filters in the products search query need 2024-07+
+  const cleanStoreUrl = shopifyStore.replace(/^https?:\/\//i, '').replace(/\/+$/, '');
+  const GRAPHQL_ENDPOINT = `https://${cleanStoreUrl}/admin/api/2024-07/graphql.json`;
+
+  const query = `
+    query FindCJProducts($search: String!, $cursor: String) {
+      products(first: 100, after: $cursor, query: $search) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {${PRODUCT_FIELDS}}
+        }
       }
-      
-      const products = data.edges.map(edge => {
-        const node = edge.node;
-        const variant = node.variants.edges[0]?.node || {};
-        const metafields = node.metafields.edges.reduce((acc, mf) => {
-          acc[mf.node.key] = mf.node.value;
-          return acc;
-        }, {});
-        
-        return {
-          shopifyId: node.id.split('/').pop(),
-          graphqlId: node.id,
-          title: node.title,
-          handle: node.handle,
-          status: node.status,
-          variantId: variant.id?.split('/').pop(),
-          variantGraphqlId: variant.id,
-          sku: variant.sku || null,
-          currentPrice: parseFloat(variant.price) || 0,
-          currentCompareAtPrice: variant.compareAtPrice ? parseFloat(variant.compareAtPrice) : null,
-          cjProductId: metafields[CJ_METAFIELD_KEY] || null
-        };
+    }
+  `;
+
+  const field = `metafields.${CJ_METAFIELD_NAMESPACE}.${CJ_METAFIELD_KEY}`;
+  for (let i = 0; i < wanted.length; i += LOOKUP_CHUNK) {
+    const chunk = wanted.slice(i, i + LOOKUP_CHUNK);
+    const search = chunk.map(pid => `${field}:"${pid.replace(/["\\]/g, '')}"`).join(' OR ');
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const { data, extensions } = await fetchProductsPage(GRAPHQL_ENDPOINT, shopifyStore, shopifyToken, query, { search, cursor });
+
+      // An unsupported filter is ignored by Shopify, not rejected - the hits would be arbitrary products
+      const warnings = (extensions?.search || []).flatMap(s => s.warnings || []);
+      if (warnings.some(w => w.field === field || /invalid search field/i.test(w.message || ''))) {
+        console.warn(`[Matcher] Store can't search ${field} - falling back to a full product scan`);
+        const all = await fetchShopifyProducts(shopifyStore, shopifyToken);
+        const wantedSet = new Set(wanted);
+        byPid.clear();
+        all.forEach(p => {
+          if (wantedSet.has(p.cjProductId) && !byPid.has(p.cjProductId)) byPid.set(p.cjProductId, p);
+        });
+        return byPid;
+      }
+
+      data.edges.forEach(edge => {
+        const product = toShopifyProduct(edge.node);
+        if (chunk.includes(product.cjProductId) && !byPid.has(product.cjProductId)) {
+          byPid.set(product.cjProductId, product);
+        }
       });
-      
-      allProducts = allProducts.concat(products);
       hasNextPage = data.pageInfo.hasNextPage;
       cursor = data.pageInfo.endCursor;
-      
-      console.log(`[Matcher] Fetched ${allProducts.length} products...`);
-      
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 200));
-      
-    } catch (error) {
-      console.error('[Matcher] Error fetching products:', error.message, 'Status:', error.response?.status, 'URL:', error.config?.url);
-      throw new Error(`Shopify API error: ${error.message} (store: ${shopifyStore})`);
+      if (hasNextPage) await new Promise(resolve => setTimeout(resolve, 200));
     }
   }
-  
-  console.log(`[Matcher] Total products fetched: ${allProducts.length}`);
-  return allProducts;
+
+  console.log(`[Matcher] ${byPid.size}/${wanted.length} CJ products found in the store`);
+  return byPid;
 }
 
 /**
@@ -135,14 +244,10 @@ async function fetchShopifyProducts(shopifyStore, shopifyToken) {
  */
 async function fetchCJProduct(cjProductId, cjToken) {
   try {
-    const response = await axios.get(`${CJ_API_BASE}/product/query`, {
-      params: { pid: cjProductId },
-      headers: { 'CJ-Access-Token': cjToken },
-      timeout: 10000
-    });
+    const body = await cjGet('/product/query', { pid: cjProductId }, cjToken, { caller: 'sync', timeout: 10000 });
     
-    if (response.data.result && response.data.data) {
-      return response.data.data;
+    if (body.result && body.data) {
+      return body.data;
     }
     return null;
   } catch (error) {
@@ -162,15 +267,13 @@ async function fetchCJPricesBatch(productIds, cjToken) {
   
   console.log(`[Matcher] Fetching prices for ${productIds.length} CJ products...`);
   
-  // CJ API doesn't have batch endpoint, fetch individually with rate limiting
+  // CJ API doesn't have batch endpoint, fetch individually (paced by the shared CJ client)
   for (const pid of productIds) {
     try {
       const product = await fetchCJProduct(pid, cjToken);
       if (product && product.sellPrice) {
         priceMap.set(pid, parseFloat(product.sellPrice));
       }
-      // Rate limiting - CJ API is sensitive
-      await new Promise(resolve => setTimeout(resolve, 300));
     } catch (error) {
       console.warn(`[Matcher] Failed to fetch price for ${pid}`);
     }
@@ -188,18 +291,14 @@ async function fetchCJPricesBatch(productIds, cjToken) {
  */
 async function searchCJProducts(keyword, cjToken) {
   try {
-    const response = await axios.get(`${CJ_API_BASE}/product/list`, {
-      params: {
-        productNameEn: keyword,
-        pageNum: 1,
-        pageSize: 20
-      },
-      headers: { 'CJ-Access-Token': cjToken },
-      timeout: 15000
-    });
+    const body = await cjGet('/product/list', {
+      productNameEn: keyword,
+      pageNum: 1,
+      pageSize: 20
+    }, cjToken, { caller: 'sync' });
     
-    if (response.data.result && response.data.data?.list) {
-      return response.data.data.list;
+    if (body.result && body.data?.list) {
+      return body.data.list;
     }
     return [];
   } catch (error) {
@@ -286,7 +385,6 @@ async function matchProducts(shopifyProducts, cjToken) {
     } else {
       unmatched.push({ ...product, reason: 'SKU not a valid CJ ID' });
     }
-    await new Promise(resolve => setTimeout(resolve, 300));
   }
   
   // Title matching is slow and unreliable - skip for now
@@ -369,6 +467,7 @@ async function setCJMetafield(productId, cjProductId, shopifyStore, shopifyToken
 
 module.exports = {
   fetchShopifyProducts,
+  findProductsByCJIds,
   fetchCJProduct,
   fetchCJPricesBatch,
   searchCJProducts,
@@ -376,5 +475,6 @@ module.exports = {
   setCJMetafield,
   titleSimilarity,
   CJ_METAFIELD_NAMESPACE,
-  CJ_METAFIELD_KEY
+  CJ_METAFIELD_KEY,
+  CJ_VARIANT_METAFIELD_KEY
 };
@@ -0,0 +1,81 @@
+/**
+ * Product Pricing Module
+ *
+ * The one path from CJ costs to Shopify prices that both /api/upload-shopify and price
+ * sync take, so a product priced by an upload isn't "corrected" by the next sync:
+ *   - each variant is priced from its own CJ cost (variantSellPrice, else the product sellPrice)
+ *   - landed pricing adds the freight estimate of the CJ product (by pid)
+ *   - a pricing override used at upload is stored on the product (custom.cj_pricing)
+ *     and applied again by sync
+ */
+
+const { calculatePrice } = require('./calculator');
+const { getPricingFreight } = require('./freight');
+
+const PRICING_METAFIELD_NAMESPACE = 'custom';
+const PRICING_METAFIELD_KEY = 'cj_pricing';
+
+/**
+ * Freight and a price function for one CJ product
+ * @param {string} pid - CJ product ID
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - Pricing options over price_sync_config.json
+ * @returns {Promise<Object>} { shipping, price } - price(cjCost) returns calculatePrice()'s result
+ * @throws {Error} If the freight estimate for landed pricing fails
+ */
+async function getProductPricer(pid, cjToken, options = {}) {
+  const shipping = await getPricingFreight({ pid }, cjToken, options);
+  return {
+    shipping: shipping || null,
+    price: cjCost => calculatePrice(cjCost, { ...options, shipping_cost: shipping?.price })
+  };
+}
+
+/**
+ * Product metafield recording an upload's pricing override ({} when it used the config)
+ * @param {Object} options - Override from the upload request
+ * @returns {Object} MetafieldInput
+ */
+function pricingMetafield(options = {}) {
+  return {
+    namespace: PRICING_METAFIELD_NAMESPACE,
+    key: PRICING_METAFIELD_KEY,
+    value: JSON.stringify(options),
+    type: 'json'
+  };
+}
+
+/**
+ * Parse a custom.cj_pricing value - anything unreadable counts as no override
+ * @param {string} value - Metafield value
+ * @returns {Object} Pricing options
+ */
+function parsePricingOverride(value) {
+  if (!value) return {};
+  try {
+    const options = JSON.parse(value);
+    return options && typeof options === 'object' && !Array.isArray(options) ? options : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Options sync prices a product with: the sync request's own markup applies to every product,
+ * otherwise the product's recorded upload override (calculatePrice fills the rest from config)
+ * @param {Object} product - Shopify product with pricingOverride (fetchShopifyProducts)
+ * @param {Object} options - Options from the sync request
+ * @returns {Object} Pricing options
+ */
+function productPricingOptions(product, options = {}) {
+  return options.markup_multiplier ? options : { ...product.pricingOverride };
+}
+
+module.exports = {
+  getProductPricer,
+  pricingMetafield,
+  parsePricingOverride,
+  productPricingOptions,
+  PRICING_METAFIELD_NAMESPACE,
+  PRICING_METAFIELD_KEY
+};
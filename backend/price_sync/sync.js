@@ -8,62 +8,57 @@
 const axios = require('axios');
 const path = require('path');
 
-const { calculatePrice, calculateChange, formatPrice, loadConfig } = require('./calculator');
-
-const CJ_API_BASE = 'https://developers.cjdropshipping.com/api2.0/v1';
+const { calculateChange } = require('./calculator');
+const { getProductPricer, productPricingOptions } = require('./pricing');
+const { cjGet, RATE_LIMIT_CODE } = require('../cj-client');
+const { normalizeProductDetail } = require('../product-enricher');
 
 /**
- * Fetch single CJ product price
+ * Fetch a CJ product's prices - the product sellPrice plus each variant's variantSellPrice,
+ * parsed the way uploads read them (product-enricher)
  */
 // Cache CJ prices for 24 hours to avoid burning API quota (1000 req/day limit)
 const cjPriceCache = new Map();
 const CJ_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 let cjErrorLogged = false;
-let cjRateLimited = false;
 
-async function fetchCJPrice(pid, cjToken) {
+/**
+ * @returns {Promise<Object|null>} { sellPrice, variants: Map vid -> sellPrice }, null when CJ has no price
+ */
+async function fetchCJPrices(pid, cjToken) {
   // Check cache first
   const cached = cjPriceCache.get(pid);
   if (cached && (Date.now() - cached.ts < CJ_CACHE_TTL)) {
-    return cached.price;
+    return cached.prices;
   }
 
-  // If we're rate-limited, don't make more requests
-  if (cjRateLimited) {
-    return null;
-  }
+  // Pacing and rate-limit retries are handled by the shared CJ client
   try {
-    const response = await axios.get(`${CJ_API_BASE}/product/query`, {
-      params: { pid },
-      headers: { 'CJ-Access-Token': cjToken },
-      timeout: 8000
-    });
-    if (response.data.result && response.data.data) {
+    const body = await cjGet('/product/query', { pid }, cjToken, { caller: 'sync', timeout: 8000 });
+    if (body.result && body.data) {
       cjErrorLogged = false;
-      const price = parseFloat(response.data.data.sellPrice) || null;
-      cjPriceCache.set(pid, { price, ts: Date.now() });
-      return price;
+      const doc = normalizeProductDetail(body.data);
+      const prices = doc.sellPrice
+        ? { sellPrice: doc.sellPrice, variants: new Map(doc.variants.map(v => [v.vid, v.sellPrice])) }
+        : null;
+      cjPriceCache.set(pid, { prices, ts: Date.now() });
+      return prices;
     }
-    // Check for rate limiting
-    if (response.data.code === 1600200 || response.data.message?.includes('Too Many Requests')) {
-      console.warn(`[Sync] CJ API rate limited! ${response.data.message}`);
-      cjRateLimited = true;
-      // Auto-reset after 1 hour (in case it's hourly, not daily)
-      setTimeout(() => { cjRateLimited = false; }, 60 * 60 * 1000);
+    // Still rate limited after the client's retries - don't cache, try again next sync
+    if (body.code === RATE_LIMIT_CODE) {
+      console.warn(`[Sync] CJ API rate limited: ${body.message}`);
       return null;
     }
     if (!cjErrorLogged) {
-      console.warn(`[Sync] CJ API returned no data for ${pid}: code=${response.data.code}, message=${response.data.message}`);
+      console.warn(`[Sync] CJ API returned no data for ${pid}: code=${body.code}, message=${body.message}`);
       cjErrorLogged = true;
     }
-    cjPriceCache.set(pid, { price: null, ts: Date.now() });
+    cjPriceCache.set(pid, { prices: null, ts: Date.now() });
     return null;
   } catch (e) {
     if (e.response?.status === 429) {
       console.warn(`[Sync] CJ API rate limited (HTTP 429)`);
-      cjRateLimited = true;
-      setTimeout(() => { cjRateLimited = false; }, 60 * 60 * 1000);
       return null;
     }
     if (!cjErrorLogged) {
@@ -75,9 +70,76 @@ async function fetchCJPrice(pid, cjToken) {
 }
 
 /**
- * Update Shopify product price
+ * Fetch single CJ product price
  */
-async function updateShopifyPrice(product, newPrice, compareAtPrice, shopifyStore, shopifyToken) {
+async function fetchCJPrice(pid, cjToken) {
+  const prices = await fetchCJPrices(pid, cjToken);
+  return prices ? prices.sellPrice : null;
+}
+
+/**
+ * New price for every variant of a Shopify product, on the same path uploads price with (pricing.js)
+ * Each variant is priced from its custom.cj_variant_id's CJ cost; variants without one
+ * (or whose CJ variant is gone) use the product cost.
+ * @param {Object} product - Shopify product (fetchShopifyProducts)
+ * @param {string} cjToken - CJ API token
+ * @param {Object} options - Options from the sync request (see productPricingOptions)
+ * @returns {Promise<Object>} { cjPrice, shipping, variants } or { cjPrice, error } when it can't be priced
+ */
+async function priceProduct(product, cjToken, options = {}) {
+  const cj = await fetchCJPrices(product.cjProductId, cjToken);
+  if (!cj) return { cjPrice: null, error: 'CJ price not found' };
+
+  // Landed-cost pricing needs a freight estimate - don't guess a price without one
+  let pricer;
+  try {
+    pricer = await getProductPricer(product.cjProductId, cjToken, productPricingOptions(product, options));
+  } catch (e) {
+    console.warn(`[Sync] Freight estimate failed for ${product.cjProductId}: ${e.message}`);
+    return { cjPrice: cj.sellPrice, error: 'Freight estimate not available' };
+  }
+
+  const shopifyVariants = product.variants?.length > 0 ? product.variants : [{
+    graphqlId: product.variantGraphqlId || `gid://shopify/ProductVariant/${product.variantId}`,
+    variantId: product.variantId,
+    sku: product.sku,
+    currentPrice: product.currentPrice,
+    cjVariantId: null
+  }];
+
+  const variants = shopifyVariants.map(variant => {
+    const cjPrice = cj.variants.get(variant.cjVariantId) ?? cj.sellPrice;
+    const { price: newPrice, compareAtPrice, cost } = pricer.price(cjPrice);
+    return {
+      variantId: variant.variantId,
+      graphqlId: variant.graphqlId,
+      title: variant.title,
+      sku: variant.sku,
+      cjVariantId: variant.cjVariantId,
+      cjPrice,
+      cost,
+      currentPrice: variant.currentPrice,
+      newPrice,
+      compareAtPrice,
+      changed: Math.abs(newPrice - variant.currentPrice) >= 0.01
+    };
+  });
+
+  return { cjPrice: cj.sellPrice, shipping: pricer.shipping, variants };
+}
+
+// The variant a product's summary row shows - the first one whose price changes, else the first
+function headlineVariant(variants) {
+  return variants.find(v => v.changed) || variants[0];
+}
+
+/**
+ * Update Shopify variant prices - all of a product's variants in one productVariantsBulkUpdate
+ * @param {Object} product - Shopify product (fetchShopifyProducts)
+ * @param {Array<Object>} variants - [{ graphqlId, newPrice, compareAtPrice }]
+ * @returns {Promise<Object>} { success, variants: [{ id, price, compareAtPrice }] } or { success: false, error }
+ */
+async function updateShopifyPrices(product, variants, shopifyStore, shopifyToken) {
   const cleanStoreUrl = shopifyStore.replace(/^https?:\/\//i, '').replace(/\/+$/, '');
   const GRAPHQL_ENDPOINT = `https://${cleanStoreUrl}/admin/api/2024-01/graphql.json`;
   
@@ -91,13 +153,15 @@ async function updateShopifyPrice(product, newPrice, compareAtPrice, shopifyStor
   `;
   
   const productId = product.graphqlId || `gid://shopify/Product/${product.shopifyId}`;
-  const variantId = product.variantGraphqlId || `gid://shopify/ProductVariant/${product.variantId}`;
-  const variant = { id: variantId, price: newPrice.toFixed(2) };
-  if (compareAtPrice !== null) variant.compareAtPrice = compareAtPrice.toFixed(2);
+  const input = variants.map(variant => {
+    const fields = { id: variant.graphqlId, price: variant.newPrice.toFixed(2) };
+    if (variant.compareAtPrice !== null) fields.compareAtPrice = variant.compareAtPrice.toFixed(2);
+    return fields;
+  });
   
   try {
     const response = await axios.post(GRAPHQL_ENDPOINT, {
-      query: mutation, variables: { productId, variants: [variant] }
+      query: mutation, variables: { productId, variants: input }
     }, {
       headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': shopifyToken },
       timeout: 10000
@@ -111,17 +175,34 @@ async function updateShopifyPrice(product, newPrice, compareAtPrice, shopifyStor
     if (result?.userErrors?.length > 0) {
       return { success: false, error: result.userErrors.map(e => e.message).join(', ') };
     }
-    const updated = result?.productVariants?.[0];
     return {
       success: true,
-      newPrice: parseFloat(updated?.price || newPrice),
-      newCompareAtPrice: updated?.compareAtPrice ? parseFloat(updated.compareAtPrice) : null
+      variants: (result?.productVariants || []).map(v => ({
+        id: v.id,
+        price: parseFloat(v.price),
+        compareAtPrice: v.compareAtPrice ? parseFloat(v.compareAtPrice) : null
+      }))
     };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Update Shopify product price (first variant)
+ */
+async function updateShopifyPrice(product, newPrice, compareAtPrice, shopifyStore, shopifyToken) {
+  const graphqlId = product.variantGraphqlId || `gid://shopify/ProductVariant/${product.variantId}`;
+  const result = await updateShopifyPrices(product, [{ graphqlId, newPrice, compareAtPrice }], shopifyStore, shopifyToken);
+  if (!result.success) return result;
+  const updated = result.variants[0];
+  return {
+    success: true,
+    newPrice: updated ? updated.price : newPrice,
+    newCompareAtPrice: updated ? updated.compareAtPrice : null
+  };
+}
+
 /**
  * Generate preview - fast version that stays under Render's 30s timeout
  * Fetches Shopify products, then samples first 20 for CJ price lookup
@@ -146,8 +227,6 @@ async function generatePreview(shopifyStore, shopifyToken, cjToken, options = {}
   // Phase 2: Fetch CJ prices for first 20 only (preview - ~8 seconds)
   const PREVIEW_LIMIT = 20;
   const toFetch = withCjId.slice(0, PREVIEW_LIMIT);
-  const config = loadConfig();
-  const effectiveOptions = options.markup_multiplier ? options : config;
   
   console.log(`[Sync] Fetching CJ prices for ${toFetch.length} products (preview)...`);
   
@@ -155,11 +234,11 @@ async function generatePreview(shopifyStore, shopifyToken, cjToken, options = {}
   let increases = 0, decreases = 0, noChange = 0, missing = 0;
   
   for (const product of toFetch) {
-    const cjPrice = await fetchCJPrice(product.cjProductId, cjToken);
+    const priced = await priceProduct(product, cjToken, options);
     
-    if (cjPrice !== null) {
-      const { price: newPrice, compareAtPrice } = calculatePrice(cjPrice, effectiveOptions);
-      const { change, changePercent, direction } = calculateChange(product.currentPrice, newPrice);
+    if (!priced.error) {
+      const headline = headlineVariant(priced.variants);
+      const { change, changePercent, direction } = calculateChange(headline.currentPrice, headline.newPrice);
       
       if (direction === 'increase') increases++;
       else if (direction === 'decrease') decreases++;
@@ -169,13 +248,17 @@ async function generatePreview(shopifyStore, shopifyToken, cjToken, options = {}
         shopifyId: product.shopifyId,
         title: product.title,
         cjProductId: product.cjProductId,
-        cjPrice,
-        currentPrice: product.currentPrice,
-        newPrice,
-        compareAtPrice,
+        cjPrice: headline.cjPrice,
+        shipping: priced.shipping,
+        cost: headline.cost,
+        currentPrice: headline.currentPrice,
+        newPrice: headline.newPrice,
+        compareAtPrice: headline.compareAtPrice,
         change,
         changePercent,
         direction,
+        variantsChanged: priced.variants.filter(v => v.changed).length,
+        variants: priced.variants.map(({ changed, ...variant }) => variant),
         matchMethod: 'metafield'
       });
     } else {
@@ -184,15 +267,14 @@ async function generatePreview(shopifyStore, shopifyToken, cjToken, options = {}
         shopifyId: product.shopifyId,
         title: product.title,
         cjProductId: product.cjProductId,
-        cjPrice: null,
+        cjPrice: priced.cjPrice,
         currentPrice: product.currentPrice,
         newPrice: null,
+        reason: priced.error,
         direction: 'unknown',
         matchMethod: 'metafield'
       });
     }
-    
-    await new Promise(r => setTimeout(r, 300));
   }
   
   return {
@@ -219,8 +301,6 @@ async function executeSync(shopifyStore, shopifyToken, cjToken, options = {}) {
   const { fetchShopifyProducts } = require('./matcher');
   const shopifyProducts = await fetchShopifyProducts(shopifyStore, shopifyToken);
   const withCjId = shopifyProducts.filter(p => p.cjProductId);
-  const config = loadConfig();
-  const effectiveOptions = options.markup_multiplier ? options : config;
   
   console.log(`[Sync] Syncing ${withCjId.length} products with CJ IDs...`);
   
@@ -234,23 +314,21 @@ async function executeSync(shopifyStore, shopifyToken, cjToken, options = {}) {
       continue;
     }
     
-    const cjPrice = await fetchCJPrice(product.cjProductId, cjToken);
-    
-    if (cjPrice === null) {
+    const priced = await priceProduct(product, cjToken, options);
+    if (priced.error) {
       results.failed++;
-      results.errors.push({ title: product.title, error: 'CJ price not found' });
+      results.errors.push({ title: product.title, error: priced.error });
       continue;
     }
     
-    const { price: newPrice, compareAtPrice } = calculatePrice(cjPrice, effectiveOptions);
-    
-    // Skip if price hasn't changed
-    if (Math.abs(newPrice - product.currentPrice) < 0.01) {
+    // Skip if no variant's price has changed
+    const changed = priced.variants.filter(v => v.changed);
+    if (changed.length === 0) {
       results.skipped++;
       continue;
     }
     
-    const updateResult = await updateShopifyPrice(product, newPrice, compareAtPrice, shopifyStore, shopifyToken);
+    const updateResult = await updateShopifyPrices(product, changed, shopifyStore, shopifyToken);
     
     if (updateResult.success) {
       results.success++;
@@ -285,5 +363,9 @@ module.exports = {
   syncSingleProduct,
   formatPreviewOutput,
   updateShopifyPrice,
-  fetchCJPrice
+  updateShopifyPrices,
+  priceProduct,
+  headlineVariant,
+  fetchCJPrice,
+  fetchCJPrices
 };
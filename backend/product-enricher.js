@@ -0,0 +1,139 @@
+/**
+ * Product Enricher
+ * Turns list-level scrape results (one image, sellPrice, sku) into full product
+ * documents from CJ's product/query endpoint: image gallery, description HTML,
+ * variants with their own prices and images, weight, dimensions and material.
+ *
+ * The document keeps the fields /api/upload-shopify already reads (title, price,
+ * image, sku, pid) so an enriched product can be uploaded as-is.
+ */
+
+const { queryCJProduct } = require('./cj-api-scraper');
+
+// Scrape-only fields that mean nothing once a product is enriched
+const DROPPED_FIELDS = ['filterDecision', 'alternates', 'duplicateOf'];
+
+// CJ sends some fields as JSON array strings ('["a.jpg","b.jpg"]')
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.trim()) return [];
+  if (value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return [];
+    }
+  }
+  return value.split(',');
+}
+
+// Numbers or ranges ("450-600") - ranges take the upper bound so weight-based costs aren't underestimated
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const numbers = String(value).match(/\d+(\.\d+)?/g);
+  if (!numbers) return null;
+  return Math.max(...numbers.map(Number));
+}
+
+function parseDimensions(source) {
+  const length = parseNumber(source.variantLength);
+  const width = parseNumber(source.variantWidth);
+  const height = parseNumber(source.variantHeight);
+  if (length === null && width === null && height === null) return null;
+  return { length, width, height };
+}
+
+/**
+ * Split CJ's variant key ("Grey-L") into option values using the product's key names ("Color-Size")
+ * @returns {Object} { names, values } - falls back to a single "Variant" option when the counts don't line up
+ */
+function splitVariantKey(variantKey, optionNames) {
+  const values = (variantKey || '').split('-').map(v => v.trim());
+  if (optionNames.length > 0 && values.length === optionNames.length) {
+    return { names: optionNames, values };
+  }
+  return { names: ['Variant'], values: [variantKey || 'Default'] };
+}
+
+/**
+ * Normalize one CJ variant
+ * @param {Object} variant - Raw CJ variant (product/query, variant/query or variant/queryByVid)
+ * @param {Array<string>} optionNames - Option names from the product's productKeyEn (may be empty)
+ * @param {Object} fallback - { sellPrice, image } of the product for variants without their own
+ * @returns {Object} { vid, pid, sku, title, options, sellPrice, image, weight, dimensions }
+ */
+function normalizeVariant(variant, optionNames = [], fallback = {}) {
+  const { names, values } = splitVariantKey(variant.variantKey, optionNames);
+  return {
+    vid: variant.vid,
+    pid: variant.pid || null,
+    sku: variant.variantSku || '',
+    title: variant.variantNameEn || variant.variantKey || '',
+    options: names.map((name, i) => ({ name, value: values[i] })),
+    sellPrice: parseNumber(variant.variantSellPrice) ?? fallback.sellPrice ?? null,
+    image: variant.variantImage || fallback.image || '',
+    weight: parseNumber(variant.variantWeight),
+    dimensions: parseDimensions(variant)
+  };
+}
+
+/**
+ * Normalize a CJ product/query response into a product document
+ * @param {Object} detail - Raw CJ product detail
+ * @param {Object} base - Scrape result the enrichment started from (kept fields like sourceKeyword)
+ * @returns {Object} Product document
+ */
+function normalizeProductDetail(detail, base = {}) {
+  const kept = { ...base };
+  DROPPED_FIELDS.forEach(field => delete kept[field]);
+
+  const mainImage = parseList(detail.productImage)[0] || base.image || '';
+  const images = [...new Set([mainImage, ...parseList(detail.productImageSet)].filter(Boolean))];
+  const sellPrice = parseNumber(detail.sellPrice) ?? base.sellPrice ?? 0;
+  const optionNames = (detail.productKeyEn || '').split('-').map(n => n.trim()).filter(Boolean);
+
+  const variants = (detail.variants || []).map(variant => normalizeVariant(variant, optionNames, { sellPrice, image: mainImage }));
+
+  const material = parseList(detail.materialNameEn).map(m => String(m).trim()).filter(Boolean);
+  const title = detail.productNameEn || base.title || '';
+
+  return {
+    ...kept,
+    pid: detail.pid || base.pid,
+    sku: detail.productSku || base.sku || '',
+    title,
+    descriptionHtml: detail.description || '',
+    sellPrice,
+    price: `$${sellPrice}`,
+    image: mainImage,
+    images,
+    variants,
+    weight: parseNumber(detail.productWeight), // grams
+    dimensions: variants.find(v => v.dimensions)?.dimensions || null,
+    material: material.length > 0 ? material.join(', ') : null,
+    categoryId: detail.categoryId || base.categoryId || '',
+    categoryName: detail.categoryName || base.categoryName || '',
+    enrichedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Fetch and normalize one product
+ * @param {Object|string} product - Scrape result with a pid, or a bare pid
+ * @param {string} cjToken - CJ API token
+ * @returns {Promise<Object>} Product document
+ */
+async function enrichProduct(product, cjToken) {
+  const base = typeof product === 'string' ? { pid: product } : product;
+  if (!base || !base.pid) {
+    throw new Error('Product has no pid');
+  }
+  const detail = await queryCJProduct(base.pid, cjToken, 'enrich');
+  return normalizeProductDetail(detail, base);
+}
+
+module.exports = {
+  normalizeVariant,
+  normalizeProductDetail,
+  enrichProduct
+};
@@ -0,0 +1,93 @@
+/**
+ * Product Filters
+ * Business filters on the normalized CJ product fields (price, stock, competition).
+ * Applied after the text filter and before image detection, so products that
+ * would be discarded anyway are never sent to a paid classifier.
+ *
+ * Options:
+ *   minPrice / maxPrice - CJ sellPrice range (USD)
+ *   minInventory        - minimum warehouseInventoryNum
+ *   maxListed           - maximum listedNum (how many stores already list it)
+ *   verifiedOnly        - only products with verified warehouse inventory
+ */
+
+const NUMERIC_FILTERS = ['minPrice', 'maxPrice', 'minInventory', 'maxListed'];
+
+// Each check returns a reason code when the product fails it
+const CHECKS = {
+  minPrice: (p, min) => (p.sellPrice < min ? 'price_below_min' : null),
+  maxPrice: (p, max) => (p.sellPrice > max ? 'price_above_max' : null),
+  minInventory: (p, min) => ((p.warehouseInventoryNum || 0) < min ? 'inventory_below_min' : null),
+  maxListed: (p, max) => ((p.listedNum || 0) > max ? 'listed_above_max' : null),
+  verifiedOnly: (p, enabled) => (enabled && !isVerifiedWarehouse(p) ? 'warehouse_unverified' : null)
+};
+
+// CJ reports verifiedWarehouse as 1 (verified) / 2 (unverified)
+function isVerifiedWarehouse(product) {
+  return product.verifiedWarehouse === true || Number(product.verifiedWarehouse) === 1;
+}
+
+/**
+ * Validate product filter options from a request body
+ * @param {Object} input - { minPrice, maxPrice, minInventory, maxListed, verifiedOnly }
+ * @returns {Object} Only the filters that are set, as numbers/booleans
+ * @throws {Error} If a value is not a non-negative number or the price range is inverted
+ */
+function normalizeProductFilters(input = {}) {
+  const filters = {};
+  for (const key of NUMERIC_FILTERS) {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') continue;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`productFilters.${key} must be a non-negative number`);
+    }
+    filters[key] = number;
+  }
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    throw new Error('productFilters.minPrice cannot be greater than maxPrice');
+  }
+  if (input.verifiedOnly) {
+    filters.verifiedOnly = true;
+  }
+  return filters;
+}
+
+/**
+ * Apply product filters
+ * @param {Array} products - Normalized CJ products
+ * @param {Object} filters - Result of normalizeProductFilters()
+ * @returns {Object} { passed, rejected: [{ product, reason }], counts }
+ *   counts - { [filter]: { value, rejected } } for each active filter
+ */
+function applyProductFilters(products, filters = {}) {
+  const active = Object.keys(CHECKS).filter(key => filters[key] !== undefined);
+  const counts = {};
+  active.forEach(key => {
+    counts[key] = { value: filters[key], rejected: 0 };
+  });
+
+  const passed = [];
+  const rejected = [];
+  for (const product of products) {
+    let reason = null;
+    for (const key of active) {
+      reason = CHECKS[key](product, filters[key]);
+      if (reason) {
+        counts[key].rejected++;
+        break;
+      }
+    }
+    if (reason) {
+      rejected.push({ product, reason });
+    } else {
+      passed.push(product);
+    }
+  }
+  return { passed, rejected, counts };
+}
+
+module.exports = {
+  normalizeProductFilters,
+  applyProductFilters
+};
@@ -0,0 +1,228 @@
+/**
+ * Saved Search Store
+ * Persists saved searches, their run history and the product snapshot of the
+ * latest run, and computes what changed between runs.
+ *
+ * Layout:
+ *   data/saved-searches/index.json           - saved search definitions
+ *   data/saved-searches/<id>.runs.json       - run history with diffs, newest first
+ *   data/saved-searches/<id>.snapshot.json   - { pid: { title, sellPrice } } from the last complete run
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./scrape-store');
+
+const SEARCHES_DIR = path.join(DATA_DIR, 'saved-searches');
+const INDEX_FILE = path.join(SEARCHES_DIR, 'index.json');
+const MAX_RUNS_PER_SEARCH = 200;
+const PRICE_EPSILON = 0.005;
+
+// Serialize writes so the scheduler and API don't clobber each other
+let writeQueue = Promise.resolve();
+
+function enqueue(task) {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(err => {
+    console.error('[Saved Searches] Write failed:', err.message);
+  });
+  return result;
+}
+
+function searchFile(id, suffix) {
+  return path.join(SEARCHES_DIR, `${path.basename(id)}${suffix}.json`);
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    return fallback;
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(SEARCHES_DIR, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * List saved searches
+ * @returns {Promise<Array>} Saved searches
+ */
+async function listSavedSearches() {
+  return readJson(INDEX_FILE, []);
+}
+
+/**
+ * Get one saved search
+ * @param {string} id - Saved search ID
+ * @returns {Promise<Object|null>} Saved search or null if not found
+ */
+async function getSavedSearch(id) {
+  return (await listSavedSearches()).find(s => s.id === id) || null;
+}
+
+/**
+ * Create a saved search
+ * @param {Object} fields - Search definition (already validated)
+ * @returns {Promise<Object>} Stored saved search
+ */
+function createSavedSearch(fields) {
+  return enqueue(async () => {
+    const now = new Date().toISOString();
+    const search = {
+      id: `search_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      ...fields,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      lastRunStatus: null
+    };
+    const index = await listSavedSearches();
+    index.push(search);
+    await writeJson(INDEX_FILE, index);
+    return search;
+  });
+}
+
+/**
+ * Update a saved search
+ * @param {string} id - Saved search ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} Updated saved search or null if not found
+ */
+function updateSavedSearch(id, changes) {
+  return enqueue(async () => {
+    const index = await listSavedSearches();
+    const position = index.findIndex(s => s.id === id);
+    if (position === -1) return null;
+    index[position] = { ...index[position], ...changes, id, updatedAt: new Date().toISOString() };
+    await writeJson(INDEX_FILE, index);
+    return index[position];
+  });
+}
+
+/**
+ * Delete a saved search with its runs and snapshot
+ * @param {string} id - Saved search ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+function deleteSavedSearch(id) {
+  return enqueue(async () => {
+    const index = await listSavedSearches();
+    const remaining = index.filter(s => s.id !== id);
+    if (remaining.length === index.length) return false;
+    await writeJson(INDEX_FILE, remaining);
+    await fs.unlink(searchFile(id, '.runs')).catch(() => {});
+    await fs.unlink(searchFile(id, '.snapshot')).catch(() => {});
+    return true;
+  });
+}
+
+/**
+ * Compare a run's products with the previous snapshot
+ * @param {Object|null} snapshot - { pid: { title, sellPrice } } or null for the first run
+ * @param {Array} products - Products from this run
+ * @returns {Object|null} { newProducts, removedProducts, priceChanges } or null without a snapshot
+ */
+function diffProducts(snapshot, products) {
+  if (!snapshot) return null;
+
+  const current = new Set();
+  const newProducts = [];
+  const priceChanges = [];
+  for (const product of products) {
+    current.add(product.pid);
+    const previous = snapshot[product.pid];
+    if (!previous) {
+      newProducts.push({
+        pid: product.pid,
+        title: product.title,
+        sellPrice: product.sellPrice,
+        image: product.image,
+        url: product.url
+      });
+    } else if (Math.abs((previous.sellPrice || 0) - (product.sellPrice || 0)) > PRICE_EPSILON) {
+      priceChanges.push({
+        pid: product.pid,
+        title: product.title,
+        from: previous.sellPrice,
+        to: product.sellPrice
+      });
+    }
+  }
+
+  const removedProducts = Object.entries(snapshot)
+    .filter(([pid]) => !current.has(pid))
+    .map(([pid, previous]) => ({ pid, title: previous.title, sellPrice: previous.sellPrice }));
+
+  return { newProducts, removedProducts, priceChanges };
+}
+
+/**
+ * Record a finished run: diff against the last snapshot and store the run
+ * The snapshot only advances on complete runs, so a failed or cancelled run
+ * doesn't report every product as new (or removed) next time.
+ * @param {string} id - Saved search ID
+ * @param {Object} run - { runId, scrapeId, trigger, status, startedAt, finishedAt, totalFound, filtered, error }
+ * @param {Array|null} products - Final products of the run (null if it produced none)
+ * @returns {Promise<Object>} Stored run including its diff
+ */
+function recordRun(id, run, products) {
+  return enqueue(async () => {
+    const snapshotFile = searchFile(id, '.snapshot');
+    const snapshot = await readJson(snapshotFile, null);
+    const complete = run.status === 'complete' && Array.isArray(products);
+
+    const diff = complete ? diffProducts(snapshot, products) : null;
+    const stored = {
+      ...run,
+      baseline: complete && !snapshot,
+      diff,
+      summary: diff ? {
+        new: diff.newProducts.length,
+        removed: diff.removedProducts.length,
+        priceChanged: diff.priceChanges.length
+      } : null
+    };
+
+    if (complete) {
+      const next = {};
+      products.forEach(p => {
+        next[p.pid] = { title: p.title, sellPrice: p.sellPrice };
+      });
+      await writeJson(snapshotFile, next);
+    }
+
+    const runsFile = searchFile(id, '.runs');
+    const runs = await readJson(runsFile, []);
+    runs.unshift(stored);
+    await writeJson(runsFile, runs.slice(0, MAX_RUNS_PER_SEARCH));
+    return stored;
+  });
+}
+
+/**
+ * List a saved search's runs
+ * @param {string} id - Saved search ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { total, runs } newest first
+ */
+async function listRuns(id, options = {}) {
+  const { limit = 20, offset = 0 } = options;
+  const runs = await readJson(searchFile(id, '.runs'), []);
+  return { total: runs.length, runs: runs.slice(offset, offset + limit) };
+}
+
+module.exports = {
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  diffProducts,
+  recordRun,
+  listRuns
+};
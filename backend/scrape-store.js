@@ -0,0 +1,135 @@
+/**
+ * Scrape Store
+ * Persists finished scrapes (summary + products) to local JSON files
+ * so results survive a browser refresh or server restart.
+ *
+ * Layout:
+ *   data/scrapes/index.json                 - summaries, newest first
+ *   data/scrapes/<scrapeId>.json            - full record including products
+ *   data/scrapes/<scrapeId>.candidates.json - every product CJ returned (for re-filtering)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SCRAPES_DIR = path.join(DATA_DIR, 'scrapes');
+const INDEX_FILE = path.join(SCRAPES_DIR, 'index.json');
+const MAX_STORED_SCRAPES = 500;
+
+// Serialize writes so concurrent scrapes don't clobber the index
+let writeQueue = Promise.resolve();
+
+function scrapeFile(scrapeId, suffix = '') {
+  // scrapeIds are generated server-side, but never trust a path segment
+  return path.join(SCRAPES_DIR, `${path.basename(scrapeId)}${suffix}.json`);
+}
+
+async function readIndex() {
+  try {
+    const data = await fs.readFile(INDEX_FILE, 'utf8');
+    return JSON.parse(data);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Build the summary stored in the index (everything except products)
+ * @param {Object} record - Full scrape record
+ * @returns {Object} Summary
+ */
+function summarize(record) {
+  const { products, ...summary } = record;
+  return { ...summary, productCount: (products || []).length };
+}
+
+/**
+ * Save a finished scrape
+ * @param {Object} record - { id, keyword, filters, category, counts..., products }
+ * @param {Array} candidates - Optional pre-filter product list, kept for re-filtering
+ * @returns {Promise<Object>} Stored summary
+ */
+function saveScrape(record, candidates = null) {
+  const task = writeQueue.then(async () => {
+    await fs.mkdir(SCRAPES_DIR, { recursive: true });
+    await fs.writeFile(scrapeFile(record.id), JSON.stringify(record));
+    if (candidates) {
+      await fs.writeFile(scrapeFile(record.id, '.candidates'), JSON.stringify(candidates));
+    }
+
+    const summary = summarize(record);
+    const index = (await readIndex()).filter(s => s.id !== record.id);
+    index.unshift(summary);
+
+    // Drop the oldest scrapes once over the limit
+    const removed = index.splice(MAX_STORED_SCRAPES);
+    for (const old of removed) {
+      await fs.unlink(scrapeFile(old.id)).catch(() => {});
+      await fs.unlink(scrapeFile(old.id, '.candidates')).catch(() => {});
+    }
+
+    await fs.writeFile(INDEX_FILE, JSON.stringify(index, null, 2));
+    console.log(`[Scrape Store] Saved scrape ${record.id} (${summary.productCount} products)`);
+    return summary;
+  });
+  // Keep the queue alive even if this write fails
+  writeQueue = task.catch(err => {
+    console.error('[Scrape Store] Failed to save scrape:', err.message);
+  });
+  return task;
+}
+
+/**
+ * List stored scrapes (summaries only)
+ * @param {Object} options - { limit, offset, keyword }
+ * @returns {Promise<Object>} { total, scrapes }
+ */
+async function listScrapes(options = {}) {
+  const { limit = 50, offset = 0, keyword = null } = options;
+  let index = await readIndex();
+  if (keyword) {
+    const needle = keyword.toLowerCase();
+    index = index.filter(s => (s.keyword || '').toLowerCase().includes(needle));
+  }
+  return {
+    total: index.length,
+    scrapes: index.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Load a full stored scrape
+ * @param {string} scrapeId - Scrape ID
+ * @returns {Promise<Object|null>} Record or null if not found
+ */
+async function getScrape(scrapeId) {
+  try {
+    const data = await fs.readFile(scrapeFile(scrapeId), 'utf8');
+    return JSON.parse(data);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Load the pre-filter candidates stored with a scrape
+ * @param {string} scrapeId - Scrape ID
+ * @returns {Promise<Array|null>} Products or null if none were stored
+ */
+async function getScrapeCandidates(scrapeId) {
+  try {
+    const data = await fs.readFile(scrapeFile(scrapeId, '.candidates'), 'utf8');
+    return JSON.parse(data);
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  saveScrape,
+  listScrapes,
+  getScrape,
+  getScrapeCandidates,
+  DATA_DIR
+};
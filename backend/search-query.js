@@ -0,0 +1,122 @@
+/**
+ * Search Query Syntax
+ * Parses operator syntax in scrape keywords and matches it against product titles.
+ *
+ *   "sherpa blanket"   quoted phrase - the title must contain it
+ *   +fleece            required word
+ *   -pillow            excluded word or phrase (also -"throw pillow")
+ *   throw OR blanket   at least one of the alternatives
+ *   sherpa blanket     plain words - at least one must appear (the original relaxed filter)
+ *
+ * Only the positive terms are sent to CJ as keyWord; exclusions are applied
+ * by the text filter after the products come back.
+ */
+
+// Plain words this short say nothing about the product ("a", "of", ...)
+const MIN_WORD_LENGTH = 3;
+
+const TOKEN_PATTERN = /([+-]?)(?:"([^"]*)"|(\S+))/g;
+
+/**
+ * Parse a search query
+ * @param {string} query - Raw search term, e.g. '"sherpa blanket" -pillow -cushion'
+ * @returns {Object} { raw, keyword, words, required, excluded, anyOf, hasOperators }
+ *   keyword - positive terms joined for the CJ keyWord parameter
+ */
+function parseSearchQuery(query) {
+  const raw = (query || '').trim();
+  const groups = [];        // [{ prefix, texts: [], quoted }]
+  let joinNext = false;
+  let hasOperators = false;
+
+  for (const match of raw.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const [token, prefix, quoted, word] = match;
+    const text = (quoted !== undefined ? quoted : word).trim();
+
+    if (token === 'or' && raw.substring(match.index, match.index + 2) === 'OR') {
+      joinNext = groups.length > 0;
+      hasOperators = true;
+      continue;
+    }
+    if (!text) continue;
+    if (prefix || quoted !== undefined) hasOperators = true;
+
+    const last = groups[groups.length - 1];
+    if (joinNext && prefix !== '-' && last.prefix !== '-') {
+      last.texts.push(text);
+    } else {
+      groups.push({ prefix, texts: [text], quoted: quoted !== undefined });
+    }
+    joinNext = false;
+  }
+
+  const parsed = { raw, keyword: '', words: [], required: [], excluded: [], anyOf: [], hasOperators };
+  const positive = [];
+  for (const group of groups) {
+    if (group.prefix === '-') {
+      parsed.excluded.push(group.texts[0]);
+      continue;
+    }
+    positive.push(...group.texts);
+    if (group.texts.length > 1) {
+      parsed.anyOf.push(group.texts);
+    } else if (group.prefix === '+' || group.quoted) {
+      parsed.required.push(group.texts[0]);
+    } else {
+      parsed.words.push(...group.texts[0].split(' ').filter(w => w.length >= MIN_WORD_LENGTH));
+    }
+  }
+  parsed.keyword = positive.join(' ');
+  return parsed;
+}
+
+/**
+ * Check exclusions in a title
+ * @param {string} lowerTitle - Lowercased product title
+ * @param {Object} query - Result of parseSearchQuery()
+ * @returns {string|null} The first excluded term found, or null
+ */
+function findExcludedTerm(lowerTitle, query) {
+  return query.excluded.find(term => lowerTitle.includes(term)) || null;
+}
+
+/**
+ * Check the positive terms of a query against a title
+ * @param {string} lowerTitle - Lowercased product title
+ * @param {Object} query - Result of parseSearchQuery()
+ * @returns {Object} { passed, reasons, matched }
+ */
+function matchPositiveTerms(lowerTitle, query) {
+  const matched = [];
+
+  for (const term of query.required) {
+    if (!lowerTitle.includes(term)) {
+      return { passed: false, reasons: [`query_missing:${term}`], matched };
+    }
+    matched.push(term);
+  }
+
+  for (const alternatives of query.anyOf) {
+    const found = alternatives.filter(term => lowerTitle.includes(term));
+    if (found.length === 0) {
+      return { passed: false, reasons: [`query_missing_any:${alternatives.join('|')}`], matched };
+    }
+    matched.push(...found);
+  }
+
+  const matchingWords = query.words.filter(word => lowerTitle.includes(word));
+  matched.push(...matchingWords);
+
+  // Plain words only need one hit - and only when nothing stricter was given
+  const hasStrictTerms = query.required.length > 0 || query.anyOf.length > 0;
+  if (!hasStrictTerms && matchingWords.length === 0) {
+    return { passed: false, reasons: ['no_search_word'], matched };
+  }
+  return { passed: true, reasons: ['text_match'], matched };
+}
+
+module.exports = {
+  parseSearchQuery,
+  findExcludedTerm,
+  matchPositiveTerms
+};
@@ -2,13 +2,40 @@ const express = require('express');
 const path = require('path');
 const axios = require('axios');
 const fs = require('fs');
+// MOCK_MODE=record|replay - installed before anything reads credentials or makes a request
+const { installMockMode, getMockMode } = require('./mock-http');
+installMockMode();
+const { EventEmitter } = require('events');
 const zlib = require('zlib');
 const multer = require('multer');
 const AdmZip = require('adm-zip');
 const { parse } = require('csv-parse/sync');
-const { searchCJProducts, getCJCategories, cancelScrape, generateScrapeId, MAX_OFFSET } = require('./cj-api-scraper');
+const { searchCJProducts, searchCJProductsExhaustive, getCJProduct, getCJCategories, cancelScrape, generateScrapeId, MAX_OFFSET } = require('./cj-api-scraper');
+const { cjGet, getUsage: getCJUsage } = require('./cj-client');
+const { initCJAuth, login: cjLogin, refreshTokens: refreshCJTokens, getTokenHealth, clearTokens: clearCJTokens } = require('./cj-auth');
+const { mountFakeAuth } = require('./cj-fake-auth');
+const { parseCJUrl } = require('./cj-url-parser');
+const { enrichProduct, normalizeVariant } = require('./product-enricher');
+const { getProduct, getVariants, getProductInventory, getSkuInventory, getWarehouses, getMyProducts } = require('./cj-product-lookup');
 const { getCategoryIndex, searchCategories, isValidCategoryId, getCategoryById } = require('./category-service');
 const { mapSearchToCategories, generateDynamicKeywords, clearCache: clearKeywordCache } = require('./ai-keyword-generator');
+const { saveScrape, listScrapes, getScrape, getScrapeCandidates } = require('./scrape-store');
+const { hashImage, getLabelsByUrl, getLabelsByHash, setLabels } = require('./vision-label-cache');
+const { listClassifiers, resolveClassifier, PROVIDERS } = require('./image_classifier');
+const { listRules, createRule, updateRule, deleteRule, findTextReject } = require('./filter-rules');
+const { parseSearchQuery, findExcludedTerm, matchPositiveTerms } = require('./search-query');
+const { normalizeProductFilters, applyProductFilters } = require('./product-filters');
+const { normalizeDedupeOptions, getImageHash, clusterDuplicates } = require('./duplicate-detector');
+const { parseCron, nextRun } = require('./cron-schedule');
+const {
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  recordRun,
+  listRuns
+} = require('./saved-search-store');
 
 // Price Sync Module
 const { 
@@ -16,7 +43,13 @@ const {
   executeSync, 
   syncSingleProduct, 
   formatPreviewOutput,
-  setCJMetafield 
+  setCJMetafield,
+  attachFreight,
+  calculatePrice,
+  loadConfig: loadPriceConfig,
+  getProductPricer,
+  pricingMetafield,
+  findProductsByCJIds
 } = require('./price_sync');
 
 // Gemini API Key for dynamic keyword generation
@@ -46,11 +79,32 @@ function logMemory(checkpoint) {
 // Track active scrape sessions for cancellation
 const activeScrapes = new Map();
 
+// Scrape progress events, keyed by scrapeId (consumed by the SSE endpoint)
+const scrapeEvents = new EventEmitter();
+scrapeEvents.setMaxListeners(0);
+const TERMINAL_SCRAPE_EVENTS = ['complete', 'cancelled', 'error'];
+
+/**
+ * Record a progress event on a scrape session and notify SSE listeners.
+ * Events are kept on the session so late subscribers can replay them.
+ * @param {string} scrapeId - Session ID registered in activeScrapes
+ * @param {string} type - Event type (page, text_filter, vision_batch_start, ...)
+ * @param {Object} data - Event payload
+ */
+function emitScrapeEvent(scrapeId, type, data = {}) {
+  const state = activeScrapes.get(scrapeId);
+  if (!state) return;
+  const event = { id: state.events.length + 1, type, data, ts: Date.now() };
+  state.events.push(event);
+  scrapeEvents.emit(scrapeId, event);
+}
+
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// CJ API Token (preferred method)
-const CJ_API_TOKEN = process.env.CJ_API_TOKEN || '';
+// CJ API Token - replaced by the managed token once cj-auth logs in (CJ_EMAIL / CJ_API_KEY or POST /api/cj/auth)
+let CJ_API_TOKEN = process.env.CJ_API_TOKEN || '';
+const CJ_FAKE_AUTH = process.env.CJ_FAKE_AUTH === 'true';
 
 // Google Vision API - Support both API Key and Service Account
 const GOOGLE_VISION_API_KEY = process.env.GOOGLE_VISION_API_KEY || '';
@@ -79,16 +133,10 @@ if (GOOGLE_CREDENTIALS_JSON) {
   }
 }
 
-// Initialize Vision API
-let visionAuth = null;
-if (process.env.GOOGLE_APPLICATION_CREDENTIALS || GOOGLE_CREDENTIALS_JSON) {
-  // Use service account
-  console.log('Using Google Vision with Service Account');
-} else if (GOOGLE_VISION_API_KEY) {
-  // Use API key
-  console.log('Using Google Vision with API Key');
-} else {
-  console.warn('⚠️  No Google Vision credentials - image detection disabled');
+// Image classifier used when a scrape doesn't pick one
+console.log(`Default image classifier: ${resolveClassifier('auto').description}`);
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && !GOOGLE_CREDENTIALS_JSON && !GOOGLE_VISION_API_KEY) {
+  console.warn('⚠️  No Google Vision credentials - image detection uses the local offline classifier');
 }
 
 // Middleware
@@ -107,68 +155,58 @@ app.use((req, res, next) => {
 
 // VERY RELAXED text filter - let image detection do the heavy lifting
 // Just need AT LEAST ONE search word to match - Vision API will filter out bad matches
-function isRelevantProduct(productTitle, searchTerm) {
+// The search term may use query syntax ("phrase", +required, -excluded, a OR b - see search-query.js)
+// Returns { passed, reasons, matched } - reasons are codes like "text_reject:pillow" or "no_search_word"
+// Reject terms come from the editable rules in config/text_filter_rules.json (see filter-rules.js)
+function explainTextFilter(productTitle, searchTerm, rules = listRules()) {
   const lowerTitle = (productTitle || '').toLowerCase();
-  const lowerSearch = (searchTerm || '').toLowerCase();
+  const query = typeof searchTerm === 'object' && searchTerm ? searchTerm : parseSearchQuery(searchTerm);
 
-  // Extract main keywords (words > 2 chars)
-  const searchWords = lowerSearch.split(' ').filter(w => w.length > 2);
+  // Explicit -exclusions from the query come first
+  const excluded = findExcludedTerm(lowerTitle, query);
+  if (excluded) {
+    return { passed: false, reasons: [`query_exclude:${excluded}`], matched: [excluded] };
+  }
 
-  // ===== TEXT-BASED REJECT PATTERNS =====
-  // If searching for throws/blankets, reject products with "pillow" in title
-  const textRejectPatterns = {
-    'throw': ['pillow', 'cushion', 'pillowcase', 'cushion cover'],
-    'blanket': ['pillow', 'cushion', 'pillowcase'],
-    'fur': ['keychain', 'key chain', 'pendant', 'earring'],
-  };
+  // ===== TEXT-BASED REJECT RULES =====
+  // e.g. searching for throws/blankets rejects products with "pillow" in the title
+  const rejected = findTextReject(lowerTitle, query.keyword, rules);
+  if (rejected) {
+    console.log(`[Text Filter] ❌ Rejected "${productTitle.substring(0, 50)}..." - contains "${rejected.term}" (rule ${rejected.rule.id})`);
+    return { passed: false, reasons: [`text_reject:${rejected.term}`], matched: [rejected.term] };
+  }
 
-  // Check if title contains reject terms for this search
-  for (const [searchKey, rejectTerms] of Object.entries(textRejectPatterns)) {
-    if (lowerSearch.includes(searchKey)) {
-      // Check if any reject term is in the title WITHOUT the search term nearby
-      for (const reject of rejectTerms) {
-        if (lowerTitle.includes(reject)) {
-          // Special case: "throw pillow" is explicitly a pillow, not a throw blanket
-          if (lowerTitle.includes('throw pillow') || lowerTitle.includes('throw pillows')) {
-            console.log(`[Text Filter] ❌ Rejected "${productTitle.substring(0, 50)}..." - contains "throw pillow"`);
-            return false;
-          }
-          // If title has pillow but NOT blanket/throw (as a blanket), reject
-          if (!lowerTitle.includes('blanket') && !lowerTitle.includes('throw blanket')) {
-            console.log(`[Text Filter] ❌ Rejected "${productTitle.substring(0, 50)}..." - contains "${reject}"`);
-            return false;
-          }
-        }
-      }
-    }
+  // Category listing URLs can come without a keyword - the category already scoped the results
+  if (!query.keyword) {
+    return { passed: true, reasons: ['no_text_query'], matched: [] };
   }
 
   // VERY RELAXED: At least ONE search word should be present
   // Image detection will catch false positives
-  const matchingWords = searchWords.filter(word => lowerTitle.includes(word));
+  return matchPositiveTerms(lowerTitle, query);
+}
 
-  // Pass if any word matches
-  return matchingWords.length >= 1;
+// Attach the filter verdict to a product - reasons accumulate across the text and image stages
+function setFilterDecision(product, passed, reasons, details = {}) {
+  const previous = product.filterDecision || { reasons: [] };
+  product.filterDecision = {
+    verdict: passed ? 'pass' : 'reject',
+    reasons: [...previous.reasons, ...reasons],
+    matchedTerms: details.matchedTerms || previous.matchedTerms || [],
+    matchedLabels: details.matchedLabels || previous.matchedLabels || []
+  };
 }
 
-// Parse CJ URL
-function parseCJUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    const match = pathname.match(/\/search\/(.+?)\.html/);
-    const keyword = match ? decodeURIComponent(match[1]).replace(/\+/g, ' ') : '';
-    const params = new URLSearchParams(urlObj.search);
-    const filters = {};
-    for (const [key, value] of params.entries()) {
-      filters[key] = value;
-    }
-    console.log('Parsed URL:', { keyword, filters });
-    return { keyword, filters };
-  } catch (e) {
-    console.error('URL parse error:', e);
-    return { keyword: '', filters: {} };
+// Count rejected products per reason code (e.g. { "text_reject:pillow": 12 })
+function countRejectReasons(products) {
+  const counts = {};
+  for (const product of products) {
+    const decision = product.filterDecision;
+    if (!decision || decision.verdict !== 'reject') continue;
+    const reason = decision.reasons[decision.reasons.length - 1];
+    counts[reason] = (counts[reason] || 0) + 1;
   }
+  return counts;
 }
 
 // Retry wrapper with exponential backoff
@@ -198,467 +236,1588 @@ async function withRetry(fn, maxRetries = 3, baseDelayMs = 1000) {
   throw lastError;
 }
 
-// Analyze image with Google Vision API - DYNAMIC AI-powered filtering
+// Run an async worker over items with at most `limit` in flight at once
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Parallel image downloads when hashing products for duplicate detection
+const DEDUPE_HASH_CONCURRENCY = 10;
+
+// Label cache options for a classifier + product (local labels also depend on the title)
+function labelCacheOptions(classifier, context = {}) {
+  return {
+    namespace: classifier.cacheNamespace,
+    contextKey: classifier.contextKey ? classifier.contextKey(context) : null
+  };
+}
+
+// Get image labels from a classifier provider - served from the label cache when possible
+// Returns [{ description, score }]; the provider is only called for images never seen before
+async function getImageLabels(imageUrl, classifier, context = {}) {
+  const cacheOptions = labelCacheOptions(classifier, context);
+  const cached = getLabelsByUrl(imageUrl, cacheOptions);
+  if (cached) {
+    return cached;
+  }
+
+  // Use retry wrapper for the entire operation
+  return await withRetry(async () => {
+    // Download image (silent - batch progress shown at batch level)
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    });
+
+    const imageBuffer = Buffer.from(response.data);
+
+    // Same photo under a different URL (common across CJ suppliers)
+    const imageHash = hashImage(imageBuffer);
+    const cachedByContent = getLabelsByHash(imageHash, imageUrl, cacheOptions);
+    if (cachedByContent) {
+      return cachedByContent;
+    }
+
+    const labels = await classifier.classify(imageBuffer, context);
+    return setLabels(imageUrl, imageHash, labels, cacheOptions);
+  });
+}
+
+// Analyze product image with the selected classifier - DYNAMIC AI-powered filtering
 // Supports both static fallback and AI-generated valid/reject keywords
-async function analyzeProductImage(imageUrl, searchTerm, imageIndex = 0, dynamicKeywords = null) {
-  const startTime = Date.now();
+// Returns the explainImageLabels() decision: { passed, reasons, matched }
+async function analyzeProductImage(imageUrl, searchTerm, imageIndex = 0, dynamicKeywords = null, options = {}) {
+  const { classifier = resolveClassifier('auto'), product = {} } = options;
   try {
-    if (!GOOGLE_VISION_API_KEY && !process.env.GOOGLE_APPLICATION_CREDENTIALS && !GOOGLE_CREDENTIALS_JSON) {
-      return true; // Default pass if no credentials
+    const labels = await getImageLabels(imageUrl, classifier, {
+      title: product.title,
+      categoryName: product.categoryName,
+      searchTerm
+    });
+    return explainImageLabels(labels, searchTerm, dynamicKeywords);
+  } catch (error) {
+    console.error(`${classifier.description} error:`, error.message);
+    // On error, default to PASS (don't reject due to API issues)
+    return { passed: true, reasons: ['vision_error_default_pass'], matched: [], error: error.message };
+  }
+}
+
+// Decide whether detected Vision labels match the search - pure, no API calls
+// Used both during scrapes and when re-filtering a stored scrape from cached labels
+// Returns { passed, reasons, matched } - matched holds the detected labels behind the verdict
+function explainImageLabels(labels, searchTerm, dynamicKeywords = null) {
+  const detectedLabels = labels.map(l => l.description.toLowerCase());
+  // Log removed - batch summary provides progress
+
+  // ===========================================
+  // AI-POWERED DYNAMIC FILTERING
+  // ===========================================
+
+  let validLabels = [];
+  let rejectLabels = [];
+
+  if (dynamicKeywords && dynamicKeywords.valid && dynamicKeywords.reject) {
+    // Use AI-generated keywords
+    validLabels = dynamicKeywords.valid.map(l => l.toLowerCase());
+    rejectLabels = dynamicKeywords.reject.map(l => l.toLowerCase());
+
+    // ===== CRITICAL: CHECK REJECT LABELS FIRST =====
+    // This catches false positives like pillows in a throw search
+    const hasRejectLabel = detectedLabels.some(label =>
+      rejectLabels.some(reject =>
+        label.includes(reject) || reject.includes(label)
+      )
+    );
+
+    if (hasRejectLabel) {
+      const matchedReject = detectedLabels.filter(label =>
+        rejectLabels.some(reject =>
+          label.includes(reject) || reject.includes(label)
+        )
+      );
+      // Rejected by: matched reject labels
+      return { passed: false, reasons: matchedReject.map(label => `vision_reject:${label}`), matched: matchedReject };
     }
 
-    // Use retry wrapper for the entire operation
-    return await withRetry(async () => {
-      // Download image (silent - batch progress shown at batch level)
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    // Check valid labels
+    const matchedValid = detectedLabels.filter(label =>
+      validLabels.some(valid =>
+        label.includes(valid) || valid.includes(label)
+      )
+    );
+
+    if (matchedValid.length > 0) {
+      return { passed: true, reasons: ['vision_match'], matched: matchedValid }; // Passed: valid label match
+    }
+
+    return { passed: false, reasons: ['vision_no_valid_label'], matched: [] }; // Rejected: no valid labels
+  }
+
+  // ===========================================
+  // FALLBACK: Static keyword expansion
+  // ===========================================
+  const searchLower = searchTerm.toLowerCase();
+  const searchWords = searchLower.split(/[\s+]+/).filter(w => w.length > 2);
+
+  // Static keyword expansions as fallback
+  const keywordExpansions = {
+    'blanket': ['blanket', 'throw', 'textile', 'fabric', 'fleece', 'bedding', 'wool', 'fur', 'plush', 'soft'],
+    'throw': ['throw', 'blanket', 'textile', 'fabric', 'wool', 'fur', 'soft', 'cozy', 'plush'],
+    'pillow': ['pillow', 'cushion', 'textile', 'fabric', 'bedding', 'soft'],
+    'phone': ['phone', 'mobile', 'smartphone', 'device', 'electronic', 'screen', 'case'],
+    'dog': ['dog', 'pet', 'animal', 'canine', 'collar', 'leash', 'toy'],
+    'cat': ['cat', 'pet', 'animal', 'feline', 'toy'],
+    'light': ['light', 'lamp', 'led', 'lighting', 'bulb'],
+    'kitchen': ['kitchen', 'cookware', 'utensil', 'cooking'],
+    'bag': ['bag', 'handbag', 'purse', 'backpack', 'luggage']
+  };
+
+  let validCategories = new Set();
+  searchWords.forEach(word => {
+    validCategories.add(word);
+    if (keywordExpansions[word]) {
+      keywordExpansions[word].forEach(related => validCategories.add(related));
+    }
+    Object.keys(keywordExpansions).forEach(key => {
+      if (word.includes(key) || key.includes(word)) {
+        keywordExpansions[key].forEach(related => validCategories.add(related));
+      }
+    });
+  });
+
+  const validCategoriesArray = Array.from(validCategories);
+  const matchedValid = detectedLabels.filter(label =>
+    validCategoriesArray.some(valid =>
+      label.includes(valid) || valid.includes(label)
+    ) ||
+    searchWords.some(word => label.includes(word) || word.includes(label))
+  );
+
+  if (matchedValid.length > 0) {
+    return { passed: true, reasons: ['vision_match'], matched: matchedValid };
+  }
+
+  return { passed: false, reasons: ['vision_no_valid_label'], matched: [] };
+}
+
+
+// Removed Puppeteer scraping - using CJ API exclusively for better reliability and speed
+
+// Clear keyword cache endpoint
+app.get('/api/clear-cache', async (req, res) => {
+  try {
+    await clearKeywordCache();
+    res.json({ success: true, message: 'Keyword cache cleared' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Run the full scrape pipeline (CJ fetch -> text filter -> Vision) for a tracked session.
+ * Progress is written onto the session state in activeScrapes so it can be polled.
+ * @param {string} scrapeId - Session ID registered in activeScrapes
+ * @param {Object} params - { searchUrl, searchTerm, useImageDetection, imageClassifier, filters, exhaustive }
+ * @param {string} requestId - Request ID for log prefixes
+ * @returns {Promise<Object>} Scrape results
+ */
+async function runScrape(scrapeId, params, requestId) {
+  const { searchUrl, searchTerm, useImageDetection = true, exhaustive = false } = params;
+  const state = activeScrapes.get(scrapeId);
+  const classifier = useImageDetection ? resolveClassifier(params.imageClassifier) : null;
+  if (state && classifier) state.imageClassifier = classifier.name;
+
+  console.log('[API MODE] Using CJ Official API');
+  console.log(`[${requestId}] Scrape ID: ${scrapeId}`);
+
+  // Parse search term and filters from URL if provided
+  // BUGFIX: Check BOTH searchUrl and searchTerm for CJ URLs (frontend may pass URL as searchTerm)
+  let keyword = searchTerm || searchUrl;
+  let filters = {};
+  let productFilters = params.productFilters || {};
+  let source = null; // What the CJ URL was translated into (search, category listing or single product)
+
+  // Check if searchUrl OR searchTerm contains a CJ URL
+  const urlToParse = (searchUrl && searchUrl.includes('cjdropshipping.com')) ? searchUrl
+    : (searchTerm && searchTerm.includes('cjdropshipping.com')) ? searchTerm
+      : null;
+
+  if (urlToParse) {
+    const parsed = parseCJUrl(urlToParse);
+    keyword = parsed.keyword;
+    filters = parsed.filters;
+    // The URL's price range applies unless the request sets its own bounds
+    productFilters = { ...parsed.productFilters, ...productFilters };
+    source = {
+      url: urlToParse,
+      type: parsed.type,
+      pid: parsed.pid,
+      categorySlug: parsed.categorySlug,
+      untranslated: parsed.untranslated,
+      ignored: parsed.ignored
+    };
+    state.source = source;
+  }
+  // Explicit request filters win over anything parsed from the URL
+  filters = { ...filters, ...(params.filters || {}) };
+  state.searchTerm = keyword;
+
+  // Only positive terms go to CJ (and to the keyword generator / image filter)
+  const query = parseSearchQuery(keyword);
+  const cjKeyword = query.keyword;
+  if (query.hasOperators) {
+    console.log('[Query] Parsed search syntax:', {
+      cjKeyword,
+      required: query.required,
+      excluded: query.excluded,
+      anyOf: query.anyOf
+    });
+  }
+
+  // Check for cancellation
+  if (state.cancelled) {
+    throw new Error('Scrape cancelled by user');
+  }
+
+  // ========================================
+  // CATEGORY VALIDATION: Check if URL id is a valid category
+  // ========================================
+  state.phase = 'validating_category';
+  let validatedCategoryId = null;
+  let categoryInfo = null;
+  const urlCategoryId = filters.categoryId || filters.id;
+
+  if (urlCategoryId) {
+    try {
+      // Fetch category tree from CJ
+      const categoryData = await getCategoryIndex(CJ_API_TOKEN);
+
+      // Validate the category ID
+      if (isValidCategoryId(urlCategoryId, categoryData)) {
+        validatedCategoryId = urlCategoryId;
+        categoryInfo = getCategoryById(urlCategoryId, categoryData);
+        console.log('[Category] ✓ Valid category found:', {
+          id: validatedCategoryId,
+          name: categoryInfo?.name || 'Unknown',
+          level: categoryInfo?.level || 'Unknown',
+          path: categoryInfo?.path || 'Unknown'
+        });
+      } else {
+        console.warn('[Category] ✗ Invalid category ID from URL:', urlCategoryId);
+        console.log('[Category] This may be a search filter or session ID, not a category');
+        console.log('[Category] Proceeding WITHOUT category filter');
+        if (source) {
+          source.untranslated.push({ param: 'categoryId', value: urlCategoryId, reason: 'not a CJ category ID' });
+        }
+      }
+    } catch (error) {
+      console.error('[Category] Failed to validate category:', error.message);
+      console.log('[Category] Proceeding WITHOUT category filter due to error');
+    }
+  } else {
+    console.log('[Category] No category ID in URL filters');
+  }
+
+  // listV2's categoryId only takes third-level IDs - higher levels go through lv2categoryList
+  let categoryIdParam = validatedCategoryId;
+  let lv2categoryList = null;
+  if (validatedCategoryId && categoryInfo?.level === 2) {
+    categoryIdParam = null;
+    lv2categoryList = [validatedCategoryId];
+  } else if (validatedCategoryId && categoryInfo?.level === 1) {
+    const categoryData = await getCategoryIndex(CJ_API_TOKEN);
+    categoryIdParam = null;
+    lv2categoryList = Object.values(categoryData.byId)
+      .filter(c => c.level === 2 && c.parentId === validatedCategoryId)
+      .map(c => c.categoryId);
+  }
+
+  // DEBUG: Log filters being passed to CJ API  
+  console.log('[DEBUG] Filters being passed:', {
+    startWarehouseInventory: filters.startWarehouseInventory,
+    endWarehouseInventory: filters.endWarehouseInventory,
+    verifiedWarehouse: filters.verifiedWarehouse,
+    countryCode: filters.countryCode || null,
+    orderBy: filters.orderBy ?? null,
+    sort: filters.sort || null,
+    categoryId: categoryIdParam || 'NONE (not validated or invalid)',
+    lv2categoryList: lv2categoryList ? lv2categoryList.length : 0
+  });
+
+  // FIXED: Fetch ALL pages (up to MAX_OFFSET limit)
+  // Exhaustive mode partitions the query to get past the MAX_OFFSET ceiling
+  // Product page URLs skip the search and fetch the one product directly
+  state.phase = 'fetching_pages';
+  const search = source?.type === 'product'
+    ? () => getCJProduct(source.pid, CJ_API_TOKEN)
+    : exhaustive ? searchCJProductsExhaustive : searchCJProducts;
+  const apiResult = await search(cjKeyword, CJ_API_TOKEN, {
+    pageNum: 1,
+    pageSize: 200, // Max allowed by CJ API
+    verifiedWarehouse: filters.verifiedWarehouse,
+    categoryId: categoryIdParam, // Only use VALIDATED category ID
+    lv2categoryList,
+    startWarehouseInventory: filters.startWarehouseInventory || null,
+    endWarehouseInventory: filters.endWarehouseInventory || null,
+    countryCode: filters.countryCode || null,
+    orderBy: filters.orderBy !== undefined ? Number(filters.orderBy) : 0,
+    sort: filters.sort || 'desc',
+    fetchAllPages: true,
+    scrapeId: scrapeId,
+    onProgress: (progress) => {
+      state.pagesFetched = exhaustive ? state.pagesFetched + 1 : progress.page;
+      state.totalPages = progress.totalPages;
+      state.totalFound = progress.totalRecords;
+      state.fetched = progress.fetched;
+      if (progress.partition) {
+        state.partition = progress.partition;
+        state.partitions = progress.partitions;
+      }
+      emitScrapeEvent(scrapeId, 'page', progress);
+    }
+  });
+
+  if (!apiResult.success) {
+    throw new Error(apiResult.error || 'CJ API request failed');
+  }
+
+  // Check for cancellation
+  if (state.cancelled) {
+    throw new Error('Scrape cancelled by user');
+  }
+
+  // Apply text filtering (cj-api-scraper transforms productNameEn to 'title')
+  state.phase = 'text_filter';
+  state.totalFound = apiResult.totalProducts;
+  state.fetched = apiResult.products.length;
+  state.candidates = apiResult.products; // Stored with the scrape for later re-filtering
+  const textRules = listRules();
+  let textFiltered = apiResult.products.filter(p => {
+    const decision = explainTextFilter(p.title || '', query, textRules);
+    setFilterDecision(p, decision.passed, decision.reasons, { matchedTerms: decision.matched });
+    return decision.passed;
+  });
+  const textPassed = textFiltered.length;
+  state.textFiltered = textPassed;
+  emitScrapeEvent(scrapeId, 'text_filter', {
+    fetched: apiResult.products.length,
+    passed: textPassed,
+    rejected: apiResult.products.length - textPassed
+  });
+
+  // Business filters (price, stock, competition) - before Vision so discarded products are never classified
+  const hasProductFilters = Object.keys(productFilters).length > 0;
+  let productFilterCounts = null;
+  if (hasProductFilters) {
+    state.phase = 'product_filter';
+    const filtered = applyProductFilters(textFiltered, productFilters);
+    filtered.rejected.forEach(({ product, reason }) => setFilterDecision(product, false, [reason]));
+    textFiltered = filtered.passed;
+    productFilterCounts = filtered.counts;
+    state.productFiltered = textFiltered.length;
+    emitScrapeEvent(scrapeId, 'product_filter', {
+      passed: textFiltered.length,
+      rejected: filtered.rejected.length,
+      counts: productFilterCounts
+    });
+  }
+
+  // BUG FIX: Limit total products to prevent runaway scrapes
+  const MAX_PRODUCTS_TO_PROCESS = 1000;
+  if (textFiltered.length > MAX_PRODUCTS_TO_PROCESS) {
+    console.log(`⚠️ Limiting Vision analysis to first ${MAX_PRODUCTS_TO_PROCESS} products (found ${textFiltered.length})`);
+    textFiltered.slice(MAX_PRODUCTS_TO_PROCESS).forEach(p => setFilterDecision(p, false, ['limit_skipped']));
+    textFiltered = textFiltered.slice(0, MAX_PRODUCTS_TO_PROCESS);
+  }
+
+  // Apply image detection if enabled
+  // BATCH PROCESSING: Process 50 images at a time for max speed (2GB RAM has headroom)
+  // Batch size: 10 for 1GB, 25 for 2GB (safe), 50 for 2GB (fast), 100 for 4GB+
+  const VISION_BATCH_SIZE = 50; // 50 parallel requests = max speed for 2GB
+  let finalProducts = textFiltered;
+  let dynamicKeywords = null;
+  const SCRAPE_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes max scrape time
+  const scrapeStartTime = Date.now();
+
+  // Category listings may have no keyword - match labels against the category name instead
+  const imageTerm = cjKeyword || categoryInfo?.name || (source && source.categorySlug) || '';
+  const runImageDetection = useImageDetection && !!imageTerm;
+  if (useImageDetection && !imageTerm) {
+    console.warn(`[${requestId}] ⚠️ No keyword or category name to match image labels against - skipping image detection`);
+  }
+
+  if (runImageDetection && textFiltered.length > 0) {
+    logMemory('VISION_START');
+
+    // ===============================================
+    // NEW: Generate dynamic AI keywords for filtering
+    // ===============================================
+    state.phase = 'generating_keywords';
+    if (GEMINI_API_KEY) {
+      console.log(`\n🤖 [AI] Generating dynamic keywords for "${imageTerm}"...`);
+      try {
+        dynamicKeywords = await generateDynamicKeywords(imageTerm, GEMINI_API_KEY);
+        console.log(`🤖 [AI] Valid labels: ${dynamicKeywords.valid?.slice(0, 5).join(', ')}...`);
+        console.log(`🤖 [AI] Reject labels: ${dynamicKeywords.reject?.join(', ') || 'none'}`);
+        console.log(`🤖 [AI] Confidence: ${dynamicKeywords.confidence || 'unknown'}`);
+      } catch (aiError) {
+        console.log(`⚠️ [AI] Keyword generation failed: ${aiError.message}, using static fallback`);
+      }
+    } else {
+      console.log(`ℹ️ [AI] No GEMINI_API_KEY, using static keyword matching`);
+    }
+
+    console.log(`Analyzing ${textFiltered.length} products with ${classifier.description} in batches of ${VISION_BATCH_SIZE}...`);
+    console.log(`Estimated time: ${Math.ceil(textFiltered.length / VISION_BATCH_SIZE * 1.5)} seconds`);
+    const imageFiltered = [];
+    const totalBatches = Math.ceil(textFiltered.length / VISION_BATCH_SIZE);
+    state.phase = 'vision';
+    state.visionBatches = totalBatches;
+    state.imageFiltered = 0;
+    let visionProcessed = 0;
+
+    // BATCH PROCESSING: Process VISION_BATCH_SIZE images in parallel
+    for (let i = 0; i < textFiltered.length; i += VISION_BATCH_SIZE) {
+      // Check for cancellation
+      if (state.cancelled) {
+        console.log(`[${requestId}] ⛔ Scrape cancelled during Vision processing`);
+        break;
+      }
+
+      // Check for timeout
+      if (Date.now() - scrapeStartTime > SCRAPE_TIMEOUT_MS) {
+        console.log(`[${requestId}] ⏱️ Scrape timeout reached (${SCRAPE_TIMEOUT_MS / 1000 / 60} minutes), stopping...`);
+        state.timedOut = true;
+        break;
+      }
+
+      const batch = textFiltered.slice(i, i + VISION_BATCH_SIZE);
+      const batchNum = Math.floor(i / VISION_BATCH_SIZE) + 1;
+      state.visionBatch = batchNum;
+
+      console.log(`  Batch ${batchNum}/${totalBatches}: processing ${batch.length} images...`);
+      emitScrapeEvent(scrapeId, 'vision_batch_start', { batch: batchNum, totalBatches, size: batch.length });
+      logMemory(`BATCH_${batchNum}_START`);
+
+      // Process batch in PARALLEL for speed
+      const batchResults = await Promise.all(
+        batch.map(async (product, idx) => {
+          try {
+            if (product.image) {
+              const decision = await analyzeProductImage(product.image, imageTerm, i + idx, dynamicKeywords, { classifier, product });
+              setFilterDecision(product, decision.passed, decision.reasons, { matchedLabels: decision.matched });
+              return { product, passed: decision.passed };
+            }
+            setFilterDecision(product, false, ['no_image']);
+            return { product, passed: false };
+          } catch (err) {
+            console.error(`  [${i + idx}] Vision error: ${err.message}`);
+            setFilterDecision(product, false, ['vision_error']);
+            return { product, passed: false };
+          }
+        })
+      );
+
+      // Collect passed products
+      batchResults.forEach(result => {
+        if (result.passed) {
+          imageFiltered.push(result.product);
         }
       });
 
-      const imageBuffer = Buffer.from(response.data);
-      const base64Image = imageBuffer.toString('base64');
+      const passedProducts = batchResults.filter(r => r.passed).map(r => r.product);
+      const passedCount = passedProducts.length;
+      visionProcessed = Math.min(i + VISION_BATCH_SIZE, textFiltered.length);
+      state.visionProcessed = visionProcessed;
+      state.imageFiltered = imageFiltered.length;
+      emitScrapeEvent(scrapeId, 'vision_batch_end', {
+        batch: batchNum,
+        totalBatches,
+        passed: passedCount,
+        processed: state.visionProcessed,
+        imageFiltered: imageFiltered.length
+      });
+      if (passedCount > 0) {
+        emitScrapeEvent(scrapeId, 'products', { products: passedProducts });
+      }
+      console.log(`  Batch ${batchNum}/${totalBatches}: ${passedCount}/${batch.length} passed`);
+      logMemory(`BATCH_${batchNum}_END`);
+
+      // Force garbage collection hint between batches if available
+      if (global.gc) {
+        global.gc();
+      }
+
+      // Small delay between batches to allow memory cleanup (500ms)
+      if (i + VISION_BATCH_SIZE < textFiltered.length) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+
+    // Products never analyzed because the scrape stopped early
+    const skipReason = state.timedOut ? 'timeout_skipped' : 'cancelled_skipped';
+    textFiltered.slice(visionProcessed).forEach(p => setFilterDecision(p, false, [skipReason]));
+
+    console.log(`Vision analysis complete: ${imageFiltered.length}/${textFiltered.length} passed`);
+    logMemory('VISION_END');
+    finalProducts = imageFiltered;
+  } else if (textFiltered.length > 0) {
+    // No Vision pass - everything that survived the text filter is final
+    emitScrapeEvent(scrapeId, 'products', { products: textFiltered });
+  }
+
+  // Collapse near-duplicate listings (same item from several suppliers) into one representative
+  let dedupeSummary = null;
+  if (params.dedupe && finalProducts.length > 1 && !state.cancelled) {
+    state.phase = 'dedupe';
+    const hashes = new Map();
+    await runWithConcurrency(finalProducts.filter(p => p.image), DEDUPE_HASH_CONCURRENCY, async (product) => {
+      hashes.set(product.pid, await getImageHash(product.image));
+    });
+
+    const { representatives, removed, clusters } = clusterDuplicates(finalProducts, { ...params.dedupe, hashes });
+    removed.forEach(({ product, duplicateOf }) => {
+      product.duplicateOf = duplicateOf;
+      setFilterDecision(product, false, ['duplicate']);
+    });
+    dedupeSummary = {
+      prefer: params.dedupe.prefer,
+      clusters,
+      duplicatesRemoved: removed.length,
+      imagesHashed: Array.from(hashes.values()).filter(Boolean).length
+    };
+    console.log(`[${requestId}] 🧬 Dedupe: ${removed.length} duplicates in ${clusters} clusters (${dedupeSummary.imagesHashed}/${hashes.size} images hashed)`);
+    emitScrapeEvent(scrapeId, 'dedupe', {
+      ...dedupeSummary,
+      removed: removed.map(({ product, duplicateOf }) => ({ pid: product.pid, duplicateOf }))
+    });
+    finalProducts = representatives;
+  }
+
+  const results = {
+    success: true,
+    method: 'CJ_API',
+    searchTerm: keyword,
+    cjKeyword: cjKeyword,
+    filters: filters,
+    source: source,
+    category: validatedCategoryId ? {
+      id: validatedCategoryId,
+      name: categoryInfo?.name || null,
+      level: categoryInfo?.level || null,
+      path: categoryInfo?.path || null
+    } : null,
+    totalFound: apiResult.totalProducts,
+    maxFetchable: apiResult.maxFetchablePages ? apiResult.maxFetchablePages * 200 : null,
+    exhaustive: exhaustive,
+    partitions: apiResult.partitions || null,
+    pagesScraped: apiResult.fetchedPages || state.pagesFetched || 1,
+    textFiltered: textPassed,
+    productFiltered: hasProductFilters ? (state.productFiltered || 0) : null,
+    productFilters: productFilterCounts,
+    imageFiltered: runImageDetection ? (state.imageFiltered || 0) : null,
+    dedupe: dedupeSummary,
+    filtered: finalProducts.length,
+    passRate: ((finalProducts.length / apiResult.totalProducts) * 100).toFixed(1) + '%',
+    products: finalProducts,
+    rejectReasons: countRejectReasons(apiResult.products),
+    rejectedProducts: params.includeRejected
+      ? apiResult.products.filter(p => p.filterDecision && p.filterDecision.verdict === 'reject')
+      : undefined,
+    imageDetectionUsed: runImageDetection,
+    imageClassifier: classifier ? classifier.name : null,
+    visionKeywords: dynamicKeywords ? { valid: dynamicKeywords.valid, reject: dynamicKeywords.reject } : null,
+    scrapeId: scrapeId
+  };
+
+  // Clean summary log
+  console.log(`\n========== SCRAPE SUMMARY ==========`);
+  console.log(`Search Term: "${keyword}"`);
+  console.log(`Filters: ${JSON.stringify(filters)}`);
+  const usedCategoryId = filters.categoryId || filters.id || null;
+  console.log(`Category ID: ${usedCategoryId || 'NONE - will return ALL products!'}`);
+  if (source) {
+    console.log(`CJ URL: ${source.type} page${source.pid ? ` (pid ${source.pid})` : ''}`);
+    if (source.untranslated.length > 0) {
+      console.log(`⚠️  Untranslated URL params: ${source.untranslated.map(u => u.param).join(', ')}`);
+    }
+  }
+  console.log(`---`);
+  console.log(`📥 CJ API: ${apiResult.totalProducts} total (${apiResult.fetchedPages || 1} pages scraped)`);
+  if (apiResult.partitions) {
+    console.log(`🧩 Exhaustive: ${apiResult.partitions.length} partitions (${apiResult.probes} probes, ${apiResult.duplicates} cross-partition duplicates)`);
+    if (apiResult.truncatedPartitions > 0) {
+      console.log(`⚠️  Note: ${apiResult.truncatedPartitions} partitions still exceeded the API offset limit (${MAX_OFFSET}) and were truncated`);
+    }
+  } else if (apiResult.totalProducts > MAX_OFFSET) {
+    console.log(`⚠️  Note: Only ${MAX_OFFSET} products accessible (API offset limit) - use exhaustive mode to partition the query`);
+  } else if (apiResult.maxFetchablePages && apiResult.totalProducts > apiResult.maxFetchablePages * 200) {
+    console.log(`⚠️  Note: Only ${apiResult.maxFetchablePages * 200} products accessible (API offset limit: ${MAX_OFFSET})`);
+  }
+  console.log(`📥 Actually Fetched: ${apiResult.actualFetched || apiResult.products?.length || 0} products`);
+  console.log(`---`);
+  console.log(`📝 Text Filter: ${textPassed}/${apiResult.actualFetched || apiResult.totalProducts} passed (${((textPassed / (apiResult.actualFetched || apiResult.totalProducts)) * 100).toFixed(1)}%)`);
+  if (productFilterCounts) {
+    console.log(`🧮 Product Filters: ${results.productFiltered}/${textPassed} passed`);
+    for (const [name, { value, rejected }] of Object.entries(productFilterCounts)) {
+      console.log(`    ${name} (${value}): ${rejected} rejected`);
+    }
+  }
+  if (runImageDetection) {
+    console.log(`🖼️  Image Filter: ${results.imageFiltered}/${textFiltered.length} passed (${textFiltered.length > 0 ? ((results.imageFiltered / textFiltered.length) * 100).toFixed(1) : 0}%)`);
+  }
+  if (dedupeSummary) {
+    console.log(`🧬 Dedupe: ${dedupeSummary.duplicatesRemoved} near-duplicates folded into ${dedupeSummary.clusters} clusters`);
+  }
+  console.log(`---`);
+  console.log(`✅ FINAL: ${finalProducts.length} products (${results.passRate} overall pass rate)`);
+  console.log(`=====================================\n`);
+
+  return results;
+}
+
+/**
+ * Build the persisted history record for a finished scrape session
+ * @param {string} scrapeId - Session ID
+ * @param {Object} state - Session state from activeScrapes
+ * @returns {Object} Record for scrape-store
+ */
+function buildScrapeRecord(scrapeId, state) {
+  const results = state.results;
+  return {
+    id: scrapeId,
+    status: state.status,
+    keyword: results.searchTerm,
+    filters: results.filters,
+    source: results.source,
+    category: results.category,
+    imageDetectionUsed: results.imageDetectionUsed,
+    imageClassifier: results.imageClassifier,
+    exhaustive: results.exhaustive,
+    visionKeywords: results.visionKeywords,
+    totalFound: results.totalFound,
+    pagesScraped: results.pagesScraped,
+    fetched: state.fetched,
+    textFiltered: results.textFiltered,
+    productFilters: results.productFilters,
+    productFiltered: results.productFiltered,
+    imageFiltered: results.imageFiltered,
+    dedupe: results.dedupe,
+    filtered: results.filtered,
+    passRate: results.passRate,
+    rejectReasons: results.rejectReasons,
+    startedAt: new Date(state.startedAt).toISOString(),
+    finishedAt: new Date(state.finishedAt).toISOString(),
+    products: results.products
+  };
+}
+
+/**
+ * Register a scrape session and run it in the background
+ * @param {Object} params - { searchUrl, searchTerm, useImageDetection, filters }
+ * @param {string} requestId - Request ID for log prefixes
+ * @returns {Object} { scrapeId, done } - done resolves with the final session state
+ */
+function startScrapeJob(params, requestId) {
+  const scrapeId = generateScrapeId();
+  const { searchUrl, searchTerm, useImageDetection = true } = params;
+
+  // Track this scrape session for progress polling and cancellation
+  activeScrapes.set(scrapeId, {
+    status: 'running',
+    phase: 'starting',
+    cancelled: false,
+    startedAt: Date.now(),
+    requestId,
+    searchTerm: searchTerm || searchUrl,
+    imageDetectionUsed: useImageDetection,
+    imageClassifier: useImageDetection ? (params.imageClassifier || 'auto') : null,
+    pagesFetched: 0,
+    totalPages: 0,
+    totalFound: 0,
+    fetched: 0,
+    textFiltered: 0,
+    visionBatch: 0,
+    visionBatches: 0,
+    visionProcessed: 0,
+    imageFiltered: null,
+    results: null,
+    error: null,
+    events: []
+  });
+
+  const done = (async () => {
+    const state = activeScrapes.get(scrapeId);
+    try {
+      const results = await runScrape(scrapeId, { ...params, useImageDetection }, requestId);
+      state.results = { ...results, requestId };
+      state.status = state.cancelled ? 'cancelled' : 'complete';
+      state.phase = 'complete';
+    } catch (error) {
+      console.error(`[${requestId}] Error:`, error);
+      state.status = state.cancelled ? 'cancelled' : 'error';
+      state.error = error.message;
+    }
+    state.finishedAt = Date.now();
+
+    // Persist anything that produced results (including partial results from a cancelled run)
+    if (state.results) {
+      try {
+        await saveScrape(buildScrapeRecord(scrapeId, state), state.candidates);
+      } catch (storeError) {
+        console.error(`[${requestId}] Failed to store scrape:`, storeError.message);
+      }
+    }
+    delete state.candidates; // Stored on disk - don't hold them in memory for 30 minutes
+
+    // Final event carries the summary only - products were already streamed
+    const { products, rejectedProducts, ...summary } = state.results || {};
+    emitScrapeEvent(scrapeId, state.status, state.error ? { error: state.error, ...summary } : summary);
+
+    // Auto-cleanup after 30 minutes
+    setTimeout(() => activeScrapes.delete(scrapeId), 30 * 60 * 1000);
+    return state;
+  })();
+
+  return { scrapeId, done };
+}
+
+// API Routes
+// Start a background scrape - returns a scrapeId immediately, poll /api/scrape/status/:scrapeId
+app.post('/api/scrape', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] POST /api/scrape`, req.body);
+
+  const {
+    searchUrl,
+    searchTerm,
+    useImageDetection = true,
+    imageClassifier = 'auto',
+    filters = {},
+    exhaustive = false,
+    includeRejected = false // Also return the products the filters dropped, with their reasons
+  } = req.body;
+
+  let productFilters;
+  let dedupe;
+  try {
+    productFilters = normalizeProductFilters(req.body.productFilters);
+    dedupe = normalizeDedupeOptions(req.body.dedupe);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!searchUrl && !searchTerm) {
+    return res.status(400).json({ error: 'searchUrl or searchTerm required' });
+  }
+
+  if (!searchUrl && !searchTerm.includes('cjdropshipping.com') && !parseSearchQuery(searchTerm).keyword) {
+    return res.status(400).json({ error: 'searchTerm needs at least one positive term (not only -exclusions)' });
+  }
+
+  if (useImageDetection) {
+    try {
+      resolveClassifier(imageClassifier);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  // Require CJ API token
+  if (!CJ_API_TOKEN) {
+    return res.status(500).json({
+      error: 'CJ_API_TOKEN environment variable is required. Puppeteer scraping has been removed for better reliability.'
+    });
+  }
+
+  // Return immediately, process in background
+  const { scrapeId } = startScrapeJob({ searchUrl, searchTerm, useImageDetection, imageClassifier, filters, productFilters, dedupe, exhaustive, includeRejected }, requestId);
+  res.json({ success: true, scrapeId, requestId });
+});
+
+// ============================================
+// BATCH SCRAPE ENDPOINTS
+// ============================================
+
+// Background batch state
+const activeBatches = new Map();
+const MAX_BATCH_SEARCHES = 50;
+const MAX_BATCH_CONCURRENCY = 3;
+
+// Start a multi-keyword batch scrape - each search runs as a normal scrape job through a bounded queue
+app.post('/api/scrape/batch', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  console.log(`[${requestId}] POST /api/scrape/batch`);
+
+  const { searches, concurrency = 2 } = req.body;
+
+  if (!Array.isArray(searches) || searches.length === 0) {
+    return res.status(400).json({ error: 'searches array is required', requestId });
+  }
+  if (searches.length > MAX_BATCH_SEARCHES) {
+    return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_SEARCHES} searches`, requestId });
+  }
+  // Accept plain strings as shorthand for { searchTerm }
+  const normalized = searches.map(s => (typeof s === 'string' ? { searchTerm: s } : s || {}));
+  const invalid = normalized.findIndex(s => !s.searchTerm && !s.searchUrl);
+  if (invalid !== -1) {
+    return res.status(400).json({ error: `searches[${invalid}]: searchUrl or searchTerm required`, requestId });
+  }
+  const excludeOnly = normalized.findIndex(s => !s.searchUrl && !s.searchTerm.includes('cjdropshipping.com') && !parseSearchQuery(s.searchTerm).keyword);
+  if (excludeOnly !== -1) {
+    return res.status(400).json({ error: `searches[${excludeOnly}]: searchTerm needs at least one positive term`, requestId });
+  }
+  for (let i = 0; i < normalized.length; i++) {
+    try {
+      // Top-level productFilters apply to every search without its own
+      normalized[i].productFilters = normalizeProductFilters(normalized[i].productFilters || req.body.productFilters);
+      normalized[i].dedupe = normalizeDedupeOptions(normalized[i].dedupe !== undefined ? normalized[i].dedupe : req.body.dedupe);
+      if (normalized[i].useImageDetection !== false) {
+        resolveClassifier(normalized[i].imageClassifier);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: `searches[${i}]: ${error.message}`, requestId });
+    }
+  }
+
+  if (!CJ_API_TOKEN) {
+    return res.status(500).json({ error: 'CJ_API_TOKEN environment variable is required', requestId });
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(concurrency) || 1, MAX_BATCH_CONCURRENCY));
+
+  activeBatches.set(batchId, {
+    status: 'running',
+    cancelled: false,
+    startedAt: Date.now(),
+    total: normalized.length,
+    completed: 0,
+    concurrency: limit,
+    keywords: normalized.map((search, index) => ({
+      index,
+      searchTerm: search.searchTerm || search.searchUrl,
+      useImageDetection: search.useImageDetection !== false,
+      status: 'queued',
+      scrapeId: null
+    })),
+    products: [],
+    duplicatesRemoved: 0
+  });
+
+  // Return immediately, process in background
+  res.json({ success: true, batchId, requestId, total: normalized.length });
+
+  (async () => {
+    const batch = activeBatches.get(batchId);
+    const merged = new Map(); // pid -> product with foundBy
+
+    await runWithConcurrency(normalized, limit, async (search, index) => {
+      const entry = batch.keywords[index];
+      if (batch.cancelled) {
+        entry.status = 'cancelled';
+        return;
+      }
+
+      const { scrapeId, done } = startScrapeJob({
+        searchUrl: search.searchUrl,
+        searchTerm: search.searchTerm,
+        useImageDetection: search.useImageDetection !== false,
+        imageClassifier: search.imageClassifier,
+        filters: search.filters || {},
+        productFilters: search.productFilters,
+        dedupe: search.dedupe,
+        exhaustive: !!search.exhaustive
+      }, `${requestId}:${index}`);
+      entry.scrapeId = scrapeId;
+      entry.status = 'running';
+
+      const state = await done;
+      const results = state.results;
+      entry.status = state.status;
+      entry.error = state.error || undefined;
+      batch.completed++;
+
+      if (!results) return;
+
+      // Label by the resolved keyword so CJ URLs show what was actually searched
+      const label = results.searchTerm || entry.searchTerm;
+      entry.searchTerm = label;
+      entry.totalFound = results.totalFound;
+      entry.textFiltered = results.textFiltered;
+      entry.productFiltered = results.productFiltered;
+      entry.imageFiltered = results.imageFiltered;
+      entry.filtered = results.filtered;
+      entry.passRate = results.passRate;
+      entry.newProducts = 0;
+
+      for (const product of results.products) {
+        const existing = merged.get(product.pid);
+        if (existing) {
+          if (!existing.foundBy.includes(label)) existing.foundBy.push(label);
+          batch.duplicatesRemoved++;
+        } else {
+          merged.set(product.pid, { ...product, foundBy: [label] });
+          entry.newProducts++;
+        }
+      }
+      batch.products = Array.from(merged.values());
+    });
+
+    batch.status = batch.cancelled ? 'cancelled' : 'complete';
+    batch.finishedAt = Date.now();
+    console.log(`[${batchId}] Batch ${batch.status}: ${batch.products.length} unique products from ${batch.total} searches (${batch.duplicatesRemoved} duplicates removed)`);
+
+    // Auto-cleanup after 30 minutes
+    setTimeout(() => activeBatches.delete(batchId), 30 * 60 * 1000);
+  })();
+});
+
+// Check batch progress - merged products are returned once the batch has finished
+app.get('/api/scrape/batch/:batchId', (req, res) => {
+  const batch = activeBatches.get(req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  const { products, ...progress } = batch;
+  res.set('Cache-Control', 'no-store, no-cache');
+  res.json({
+    success: true,
+    batchId: req.params.batchId,
+    ...progress,
+    uniqueProducts: products.length,
+    products: batch.status === 'running' ? undefined : products,
+    elapsedMs: (batch.finishedAt || Date.now()) - batch.startedAt
+  });
+});
+
+// Cancel a batch - queued searches are skipped and running ones cancelled
+app.post('/api/scrape/batch/:batchId/cancel', (req, res) => {
+  const batch = activeBatches.get(req.params.batchId);
+  if (!batch || batch.status !== 'running') {
+    return res.json({ success: false, message: 'Batch not found or already completed' });
+  }
+  batch.cancelled = true;
+  for (const entry of batch.keywords) {
+    const state = entry.scrapeId && activeScrapes.get(entry.scrapeId);
+    if (state && state.status === 'running') {
+      state.cancelled = true;
+      cancelScrape(entry.scrapeId);
+    }
+  }
+  console.log(`[CANCEL] Batch ${req.params.batchId} cancelled`);
+  res.json({ success: true, message: `Batch ${req.params.batchId} cancelled` });
+});
+
+// Check scrape progress (and fetch final results once complete)
+app.get('/api/scrape/status/:scrapeId', (req, res) => {
+  const state = activeScrapes.get(req.params.scrapeId);
+  if (!state) {
+    return res.status(404).json({ error: 'Scrape not found' });
+  }
+  const { events, candidates, ...progress } = state;
+  res.set('Cache-Control', 'no-store, no-cache');
+  res.json({
+    success: true,
+    scrapeId: req.params.scrapeId,
+    ...progress,
+    elapsedMs: (state.finishedAt || Date.now()) - state.startedAt
+  });
+});
+
+// Stream scrape progress as Server-Sent Events
+// Replays events already emitted (or those after Last-Event-ID) then follows live until the scrape ends;
+// for a finished scrape the stream closes right after the replay
+app.get('/api/scrape/:scrapeId/events', (req, res) => {
+  const { scrapeId } = req.params;
+  const state = activeScrapes.get(scrapeId);
+  if (!state) {
+    return res.status(404).json({ error: 'Scrape not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store, no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (TERMINAL_SCRAPE_EVENTS.includes(event.type)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Comment heartbeat keeps idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    scrapeEvents.removeListener(scrapeId, sendEvent);
+  };
+  req.on('close', cleanup);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+  const missed = state.events.filter(e => e.id > lastEventId);
+  scrapeEvents.on(scrapeId, sendEvent);
+  for (const event of missed) {
+    if (res.writableEnded) break;
+    sendEvent(event);
+  }
+
+  // A finished scrape emits nothing more - e.g. a reconnect that already saw the terminal event.
+  // (status leaves 'running' before the results are stored; the terminal event comes after that)
+  const finished = state.events.some(e => TERMINAL_SCRAPE_EVENTS.includes(e.type));
+  if (!res.writableEnded && state.status !== 'running' && finished) {
+    cleanup();
+    res.end();
+  }
+});
+
+// Cancel a scrape in progress
+app.post('/api/scrape/cancel', (req, res) => {
+  const { scrapeId } = req.body;
+
+  if (!scrapeId) {
+    return res.status(400).json({ error: 'scrapeId is required' });
+  }
+
+  const state = activeScrapes.get(scrapeId);
+  if (state && state.status === 'running') {
+    state.cancelled = true;
+    cancelScrape(scrapeId); // Also cancel in cj-api-scraper
+    console.log(`[CANCEL] Scrape ${scrapeId} cancelled`);
+    res.json({ success: true, message: `Scrape ${scrapeId} cancelled` });
+  } else {
+    res.json({ success: false, message: 'Scrape not found or already completed' });
+  }
+});
+
+// Cancel all active scrapes
+app.post('/api/scrape/cancel-all', (req, res) => {
+  const cancelled = [];
+  activeScrapes.forEach((session, id) => {
+    if (session.status !== 'running') return;
+    session.cancelled = true;
+    cancelScrape(id);
+    cancelled.push(id);
+  });
+  console.log(`[CANCEL] All scrapes cancelled: ${cancelled.length}`);
+  res.json({ success: true, cancelled: cancelled.length, ids: cancelled });
+});
+
+// ============================================
+// SCRAPE HISTORY ENDPOINTS
+// ============================================
+
+// List stored scrapes (summaries, newest first)
+app.get('/api/scrapes', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const { total, scrapes } = await listScrapes({ limit, offset, keyword: req.query.keyword || null });
+    res.json({ success: true, total, scrapes });
+  } catch (error) {
+    console.error('Error listing scrapes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reload a stored scrape including its products
+app.get('/api/scrapes/:id', async (req, res) => {
+  try {
+    const scrape = await getScrape(req.params.id);
+    if (!scrape) {
+      return res.status(404).json({ error: 'Scrape not found' });
+    }
+    // ?includeRejected=true adds the dropped candidates with their filter decisions
+    if (req.query.includeRejected === 'true') {
+      const candidates = await getScrapeCandidates(req.params.id) || [];
+      scrape.rejectedProducts = candidates.filter(p => p.filterDecision && p.filterDecision.verdict === 'reject');
+    }
+    res.json({ success: true, scrape });
+  } catch (error) {
+    console.error('Error loading scrape:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-apply filter rules to a stored scrape using only cached Vision labels (no new Vision calls)
+app.post('/api/scrapes/:id/refilter', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] POST /api/scrapes/${req.params.id}/refilter`);
+
+  try {
+    const scrape = await getScrape(req.params.id);
+    if (!scrape) {
+      return res.status(404).json({ error: 'Scrape not found', requestId });
+    }
+    const candidates = await getScrapeCandidates(req.params.id);
+    if (!candidates) {
+      return res.status(409).json({ error: 'This scrape was stored without candidates and cannot be re-filtered', requestId });
+    }
+
+    const {
+      searchTerm = scrape.keyword,
+      useImageDetection = scrape.imageDetectionUsed,
+      includeUnlabeled = false, // Keep products whose image was never sent to Vision
+      includeRejected = false,
+      save = false
+    } = req.body;
+
+    // Explicit valid/reject lists replace the keywords the original scrape used
+    const visionKeywords = (req.body.valid || req.body.reject)
+      ? { valid: req.body.valid || [], reject: req.body.reject || [] }
+      : scrape.visionKeywords || null;
+
+    // Fresh copies - stored candidates carry the original run's decisions
+    const products = candidates.map(({ filterDecision, ...product }) => product);
+    // Product filters default to the values the original scrape used
+    let productFilters;
+    try {
+      const storedFilters = Object.fromEntries(
+        Object.entries(scrape.productFilters || {}).map(([name, { value }]) => [name, value])
+      );
+      productFilters = normalizeProductFilters(req.body.productFilters || storedFilters);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, requestId });
+    }
+
+    const textRules = listRules();
+    const query = parseSearchQuery(searchTerm);
+    const textPassed = products.filter(p => {
+      const decision = explainTextFilter(p.title || '', query, textRules);
+      setFilterDecision(p, decision.passed, decision.reasons, { matchedTerms: decision.matched });
+      return decision.passed;
+    });
+
+    const productFilterResult = applyProductFilters(textPassed, productFilters);
+    productFilterResult.rejected.forEach(({ product, reason }) => setFilterDecision(product, false, [reason]));
+    const textFiltered = productFilterResult.passed;
+
+    // Read labels from the namespace of the classifier the scrape used (older scrapes used Google Vision)
+    const classifier = PROVIDERS[scrape.imageClassifier] || PROVIDERS['google-api-key'];
+
+    let finalProducts = textFiltered;
+    let unlabeled = 0;
+    if (useImageDetection) {
+      finalProducts = textFiltered.filter(product => {
+        const cacheOptions = labelCacheOptions(classifier, { title: product.title, categoryName: product.categoryName });
+        const labels = product.image ? getLabelsByUrl(product.image, cacheOptions) : null;
+        if (!labels) {
+          unlabeled++;
+          setFilterDecision(product, includeUnlabeled, ['vision_unlabeled']);
+          return includeUnlabeled;
+        }
+        const decision = explainImageLabels(labels, query.keyword || scrape.category?.name || '', visionKeywords);
+        setFilterDecision(product, decision.passed, decision.reasons, { matchedLabels: decision.matched });
+        return decision.passed;
+      });
+    }
+
+    const results = {
+      success: true,
+      requestId,
+      refilteredFrom: scrape.id,
+      searchTerm,
+      visionKeywords,
+      candidates: candidates.length,
+      textFiltered: textPassed.length,
+      productFilters: Object.keys(productFilters).length > 0 ? productFilterResult.counts : null,
+      productFiltered: Object.keys(productFilters).length > 0 ? textFiltered.length : null,
+      imageFiltered: useImageDetection ? finalProducts.length : null,
+      unlabeled,
+      filtered: finalProducts.length,
+      passRate: scrape.totalFound ? ((finalProducts.length / scrape.totalFound) * 100).toFixed(1) + '%' : '0.0%',
+      rejectReasons: countRejectReasons(products),
+      products: finalProducts,
+      rejectedProducts: includeRejected
+        ? products.filter(p => p.filterDecision.verdict === 'reject')
+        : undefined
+    };
+
+    console.log(`[${requestId}] Re-filter of ${scrape.id}: ${textPassed.length}/${candidates.length} text, ${textFiltered.length} after product filters, ${finalProducts.length} final (${unlabeled} without cached labels)`);
+
+    // Optionally store the re-filtered result as a new history entry
+    if (save) {
+      const id = generateScrapeId();
+      const now = new Date().toISOString();
+      await saveScrape({
+        ...scrape,
+        id,
+        status: 'complete',
+        keyword: searchTerm,
+        refilteredFrom: scrape.id,
+        dedupe: null,
+        visionKeywords,
+        imageDetectionUsed: useImageDetection,
+        textFiltered: results.textFiltered,
+        productFilters: results.productFilters,
+        productFiltered: results.productFiltered,
+        imageFiltered: results.imageFiltered,
+        filtered: results.filtered,
+        passRate: results.passRate,
+        rejectReasons: results.rejectReasons,
+        startedAt: now,
+        finishedAt: now,
+        products: finalProducts
+      }, products);
+      results.scrapeId = id;
+    }
 
-      let labels = [];
+    res.json(results);
+  } catch (error) {
+    console.error(`[${requestId}] Re-filter error:`, error);
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
 
-      // Try service account first, fallback to API key
-      if (process.env.GOOGLE_APPLICATION_CREDENTIALS || GOOGLE_CREDENTIALS_JSON) {
-        const vision = require('@google-cloud/vision');
-        const client = new vision.ImageAnnotatorClient();
-        const [result] = await client.labelDetection({
-          image: { content: imageBuffer }
-        });
-        labels = result.labelAnnotations || [];
-      } else if (GOOGLE_VISION_API_KEY) {
-        const visionResponse = await axios.post(
-          `https://vision.googleapis.com/v1/images:annotate?key=${GOOGLE_VISION_API_KEY}`,
-          {
-            requests: [{
-              image: { content: base64Image },
-              features: [{ type: 'LABEL_DETECTION', maxResults: 15 }]
-            }]
-          },
-          { timeout: 15000 }
-        );
-        labels = visionResponse.data.responses[0]?.labelAnnotations || [];
-      }
+// ============================================
+// SAVED SEARCHES
+// ============================================
 
-      const detectedLabels = labels.map(l => l.description.toLowerCase());
-      // Log removed - batch summary provides progress
-
-      // ===========================================
-      // AI-POWERED DYNAMIC FILTERING
-      // ===========================================
-
-      let validLabels = [];
-      let rejectLabels = [];
-
-      if (dynamicKeywords && dynamicKeywords.valid && dynamicKeywords.reject) {
-        // Use AI-generated keywords
-        validLabels = dynamicKeywords.valid.map(l => l.toLowerCase());
-        rejectLabels = dynamicKeywords.reject.map(l => l.toLowerCase());
-
-        // ===== CRITICAL: CHECK REJECT LABELS FIRST =====
-        // This catches false positives like pillows in a throw search
-        const hasRejectLabel = detectedLabels.some(label =>
-          rejectLabels.some(reject =>
-            label.includes(reject) || reject.includes(label)
-          )
-        );
-
-        if (hasRejectLabel) {
-          const matchedReject = detectedLabels.filter(label =>
-            rejectLabels.some(reject =>
-              label.includes(reject) || reject.includes(label)
-            )
-          );
-          return false; // Rejected by: matched reject labels
-        }
+const SAVED_SEARCH_TICK_MS = 60 * 1000; // Schedules have minute resolution
+const runningSavedSearches = new Set(); // Saved search IDs with a run in progress
+
+/**
+ * Validate a saved search definition from a request body
+ * @param {Object} input - Request body
+ * @param {Object} existing - Current saved search when updating
+ * @returns {Object} Normalized fields
+ * @throws {Error} With a message suitable for a 400 response
+ */
+function normalizeSavedSearch(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  if (!merged.searchTerm && !merged.searchUrl) {
+    throw new Error('searchUrl or searchTerm required');
+  }
+  if (merged.searchTerm && !merged.searchUrl && !merged.searchTerm.includes('cjdropshipping.com') && !parseSearchQuery(merged.searchTerm).keyword) {
+    throw new Error('searchTerm needs at least one positive term (not only -exclusions)');
+  }
+  const schedule = merged.schedule ? String(merged.schedule).trim() : null;
+  if (schedule) {
+    parseCron(schedule); // Throws on an invalid expression
+  }
+  const useImageDetection = merged.useImageDetection !== false;
+  if (useImageDetection && merged.imageClassifier && !PROVIDERS[merged.imageClassifier] && merged.imageClassifier !== 'auto') {
+    throw new Error(`Unknown image classifier "${merged.imageClassifier}"`);
+  }
 
-        // Check valid labels
-        const hasValidMatch = detectedLabels.some(label =>
-          validLabels.some(valid =>
-            label.includes(valid) || valid.includes(label)
-          )
-        );
+  return {
+    name: merged.name || merged.searchTerm || merged.searchUrl,
+    searchTerm: merged.searchTerm || null,
+    searchUrl: merged.searchUrl || null,
+    filters: merged.filters || {},
+    productFilters: normalizeProductFilters(merged.productFilters),
+    useImageDetection,
+    imageClassifier: merged.imageClassifier || 'auto',
+    exhaustive: !!merged.exhaustive,
+    dedupe: normalizeDedupeOptions(merged.dedupe),
+    schedule,
+    enabled: merged.enabled !== false
+  };
+}
 
-        if (hasValidMatch) {
-          return true; // Passed: valid label match
-        }
+// Next scheduled run for a saved search (null when unscheduled or disabled)
+function scheduleNextRun(search, from = new Date()) {
+  if (!search.schedule || !search.enabled) return null;
+  const next = nextRun(search.schedule, from);
+  return next ? next.toISOString() : null;
+}
 
-        return false; // Rejected: no valid labels
-      }
+/**
+ * Start a run of a saved search and record its diff when it finishes
+ * @param {Object} search - Saved search
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Object|null} { runId, scrapeId } or null if a run is already in progress
+ */
+function runSavedSearch(search, trigger) {
+  if (runningSavedSearches.has(search.id)) {
+    return null;
+  }
+  runningSavedSearches.add(search.id);
 
-      // ===========================================
-      // FALLBACK: Static keyword expansion
-      // ===========================================
-      const searchLower = searchTerm.toLowerCase();
-      const searchWords = searchLower.split(/[\s+]+/).filter(w => w.length > 2);
-
-      // Static keyword expansions as fallback
-      const keywordExpansions = {
-        'blanket': ['blanket', 'throw', 'textile', 'fabric', 'fleece', 'bedding', 'wool', 'fur', 'plush', 'soft'],
-        'throw': ['throw', 'blanket', 'textile', 'fabric', 'wool', 'fur', 'soft', 'cozy', 'plush'],
-        'pillow': ['pillow', 'cushion', 'textile', 'fabric', 'bedding', 'soft'],
-        'phone': ['phone', 'mobile', 'smartphone', 'device', 'electronic', 'screen', 'case'],
-        'dog': ['dog', 'pet', 'animal', 'canine', 'collar', 'leash', 'toy'],
-        'cat': ['cat', 'pet', 'animal', 'feline', 'toy'],
-        'light': ['light', 'lamp', 'led', 'lighting', 'bulb'],
-        'kitchen': ['kitchen', 'cookware', 'utensil', 'cooking'],
-        'bag': ['bag', 'handbag', 'purse', 'backpack', 'luggage']
-      };
-
-      let validCategories = new Set();
-      searchWords.forEach(word => {
-        validCategories.add(word);
-        if (keywordExpansions[word]) {
-          keywordExpansions[word].forEach(related => validCategories.add(related));
-        }
-        Object.keys(keywordExpansions).forEach(key => {
-          if (word.includes(key) || key.includes(word)) {
-            keywordExpansions[key].forEach(related => validCategories.add(related));
-          }
-        });
+  const requestId = Date.now().toString(36);
+  const runId = `run_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  console.log(`[${requestId}] 🔁 Saved search "${search.name}" (${search.id}) - ${trigger} run`);
+
+  const { scrapeId, done } = startScrapeJob({
+    searchUrl: search.searchUrl,
+    searchTerm: search.searchTerm,
+    useImageDetection: search.useImageDetection,
+    imageClassifier: search.imageClassifier,
+    filters: search.filters,
+    productFilters: search.productFilters,
+    dedupe: search.dedupe,
+    exhaustive: search.exhaustive
+  }, requestId);
+
+  done
+    .then(async (state) => {
+      const results = state.results || {};
+      const run = await recordRun(search.id, {
+        runId,
+        scrapeId,
+        trigger,
+        status: state.status,
+        startedAt: new Date(state.startedAt).toISOString(),
+        finishedAt: new Date(state.finishedAt).toISOString(),
+        totalFound: results.totalFound || 0,
+        filtered: results.filtered || 0,
+        error: state.error
+      }, state.results ? results.products : null);
+
+      await updateSavedSearch(search.id, {
+        lastRunAt: run.finishedAt,
+        lastRunStatus: run.status,
+        lastRunSummary: run.summary
       });
 
-      const validCategoriesArray = Array.from(validCategories);
-      const hasValidMatch = detectedLabels.some(label =>
-        validCategoriesArray.some(valid =>
-          label.includes(valid) || valid.includes(label)
-        )
-      );
-
-      const hasSearchTermMatch = searchWords.some(word =>
-        detectedLabels.some(label => label.includes(word) || word.includes(label))
-      );
-
-      if (hasValidMatch || hasSearchTermMatch) {
-        return true;
+      if (run.summary) {
+        console.log(`[${requestId}] 🔁 Saved search "${search.name}": ${run.summary.new} new, ${run.summary.removed} gone, ${run.summary.priceChanged} price changes`);
+      } else {
+        console.log(`[${requestId}] 🔁 Saved search "${search.name}": ${run.baseline ? 'baseline run recorded' : `run ${run.status}`}`);
       }
+    })
+    .catch(error => {
+      console.error(`[${requestId}] Saved search run failed:`, error.message);
+    })
+    .finally(() => {
+      runningSavedSearches.delete(search.id);
+    });
 
-      return false;
-    }); // End withRetry callback
+  return { runId, scrapeId };
+}
 
+// Start every scheduled saved search that is due
+async function checkSavedSearches() {
+  if (!CJ_API_TOKEN) return;
+  try {
+    const now = new Date();
+    for (const search of await listSavedSearches()) {
+      if (!search.enabled || !search.nextRunAt || new Date(search.nextRunAt) > now) continue;
+      // Skipped if the previous run is still going; missed runs (server down) collapse into one
+      runSavedSearch(search, 'schedule');
+      await updateSavedSearch(search.id, { nextRunAt: scheduleNextRun(search, now) });
+    }
   } catch (error) {
-    console.error('Vision API error:', error.message);
-    // On error, default to PASS (don't reject due to API issues)
-    return true;
+    console.error('[Saved Searches] Scheduler error:', error.message);
   }
 }
 
-
-// Removed Puppeteer scraping - using CJ API exclusively for better reliability and speed
-
-// Clear keyword cache endpoint
-app.get('/api/clear-cache', async (req, res) => {
+// List saved searches
+app.get('/api/saved-searches', async (req, res) => {
   try {
-    await clearKeywordCache();
-    res.json({ success: true, message: 'Keyword cache cleared' });
+    const searches = await listSavedSearches();
+    res.json({
+      success: true,
+      savedSearches: searches.map(s => ({ ...s, running: runningSavedSearches.has(s.id) }))
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// API Routes
-app.post('/api/scrape', async (req, res) => {
+// Create a saved search
+app.post('/api/saved-searches', async (req, res) => {
   const requestId = Date.now().toString(36);
-  const scrapeId = generateScrapeId();
-  console.log(`[${requestId}] POST /api/scrape`, req.body);
+  console.log(`[${requestId}] POST /api/saved-searches`, req.body);
 
-  const { searchUrl, searchTerm, useImageDetection = true } = req.body;
-
-  if (!searchUrl && !searchTerm) {
-    return res.status(400).json({ error: 'searchUrl or searchTerm required' });
+  let fields;
+  try {
+    fields = normalizeSavedSearch(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, requestId });
   }
 
-  // Require CJ API token
-  if (!CJ_API_TOKEN) {
-    return res.status(500).json({
-      error: 'CJ_API_TOKEN environment variable is required. Puppeteer scraping has been removed for better reliability.'
-    });
+  try {
+    const search = await createSavedSearch({ ...fields, nextRunAt: scheduleNextRun(fields) });
+    res.json({ success: true, requestId, savedSearch: search });
+  } catch (error) {
+    console.error(`[${requestId}] Saved search error:`, error);
+    res.status(500).json({ error: error.message, requestId });
   }
+});
 
-  // Track this scrape session for cancellation
-  activeScrapes.set(scrapeId, { cancelled: false, startedAt: Date.now() });
-
+// Get a saved search
+app.get('/api/saved-searches/:id', async (req, res) => {
   try {
-    console.log('[API MODE] Using CJ Official API');
-    console.log(`[${requestId}] Scrape ID: ${scrapeId}`);
-
-    // Parse search term and filters from URL if provided
-    // BUGFIX: Check BOTH searchUrl and searchTerm for CJ URLs (frontend may pass URL as searchTerm)
-    let keyword = searchTerm || searchUrl;
-    let filters = {};
+    const search = await getSavedSearch(req.params.id);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json({ success: true, savedSearch: { ...search, running: runningSavedSearches.has(search.id) } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Check if searchUrl OR searchTerm contains a CJ URL
-    const urlToParse = (searchUrl && searchUrl.includes('cjdropshipping.com')) ? searchUrl
-      : (searchTerm && searchTerm.includes('cjdropshipping.com')) ? searchTerm
-        : null;
+// Update a saved search
+app.put('/api/saved-searches/:id', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] PUT /api/saved-searches/${req.params.id}`, req.body);
 
-    if (urlToParse) {
-      const parsed = parseCJUrl(urlToParse);
-      keyword = parsed.keyword;
-      filters = parsed.filters;
-      console.log('Parsed URL:', { keyword, filters });
+  try {
+    const existing = await getSavedSearch(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved search not found', requestId });
     }
 
-    // Check for cancellation
-    if (activeScrapes.get(scrapeId)?.cancelled) {
-      throw new Error('Scrape cancelled by user');
+    let fields;
+    try {
+      fields = normalizeSavedSearch(req.body, existing);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, requestId });
     }
 
-    // ========================================
-    // CATEGORY VALIDATION: Check if URL id is a valid category
-    // ========================================
-    let validatedCategoryId = null;
-    let categoryInfo = null;
-    const urlCategoryId = filters.categoryId || filters.id;
+    const search = await updateSavedSearch(req.params.id, { ...fields, nextRunAt: scheduleNextRun(fields) });
+    res.json({ success: true, requestId, savedSearch: search });
+  } catch (error) {
+    console.error(`[${requestId}] Saved search error:`, error);
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
+
+// Delete a saved search and its run history
+app.delete('/api/saved-searches/:id', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] DELETE /api/saved-searches/${req.params.id}`);
 
-    if (urlCategoryId) {
-      try {
-        // Fetch category tree from CJ
-        const categoryData = await getCategoryIndex(CJ_API_TOKEN);
-
-        // Validate the category ID
-        if (isValidCategoryId(urlCategoryId, categoryData)) {
-          validatedCategoryId = urlCategoryId;
-          categoryInfo = getCategoryById(urlCategoryId, categoryData);
-          console.log('[Category] ✓ Valid category found:', {
-            id: validatedCategoryId,
-            name: categoryInfo?.name || 'Unknown',
-            level: categoryInfo?.level || 'Unknown',
-            path: categoryInfo?.path || 'Unknown'
-          });
-        } else {
-          console.warn('[Category] ✗ Invalid category ID from URL:', urlCategoryId);
-          console.log('[Category] This may be a search filter or session ID, not a category');
-          console.log('[Category] Proceeding WITHOUT category filter');
-        }
-      } catch (error) {
-        console.error('[Category] Failed to validate category:', error.message);
-        console.log('[Category] Proceeding WITHOUT category filter due to error');
-      }
-    } else {
-      console.log('[Category] No category ID in URL filters');
+  try {
+    if (!(await deleteSavedSearch(req.params.id))) {
+      return res.status(404).json({ error: 'Saved search not found', requestId });
     }
+    res.json({ success: true, requestId });
+  } catch (error) {
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
 
-    // DEBUG: Log filters being passed to CJ API  
-    console.log('[DEBUG] Filters being passed:', {
-      startWarehouseInventory: filters.startWarehouseInventory,
-      endWarehouseInventory: filters.endWarehouseInventory,
-      verifiedWarehouse: filters.verifiedWarehouse,
-      categoryId: validatedCategoryId || 'NONE (not validated or invalid)'
-    });
+// Run a saved search now (outside its schedule)
+app.post('/api/saved-searches/:id/run', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] POST /api/saved-searches/${req.params.id}/run`);
 
-    // FIXED: Fetch ALL pages (up to MAX_OFFSET limit)
-    const apiResult = await searchCJProducts(keyword, CJ_API_TOKEN, {
-      pageNum: 1,
-      pageSize: 200, // Max allowed by CJ API
-      verifiedWarehouse: filters.verifiedWarehouse,
-      categoryId: validatedCategoryId, // Only use VALIDATED category ID
-      startWarehouseInventory: filters.startWarehouseInventory || null,
-      endWarehouseInventory: filters.endWarehouseInventory || null,
-      fetchAllPages: true,
-      scrapeId: scrapeId
-    });
+  if (!CJ_API_TOKEN) {
+    return res.status(500).json({ error: 'CJ_API_TOKEN environment variable is required', requestId });
+  }
 
-    if (!apiResult.success) {
-      throw new Error(apiResult.error || 'CJ API request failed');
+  try {
+    const search = await getSavedSearch(req.params.id);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found', requestId });
     }
-
-    // Check for cancellation
-    if (activeScrapes.get(scrapeId)?.cancelled) {
-      throw new Error('Scrape cancelled by user');
+    const started = runSavedSearch(search, 'manual');
+    if (!started) {
+      return res.status(409).json({ error: 'A run of this saved search is already in progress', requestId });
     }
+    res.json({ success: true, requestId, ...started });
+  } catch (error) {
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
 
-    // Apply text filtering (cj-api-scraper transforms productNameEn to 'title')
-    let textFiltered = apiResult.products.filter(p => isRelevantProduct(p.title || '', keyword));
-
-    // BUG FIX: Limit total products to prevent runaway scrapes
-    const MAX_PRODUCTS_TO_PROCESS = 1000;
-    if (textFiltered.length > MAX_PRODUCTS_TO_PROCESS) {
-      console.log(`⚠️ Limiting Vision analysis to first ${MAX_PRODUCTS_TO_PROCESS} products (found ${textFiltered.length})`);
-      textFiltered = textFiltered.slice(0, MAX_PRODUCTS_TO_PROCESS);
+// Run history with new / disappeared / price-changed products per run
+app.get('/api/saved-searches/:id/runs', async (req, res) => {
+  try {
+    const search = await getSavedSearch(req.params.id);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
     }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { total, runs } = await listRuns(req.params.id, { limit, offset });
+    res.json({ success: true, savedSearchId: search.id, total, limit, offset, runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Apply image detection if enabled
-    // BATCH PROCESSING: Process 50 images at a time for max speed (2GB RAM has headroom)
-    // Batch size: 10 for 1GB, 25 for 2GB (safe), 50 for 2GB (fast), 100 for 4GB+
-    const VISION_BATCH_SIZE = 50; // 50 parallel requests = max speed for 2GB
-    let finalProducts = textFiltered;
-    const SCRAPE_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes max scrape time
-    const scrapeStartTime = Date.now();
-
-    if (useImageDetection && textFiltered.length > 0) {
-      logMemory('VISION_START');
-
-      // ===============================================
-      // NEW: Generate dynamic AI keywords for filtering
-      // ===============================================
-      let dynamicKeywords = null;
-      if (GEMINI_API_KEY) {
-        console.log(`\n🤖 [AI] Generating dynamic keywords for "${keyword}"...`);
-        try {
-          dynamicKeywords = await generateDynamicKeywords(keyword, GEMINI_API_KEY);
-          console.log(`🤖 [AI] Valid labels: ${dynamicKeywords.valid?.slice(0, 5).join(', ')}...`);
-          console.log(`🤖 [AI] Reject labels: ${dynamicKeywords.reject?.join(', ') || 'none'}`);
-          console.log(`🤖 [AI] Confidence: ${dynamicKeywords.confidence || 'unknown'}`);
-        } catch (aiError) {
-          console.log(`⚠️ [AI] Keyword generation failed: ${aiError.message}, using static fallback`);
-        }
-      } else {
-        console.log(`ℹ️ [AI] No GEMINI_API_KEY, using static keyword matching`);
-      }
-
-      console.log(`Analyzing ${textFiltered.length} products with Google Vision in batches of ${VISION_BATCH_SIZE}...`);
-      console.log(`Estimated time: ${Math.ceil(textFiltered.length / VISION_BATCH_SIZE * 1.5)} seconds`);
-      const imageFiltered = [];
-      const totalBatches = Math.ceil(textFiltered.length / VISION_BATCH_SIZE);
-
-      // BATCH PROCESSING: Process VISION_BATCH_SIZE images in parallel
-      for (let i = 0; i < textFiltered.length; i += VISION_BATCH_SIZE) {
-        // Check for cancellation
-        if (activeScrapes.get(scrapeId)?.cancelled) {
-          console.log(`[${requestId}] ⛔ Scrape cancelled during Vision processing`);
-          break;
-        }
-
-        // Check for timeout
-        if (Date.now() - scrapeStartTime > SCRAPE_TIMEOUT_MS) {
-          console.log(`[${requestId}] ⏱️ Scrape timeout reached (${SCRAPE_TIMEOUT_MS / 1000 / 60} minutes), stopping...`);
-          break;
-        }
-
-        const batch = textFiltered.slice(i, i + VISION_BATCH_SIZE);
-        const batchNum = Math.floor(i / VISION_BATCH_SIZE) + 1;
-
-        console.log(`  Batch ${batchNum}/${totalBatches}: processing ${batch.length} images...`);
-        logMemory(`BATCH_${batchNum}_START`);
-
-        // Process batch in PARALLEL for speed
-        const batchResults = await Promise.all(
-          batch.map(async (product, idx) => {
-            try {
-              if (product.image) {
-                const passed = await analyzeProductImage(product.image, keyword, i + idx, dynamicKeywords);
-                return { product, passed };
-              }
-              return { product, passed: false };
-            } catch (err) {
-              console.error(`  [${i + idx}] Vision error: ${err.message}`);
-              return { product, passed: false };
-            }
-          })
-        );
-
-        // Collect passed products
-        batchResults.forEach(result => {
-          if (result.passed) {
-            imageFiltered.push(result.product);
-          }
-        });
-
-        const passedCount = batchResults.filter(r => r.passed).length;
-        console.log(`  Batch ${batchNum}/${totalBatches}: ${passedCount}/${batch.length} passed`);
-        logMemory(`BATCH_${batchNum}_END`);
-
-        // Force garbage collection hint between batches if available
-        if (global.gc) {
-          global.gc();
-        }
+// ============================================
+// TEXT FILTER RULES
+// ============================================
 
-        // Small delay between batches to allow memory cleanup (500ms)
-        if (i + VISION_BATCH_SIZE < textFiltered.length) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
+// List text-reject rules (in evaluation order)
+app.get('/api/filter-rules', (req, res) => {
+  try {
+    res.json({ success: true, rules: listRules() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      console.log(`Vision analysis complete: ${imageFiltered.length}/${textFiltered.length} passed`);
-      logMemory('VISION_END');
-      finalProducts = imageFiltered;
-    }
+// Add a text-reject rule
+app.post('/api/filter-rules', (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] POST /api/filter-rules`, req.body);
 
-    // Cleanup scrape session
-    activeScrapes.delete(scrapeId);
+  try {
+    const rule = createRule(req.body);
+    res.json({ success: true, requestId, rule });
+  } catch (error) {
+    res.status(400).json({ error: error.message, requestId });
+  }
+});
 
-    const results = {
-      success: true,
-      method: 'CJ_API',
-      searchTerm: keyword,
-      filters: filters,
-      totalFound: apiResult.totalProducts,
-      maxFetchable: apiResult.maxFetchablePages ? apiResult.maxFetchablePages * 200 : null,
-      pagesScraped: apiResult.fetchedPages || 1,
-      textFiltered: textFiltered.length,
-      imageFiltered: useImageDetection ? finalProducts.length : null,
-      filtered: finalProducts.length,
-      passRate: ((finalProducts.length / apiResult.totalProducts) * 100).toFixed(1) + '%',
-      products: finalProducts,
-      imageDetectionUsed: useImageDetection,
-      scrapeId: scrapeId
-    };
+// Update a text-reject rule
+app.put('/api/filter-rules/:id', (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] PUT /api/filter-rules/${req.params.id}`, req.body);
 
-    // Clean summary log
-    console.log(`\n========== SCRAPE SUMMARY ==========`);
-    console.log(`Search Term: "${keyword}"`);
-    console.log(`Filters: ${JSON.stringify(filters)}`);
-    const usedCategoryId = filters.categoryId || filters.id || null;
-    console.log(`Category ID: ${usedCategoryId || 'NONE - will return ALL products!'}`);
-    console.log(`---`);
-    console.log(`📥 CJ API: ${apiResult.totalProducts} total (${apiResult.fetchedPages || 1} pages scraped)`);
-    if (apiResult.maxFetchablePages && apiResult.totalProducts > apiResult.maxFetchablePages * 200) {
-      console.log(`⚠️  Note: Only ${apiResult.maxFetchablePages * 200} products accessible (API offset limit: ${MAX_OFFSET})`);
-    }
-    console.log(`📥 Actually Fetched: ${apiResult.actualFetched || apiResult.products?.length || 0} products`);
-    console.log(`---`);
-    console.log(`📝 Text Filter: ${textFiltered.length}/${apiResult.actualFetched || apiResult.totalProducts} passed (${((textFiltered.length / (apiResult.actualFetched || apiResult.totalProducts)) * 100).toFixed(1)}%)`);
-    if (useImageDetection) {
-      console.log(`🖼️  Image Filter: ${finalProducts.length}/${textFiltered.length} passed (${textFiltered.length > 0 ? ((finalProducts.length / textFiltered.length) * 100).toFixed(1) : 0}%)`);
+  try {
+    const rule = updateRule(req.params.id, req.body);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found', requestId });
     }
-    console.log(`---`);
-    console.log(`✅ FINAL: ${finalProducts.length} products (${results.passRate} overall pass rate)`);
-    console.log(`=====================================\n`);
-
-    res.json({ ...results, requestId });
+    res.json({ success: true, requestId, rule });
   } catch (error) {
-    // Cleanup scrape session on error
-    activeScrapes.delete(scrapeId);
-    console.error(`[${requestId}] Error:`, error);
-    res.status(500).json({ error: error.message, requestId, scrapeId });
+    res.status(400).json({ error: error.message, requestId });
   }
 });
 
-// Cancel a scrape in progress
-app.post('/api/scrape/cancel', (req, res) => {
-  const { scrapeId } = req.body;
+// Delete a text-reject rule
+app.delete('/api/filter-rules/:id', (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] DELETE /api/filter-rules/${req.params.id}`);
 
-  if (!scrapeId) {
-    return res.status(400).json({ error: 'scrapeId is required' });
+  try {
+    if (!deleteRule(req.params.id)) {
+      return res.status(404).json({ error: 'Rule not found', requestId });
+    }
+    res.json({ success: true, requestId });
+  } catch (error) {
+    res.status(500).json({ error: error.message, requestId });
   }
+});
 
-  if (activeScrapes.has(scrapeId)) {
-    activeScrapes.get(scrapeId).cancelled = true;
-    cancelScrape(scrapeId); // Also cancel in cj-api-scraper
-    console.log(`[CANCEL] Scrape ${scrapeId} cancelled`);
-    res.json({ success: true, message: `Scrape ${scrapeId} cancelled` });
-  } else {
-    res.json({ success: false, message: 'Scrape not found or already completed' });
+// Try the text filter against a title without running a scrape
+app.post('/api/filter-rules/test', (req, res) => {
+  const { title, searchTerm } = req.body;
+  if (!title || !searchTerm) {
+    return res.status(400).json({ error: 'title and searchTerm required' });
   }
+  res.json({ success: true, decision: explainTextFilter(title, searchTerm) });
 });
 
-// Cancel all active scrapes
-app.post('/api/scrape/cancel-all', (req, res) => {
-  const cancelled = [];
-  activeScrapes.forEach((session, id) => {
-    session.cancelled = true;
-    cancelScrape(id);
-    cancelled.push(id);
+// List image classifier providers and whether each is configured
+app.get('/api/image-classifiers', (req, res) => {
+  res.json({
+    success: true,
+    default: resolveClassifier('auto').name,
+    classifiers: listClassifiers()
   });
-  activeScrapes.clear();
-  console.log(`[CANCEL] All scrapes cancelled: ${cancelled.length}`);
-  res.json({ success: true, cancelled: cancelled.length, ids: cancelled });
 });
 
 // Get CJ categories endpoint
@@ -811,7 +1970,6 @@ app.post('/api/match-products', async (req, res) => {
 
   try {
     const results = [];
-    const RATE_LIMIT_DELAY = 300; // 300ms between requests
 
     for (let i = 0; i < products.length; i++) {
       const { handle, title } = products[i];
@@ -822,19 +1980,13 @@ app.post('/api/match-products', async (req, res) => {
         // Use first few words of title for better matches
         const searchWords = title.split(' ').slice(0, 5).join(' ');
         
-        const response = await axios.get('https://developers.cjdropshipping.com/api/2.0/product/list', {
-          params: {
-            productNameEn: searchWords,
-            pageNum: 1,
-            pageSize: 5
-          },
-          headers: {
-            'CJ-Access-Token': CJ_API_TOKEN
-          },
-          timeout: 15000
-        });
+        const body = await cjGet('/product/list', {
+          productNameEn: searchWords,
+          pageNum: 1,
+          pageSize: 5
+        }, CJ_API_TOKEN, { caller: 'match' });
 
-        const cjProducts = response.data?.data?.list || [];
+        const cjProducts = body?.data?.list || [];
         
         // Calculate confidence scores
         const matches = cjProducts.map(cj => {
@@ -874,11 +2026,6 @@ app.post('/api/match-products', async (req, res) => {
           error: matchError.message
         });
       }
-
-      // Rate limit delay
-      if (i < products.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
-      }
     }
 
     res.json({
@@ -1003,49 +2150,424 @@ app.post('/api/link-products', async (req, res) => {
         console.log(`[${requestId}] ✅ Linked ${shopifyHandle} → ${cjProductId}`);
       }
 
-      // Small delay between requests
-      await new Promise(resolve => setTimeout(resolve, 200));
+      // Small delay between requests
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+    } catch (linkError) {
+      console.error(`[${requestId}] Link error for ${shopifyHandle}:`, linkError.message);
+      results.failed++;
+      results.errors.push({ handle: shopifyHandle, error: linkError.message });
+    }
+  }
+
+  res.json({
+    success: true,
+    requestId,
+    linked: results.success,
+    failed: results.failed,
+    errors: results.errors
+  });
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    mock: getMockMode(),
+    endpoints: ['/api/scrape', '/api/scrape/status/:scrapeId', '/api/scrape/:scrapeId/events', '/api/scrape/batch', '/api/scrapes', '/api/saved-searches', '/api/filter-rules', '/api/image-classifiers', '/api/categories', '/api/products/enrich', '/api/products/freight', '/api/product/:pid', '/api/product/:pid/variants', '/api/product/:pid/inventory', '/api/inventory/sku/:sku', '/api/warehouses', '/api/my-products', '/api/cj/usage', '/api/cj/auth', '/api/upload-shopify', '/api/upload-shopify/preview', '/api/shopify/publications', '/health']
+  });
+});
+
+// ============================================
+// PRODUCT ENRICHMENT
+// ============================================
+
+const MAX_ENRICH_PRODUCTS = 100;
+const ENRICH_CONCURRENCY = 3;
+
+// Fetch full CJ details (gallery, description, variants, weight, dimensions, material) for selected products
+// Accepts { products: [scrape results] } or { pids: [...] }; the returned documents go straight to /api/upload-shopify
+app.post('/api/products/enrich', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { products, pids, freight = false } = req.body;
+  const items = Array.isArray(products) ? products : Array.isArray(pids) ? pids : null;
+  console.log(`[${requestId}] POST /api/products/enrich (${items ? items.length : 0} products)`);
+
+  if (!items || items.length === 0) {
+    return res.status(400).json({ error: 'products or pids array is required', requestId });
+  }
+  if (items.length > MAX_ENRICH_PRODUCTS) {
+    return res.status(400).json({ error: `At most ${MAX_ENRICH_PRODUCTS} products can be enriched per request`, requestId });
+  }
+  if (!CJ_API_TOKEN) {
+    return res.status(500).json({ error: 'CJ API token not configured on server', requestId });
+  }
+
+  try {
+    const enriched = new Array(items.length).fill(null);
+    const failed = [];
+    await runWithConcurrency(items, ENRICH_CONCURRENCY, async (item, index) => {
+      const pid = typeof item === 'string' ? item : item && item.pid;
+      try {
+        const document = await withRetry(() => enrichProduct(item, CJ_API_TOKEN));
+        // Optional: also quote shipping (true for the configured line, or freight config overrides)
+        enriched[index] = freight
+          ? await attachFreight(document, CJ_API_TOKEN, freight === true ? {} : freight)
+          : document;
+      } catch (error) {
+        console.warn(`[Enrich] ${pid || '(no pid)'}: ${error.message}`);
+        failed.push({ pid: pid || null, error: error.message });
+      }
+    });
+
+    const documents = enriched.filter(Boolean);
+    console.log(`[${requestId}] Enriched ${documents.length}/${items.length} products (${failed.length} failed)`);
+    res.json({
+      success: true,
+      requestId,
+      enriched: documents.length,
+      products: documents,
+      failed
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Enrich error:`, error.message);
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
+
+// Estimate shipping for products and record the logistics line, delivery days and landed cost on each
+// Body: { products: [...] } or { pids: [...] }, plus optional freight config overrides in `freight`
+app.post('/api/products/freight', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { products, pids, freight = {} } = req.body;
+  const items = Array.isArray(products) ? products : Array.isArray(pids) ? pids.map(pid => ({ pid })) : null;
+  console.log(`[${requestId}] POST /api/products/freight (${items ? items.length : 0} products)`);
+
+  if (!items || items.length === 0) {
+    return res.status(400).json({ error: 'products or pids array is required', requestId });
+  }
+  if (items.length > MAX_ENRICH_PRODUCTS) {
+    return res.status(400).json({ error: `At most ${MAX_ENRICH_PRODUCTS} products can be quoted per request`, requestId });
+  }
+  if (items.some(item => !item || !item.pid)) {
+    return res.status(400).json({ error: 'Every product needs a pid', requestId });
+  }
+
+  try {
+    const quoted = new Array(items.length).fill(null);
+    const failed = [];
+    await runWithConcurrency(items, ENRICH_CONCURRENCY, async (item, index) => {
+      try {
+        quoted[index] = await attachFreight(item, CJ_API_TOKEN, freight);
+      } catch (error) {
+        console.warn(`[Freight] ${item.pid}: ${error.message}`);
+        failed.push({ pid: item.pid, error: error.message });
+      }
+    });
+
+    res.json({
+      success: true,
+      requestId,
+      products: quoted.filter(Boolean),
+      failed
+    });
+  } catch (error) {
+    console.error(`[${requestId}] Freight error:`, error.message);
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
 
-    } catch (linkError) {
-      console.error(`[${requestId}] Link error for ${shopifyHandle}:`, linkError.message);
-      results.failed++;
-      results.errors.push({ handle: shopifyHandle, error: linkError.message });
-    }
+// ============================================
+// CJ PRODUCT LOOKUP
+// ============================================
+
+// Inspect one CJ product (or the account's warehouses / My Products) without running a scrape.
+// Responses are cached per query; ?refresh=true skips the cache.
+function sendLookup(res, requestId, label, lookup) {
+  if (!CJ_API_TOKEN) {
+    return res.status(500).json({ error: 'CJ API token not configured on server', requestId });
   }
+  return lookup()
+    .then(({ value, cached }) => res.json({ success: true, requestId, cached, data: value }))
+    .catch(error => {
+      console.error(`[${requestId}] ${label} error:`, error.message);
+      res.status(error.status || 500).json({ error: error.message, requestId });
+    });
+}
 
-  res.json({
-    success: true,
-    requestId,
-    linked: results.success,
-    failed: results.failed,
-    errors: results.errors
-  });
+app.get('/api/product/:pid', (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { pid } = req.params;
+  const { countryCode, refresh } = req.query;
+  console.log(`[${requestId}] GET /api/product/${pid}`);
+  sendLookup(res, requestId, 'Product', () =>
+    getProduct(pid, CJ_API_TOKEN, { countryCode, refresh: refresh === 'true' }));
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    endpoints: ['/api/scrape', '/api/categories', '/api/upload-shopify', '/health']
-  });
+app.get('/api/product/:pid/variants', (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { pid } = req.params;
+  const { countryCode, refresh } = req.query;
+  console.log(`[${requestId}] GET /api/product/${pid}/variants`);
+  sendLookup(res, requestId, 'Variants', () =>
+    getVariants(pid, CJ_API_TOKEN, { countryCode, refresh: refresh === 'true' }));
+});
+
+app.get('/api/product/:pid/inventory', (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { pid } = req.params;
+  console.log(`[${requestId}] GET /api/product/${pid}/inventory`);
+  sendLookup(res, requestId, 'Inventory', () =>
+    getProductInventory(pid, CJ_API_TOKEN, { refresh: req.query.refresh === 'true' }));
+});
+
+app.get('/api/inventory/sku/:sku', (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { sku } = req.params;
+  console.log(`[${requestId}] GET /api/inventory/sku/${sku}`);
+  sendLookup(res, requestId, 'SKU inventory', () =>
+    getSkuInventory(sku, CJ_API_TOKEN, { refresh: req.query.refresh === 'true' }));
+});
+
+app.get('/api/warehouses', (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] GET /api/warehouses`);
+  sendLookup(res, requestId, 'Warehouses', () =>
+    getWarehouses(CJ_API_TOKEN, { refresh: req.query.refresh === 'true' }));
+});
+
+app.get('/api/my-products', (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { keyword, categoryId, startAt, endAt, isListed, refresh } = req.query;
+  const pageNum = parseInt(req.query.pageNum, 10) || 1;
+  const pageSize = parseInt(req.query.pageSize, 10) || 10;
+  console.log(`[${requestId}] GET /api/my-products (page ${pageNum})`);
+
+  if (pageNum < 1 || pageSize < 1 || pageSize > 100) {
+    return res.status(400).json({ error: 'pageNum must be >= 1 and pageSize between 1 and 100', requestId });
+  }
+  sendLookup(res, requestId, 'My products', () =>
+    getMyProducts(CJ_API_TOKEN, { keyword, categoryId, startAt, endAt, isListed, pageNum, pageSize, refresh: refresh === 'true' }));
 });
 
 // Track active uploads for cancellation
 const activeUploads = new Map();
 
+const SHOPIFY_MAX_OPTIONS = 3;
+
+/**
+ * CJ variants of an upload product, shaped for Shopify options
+ * Takes enriched variants ({ options, sellPrice, ... }) or raw CJ ones ({ variantKey, variantSellPrice, ... }).
+ * Variants whose keys don't split into the same option names (or into more than
+ * Shopify's 3 options) share a single "Variant" option instead. Repeated option
+ * combinations are dropped - Shopify rejects duplicate variants.
+ * @param {Object} product - Product from the upload request
+ * @param {number} basePrice - Product price, for variants without their own
+ * @returns {Array<Object>} [{ vid, sku, options: [{ name, value }], sellPrice, image, weight }]
+ */
+function uploadVariants(product, basePrice) {
+  if (!Array.isArray(product.variants) || product.variants.length === 0) return [];
+  const optionNames = (product.productKeyEn || '').split('-').map(n => n.trim()).filter(Boolean);
+
+  const variants = product.variants.map(variant => (Array.isArray(variant.options)
+    ? variant
+    : normalizeVariant(variant, optionNames, { sellPrice: basePrice, image: product.image })));
+
+  const names = variants[0].options.map(o => o.name);
+  const consistent = names.length > 0 && names.length <= SHOPIFY_MAX_OPTIONS && variants.every(v =>
+    v.options.length === names.length && v.options.every((o, i) => o.name === names[i] && o.value));
+
+  const seen = new Set();
+  const result = [];
+  for (const variant of variants) {
+    const options = consistent
+      ? variant.options
+      : [{ name: 'Variant', value: variant.options.map(o => o.value).filter(Boolean).join(' / ') || variant.title || variant.vid || variant.sku }];
+    const key = options.map(o => o.value).join('\u0000').toLowerCase();
+    if (seen.has(key)) {
+      console.warn(`[Upload] ${product.pid || product.title}: skipping variant ${variant.vid || variant.sku} (duplicate options ${options.map(o => o.value).join(' / ')})`);
+      continue;
+    }
+    seen.add(key);
+    result.push({
+      vid: variant.vid || null,
+      sku: variant.sku || '',
+      options,
+      sellPrice: variant.sellPrice ?? basePrice,
+      image: variant.image || '',
+      weight: variant.weight || null
+    });
+  }
+  return result;
+}
+
+const PRICING_NUMBER_KEYS = ['markup_multiplier', 'min_price', 'max_price', 'round_to', 'compare_at_markup'];
+const COST_BASES = ['product', 'landed'];
+
+/**
+ * Per-upload override of the price sync config (config/price_sync_config.json)
+ * The older `markup` percent (250 = x2.5) still works when no `pricing` object is sent.
+ * @param {Object} pricing - { markup_multiplier, min_price, max_price, round_to, show_compare_at, compare_at_markup, cost_basis }
+ * @param {number} markup - Legacy markup percent
+ * @returns {Object} { options } or { error }
+ */
+function normalizePricingOverride(pricing, markup) {
+  if (pricing === undefined || pricing === null) {
+    if (markup === undefined || markup === null || markup === '') return { options: {} };
+    const percent = Number(markup);
+    if (!(percent > 0)) return { error: 'markup must be a positive percent' };
+    return { options: { markup_multiplier: percent / 100 } };
+  }
+  if (typeof pricing !== 'object' || Array.isArray(pricing)) {
+    return { error: 'pricing must be an object' };
+  }
+
+  const options = {};
+  for (const key of PRICING_NUMBER_KEYS) {
+    if (pricing[key] === undefined || pricing[key] === '') continue;
+    if (pricing[key] === null && (key === 'min_price' || key === 'max_price')) {
+      options[key] = null;
+      continue;
+    }
+    const value = Number(pricing[key]);
+    if (!Number.isFinite(value) || value < 0 || (key === 'markup_multiplier' && value === 0)) {
+      return { error: `pricing.${key} must be a ${key === 'markup_multiplier' ? 'positive' : 'non-negative'} number` };
+    }
+    options[key] = value;
+  }
+  if (pricing.show_compare_at !== undefined) {
+    options.show_compare_at = !!pricing.show_compare_at;
+  }
+  if (pricing.cost_basis !== undefined) {
+    if (!COST_BASES.includes(pricing.cost_basis)) {
+      return { error: `pricing.cost_basis must be one of: ${COST_BASES.join(', ')}` };
+    }
+    options.cost_basis = pricing.cost_basis;
+  }
+  return { options };
+}
+
+/**
+ * Fill in the CJ variants of an upload product that has none - products sent straight from a
+ * scrape (the Search page) would otherwise always upload as a single variant. The detail comes
+ * from the lookup cache, so a price preview followed by the upload queries CJ once.
+ * Only variants, sellPrice and weight are taken from CJ; the product's own fields win.
+ * @param {Object} product - Product from the upload request
+ * @returns {Promise<Object>} The product itself, or a copy with CJ's variants
+ */
+async function withCJVariants(product) {
+  if (!product.pid || !CJ_API_TOKEN || (Array.isArray(product.variants) && product.variants.length > 0)) {
+    return product;
+  }
+  try {
+    const { value: detail } = await getProduct(product.pid, CJ_API_TOKEN);
+    return { ...product, variants: detail.variants, sellPrice: product.sellPrice ?? detail.sellPrice, weight: product.weight ?? detail.weight };
+  } catch (error) {
+    console.warn(`[Upload] ${product.pid}: CJ variants unavailable (${error.message}) - uploading as a single variant`);
+    return product;
+  }
+}
+
+/**
+ * Shopify prices for an upload product, on the same path price sync takes (price_sync/pricing.js)
+ * so the next sync doesn't re-price a fresh upload: each variant from its own CJ cost, and with
+ * landed cost pricing the CJ product's freight estimate.
+ * Products without variants get CJ's (withCJVariants).
+ * @param {Object} product - Product from the upload request
+ * @param {Object} options - Pricing override (normalizePricingOverride)
+ * @returns {Promise<Object>} { cjPrice, shipping, cost, costBasis, price, compareAtPrice, variants }
+ *   variants - uploadVariants() entries with their own cjPrice, price and compareAtPrice
+ * @throws {Error} If the freight estimate for landed pricing fails
+ */
+async function priceUploadProduct(product, options = {}) {
+  const source = await withCJVariants(product);
+  const priceMatch = (source.price || '0').toString().match(/[\d.]+/);
+  const cjPrice = typeof source.sellPrice === 'number' ? source.sellPrice : (priceMatch ? parseFloat(priceMatch[0]) : 0);
+  const { shipping, price } = await getProductPricer(product.pid, CJ_API_TOKEN, options);
+
+  const base = price(cjPrice);
+  const variants = uploadVariants(source, cjPrice).map(variant => {
+    const { price: variantPrice, compareAtPrice } = price(variant.sellPrice);
+    return { ...variant, cjPrice: variant.sellPrice, price: variantPrice, compareAtPrice };
+  });
+
+  return {
+    cjPrice,
+    shipping,
+    cost: base.cost,
+    costBasis: base.costBasis,
+    price: base.price,
+    compareAtPrice: base.compareAtPrice,
+    variants
+  };
+}
+
+const PRODUCT_STATUSES = ['ACTIVE', 'DRAFT', 'ARCHIVED'];
+// What to do with a product whose custom.cj_product_id is already in the store
+const ON_EXISTING_ACTIONS = ['update', 'skip', 'create'];
+
+/**
+ * Status and publishing options for an upload
+ * @param {Object} body - { status, publications, publishAt } from the upload request
+ * @returns {Object} { options: { status, publications, publishAt } } or { error }
+ *   publications - Publication GIDs (see POST /api/shopify/publications)
+ *   publishAt - ISO date; in the future it schedules the publication
+ */
+function normalizePublishOptions({ status, publications, publishAt } = {}) {
+  const normalizedStatus = String(status || 'ACTIVE').toUpperCase();
+  if (!PRODUCT_STATUSES.includes(normalizedStatus)) {
+    return { error: `status must be one of: ${PRODUCT_STATUSES.join(', ')}` };
+  }
+
+  if (publications !== undefined && publications !== null &&
+      (!Array.isArray(publications) || publications.some(id => typeof id !== 'string' || !id.trim()))) {
+    return { error: 'publications must be an array of publication IDs' };
+  }
+  const publicationIds = [...new Set((publications || []).map(id => id.trim()))];
+
+  let publishDate = null;
+  if (publishAt) {
+    const date = new Date(publishAt);
+    if (Number.isNaN(date.getTime())) {
+      return { error: 'publishAt must be a valid date' };
+    }
+    if (publicationIds.length === 0) {
+      return { error: 'publishAt needs at least one publication to publish to' };
+    }
+    publishDate = date.toISOString();
+  }
+
+  return { options: { status: normalizedStatus, publications: publicationIds, publishAt: publishDate } };
+}
+
 // Upload products to Shopify
 app.post('/api/upload-shopify', async (req, res) => {
   const requestId = Date.now().toString(36);
   const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[${requestId}] POST /api/upload-shopify`);
 
-  const { products, markup = 250, shopifyStore, shopifyToken } = req.body;
+  const { products, markup, pricing, shopifyStore, shopifyToken } = req.body;
 
   if (!products || !Array.isArray(products) || products.length === 0) {
     return res.status(400).json({ error: 'Products array is required', requestId });
   }
 
+  const { options: pricingOptions, error: pricingError } = normalizePricingOverride(pricing, markup);
+  if (pricingError) {
+    return res.status(400).json({ error: pricingError, requestId });
+  }
+  const { options: publishOptions, error: publishError } = normalizePublishOptions(req.body);
+  if (publishError) {
+    return res.status(400).json({ error: publishError, requestId });
+  }
+  const { onExisting = 'update' } = req.body;
+  const invalidAction = [onExisting, ...products.map(p => p?.onExisting).filter(Boolean)]
+    .find(action => !ON_EXISTING_ACTIONS.includes(action));
+  if (invalidAction) {
+    return res.status(400).json({ error: `onExisting must be one of: ${ON_EXISTING_ACTIONS.join(', ')}`, requestId });
+  }
+
   if (!shopifyStore || !shopifyToken) {
     return res.status(400).json({
       error: 'Shopify credentials required. Configure your store in Settings.',
@@ -1069,41 +2591,104 @@ app.post('/api/upload-shopify', async (req, res) => {
   const GRAPHQL_ENDPOINT = `https://${cleanStoreUrl}/admin/api/2026-01/graphql.json`;
   console.log(`[${requestId}] Using Shopify endpoint: ${GRAPHQL_ENDPOINT}`);
 
-  // Helper: Build productSet input for GraphQL variables
+  // Prices from priceUploadProduct and the create/update decision, filled in before the batches run
+  const uploadPrices = new Map();
+  const uploadTargets = new Map(); // product -> existing Shopify product to update (absent = create)
+
+  // Helper: Shopify price fields for a calculatePrice result (no compare-at unless the config shows one)
+  const priceFields = ({ price, compareAtPrice }) => {
+    const fields = { price: price.toFixed(2) };
+    if (compareAtPrice) fields.compareAtPrice = compareAtPrice.toFixed(2);
+    return fields;
+  };
+
+  // Helper: Product files for the gallery - variant images must be product files too
+  const buildFiles = (product, variants) => {
+    const gallery = product.images && product.images.length > 0 ? product.images : [product.image].filter(Boolean);
+    const variantImages = variants.length > 1 ? variants.map(v => v.image).filter(Boolean) : [];
+    return [...new Set([...gallery, ...variantImages])].map(url => ({
+      originalSource: url,
+      contentType: 'IMAGE' // Enum - GraphQL variables handle this automatically
+    }));
+  };
+
+  // Helper: Build productSet input for GraphQL variables (new products)
   const buildProductSetInput = (product) => {
-    const priceMatch = (product.price || '0').toString().match(/[\d.]+/);
-    const price = priceMatch ? parseFloat(priceMatch[0]) : 0;
-    const sellingPrice = price * (markup / 100);
-    const comparePrice = sellingPrice * 1.3;
+    const pricing = uploadPrices.get(product);
+    const { variants } = pricing;
 
     const input = {
       title: product.title || 'Untitled Product',
       vendor: product.storeName || product.vendor || 'Store',
       productType: product.productType || 'Imported',
-      status: 'ACTIVE', // Enum - GraphQL variables handle this automatically
       tags: [product.sourceKeyword || ''].filter(Boolean),
+      status: publishOptions.status // Enum - GraphQL variables handle this automatically
+    };
+
+    if (variants.length > 1) {
+      // CJ colours / sizes become Shopify options - values listed in first-seen order
+      input.productOptions = variants[0].options.map((option, i) => ({
+        name: option.name,
+        position: i + 1,
+        values: [...new Set(variants.map(v => v.options[i].value))].map(name => ({ name }))
+      }));
+      input.variants = variants.map(variant => ({
+        optionValues: variant.options.map(o => ({ optionName: o.name, name: o.value })),
+        ...priceFields(variant),
+        sku: variant.sku || variant.vid || product.pid || ''
+      }));
+    } else {
       // Single variant product - use default option
-      productOptions: [{
+      input.productOptions = [{
         name: 'Title',
         position: 1,
         values: [{ name: 'Default Title' }]
-      }],
-      variants: [{
+      }];
+      // A lone CJ variant keeps its cj_variant_id, so price it the way sync will
+      input.variants = [{
         optionValues: [{ optionName: 'Title', name: 'Default Title' }],
-        price: sellingPrice.toFixed(2),
-        compareAtPrice: comparePrice.toFixed(2),
-        sku: product.sku || product.pid || '' // Use CJ product ID as SKU fallback
-      }]
-    };
-
-    // Add image if available
-    if (product.image) {
-      input.files = [{
-        originalSource: product.image,
-        contentType: 'IMAGE' // Enum - GraphQL variables handle this automatically
+        ...priceFields(variants[0] || pricing),
+        sku: product.sku || variants[0]?.sku || product.pid || '' // Use CJ product ID as SKU fallback
       }];
     }
 
+    // Per-variant shipping weight, CJ variant id and image (images are attached once the gallery is known)
+    input.variants.forEach((entry, i) => {
+      const variant = variants[i];
+      const weight = variant?.weight || product.weight;
+      if (weight) {
+        entry.inventoryItem = {
+          measurement: { weight: { value: weight, unit: 'GRAMS' } }
+        };
+      }
+      if (variant?.vid) {
+        entry.metafields = [{
+          namespace: 'custom',
+          key: 'cj_variant_id',
+          value: variant.vid,
+          type: 'single_line_text_field'
+        }];
+      }
+    });
+
+    // Enriched products (POST /api/products/enrich) carry the description, weight and full gallery
+    if (product.descriptionHtml) {
+      input.descriptionHtml = product.descriptionHtml;
+    }
+
+    // Add images if available
+    const files = buildFiles(product, variants);
+    if (files.length > 0) {
+      input.files = files;
+    }
+    if (variants.length > 1) {
+      input.variants.forEach((entry, i) => {
+        if (variants[i].image) {
+          entry.file = { originalSource: variants[i].image, contentType: 'IMAGE' };
+        }
+      });
+    }
+
     // Store CJ Product ID in metafields for price sync + source tracking
     if (product.pid) {
       input.metafields = [
@@ -1118,17 +2703,167 @@ app.post('/api/upload-shopify', async (req, res) => {
           key: 'source_url',
           value: `https://www.cjdropshipping.com/product/${product.pid}`,
           type: 'single_line_text_field'
-        }
+        },
+        // Pricing override this upload used ({} for the config) - sync applies it again
+        pricingMetafield(pricingOptions)
       ];
     }
 
+    // Logistics line chosen by the freight estimate (POST /api/products/freight)
+    if (product.shipping && product.shipping.logisticName) {
+      input.metafields = input.metafields || [];
+      input.metafields.push({
+        namespace: 'cjdrop',
+        key: 'shipping_method',
+        value: product.shipping.logisticName,
+        type: 'single_line_text_field'
+      });
+      if (product.shipping.deliveryDays) {
+        input.metafields.push({
+          namespace: 'cjdrop',
+          key: 'delivery_days',
+          value: String(product.shipping.deliveryDays),
+          type: 'single_line_text_field'
+        });
+      }
+    }
+
+    return input;
+  };
+
+  // Helper: productSet input for a product already in the store - only its content and images.
+  // Title, vendor, type, tags, status, options and variants stay as the merchant has them
+  // (prices go through buildVariantPrices); the pricing override is recorded for sync again.
+  const buildProductUpdateInput = (product) => {
+    const input = { metafields: [pricingMetafield(pricingOptions)] };
+    if (product.descriptionHtml) {
+      input.descriptionHtml = product.descriptionHtml;
+    }
+    const files = buildFiles(product, uploadPrices.get(product).variants);
+    if (files.length > 0) {
+      input.files = files;
+    }
     return input;
   };
 
+  // Helper: New prices for the variants an updated product already has, matched by
+  // custom.cj_variant_id, then SKU. CJ variants the product lacks aren't added and
+  // Shopify variants without a match keep their price.
+  const buildVariantPrices = (product) => {
+    const existing = uploadTargets.get(product);
+    const pricing = uploadPrices.get(product);
+    const priced = pricing.variants.length > 0 ? pricing.variants : [pricing];
+    const updates = [];
+    existing.variants.forEach(current => {
+      const match = priced.find(v => v.vid && v.vid === current.cjVariantId) ||
+        priced.find(v => current.sku && (v.sku || v.vid) === current.sku) ||
+        (priced.length === 1 && existing.variants.length === 1 ? priced[0] : null);
+      if (match) updates.push({ id: current.graphqlId, ...priceFields(match) });
+    });
+    if (updates.length < existing.variants.length) {
+      console.log(`[${requestId}] ${product.pid}: ${existing.variants.length - updates.length} Shopify variant(s) without a CJ match keep their price`);
+    }
+    return updates;
+  };
+
+  // Helper: Publish created products to the chosen sales channels (one aliased mutation per batch)
+  // Returns productId -> error message for the ones Shopify refused
+  const publishProducts = async (productIds) => {
+    const failures = new Map();
+    if (publishOptions.publications.length === 0 || productIds.length === 0) return failures;
+
+    const input = publishOptions.publications.map(publicationId => (
+      publishOptions.publishAt ? { publicationId, publishDate: publishOptions.publishAt } : { publicationId }
+    ));
+    const varDefs = productIds.map((_, i) => `$id${i}: ID!`).join(', ');
+    const mutations = productIds.map((_, i) => `
+      pub${i}: publishablePublish(id: $id${i}, input: $input) {
+        userErrors { field message }
+      }
+    `).join('\n');
+    const variables = { input };
+    productIds.forEach((id, i) => { variables[`id${i}`] = id; });
+
+    try {
+      const response = await axios.post(GRAPHQL_ENDPOINT, {
+        query: `mutation PublishProducts(${varDefs}, $input: [PublicationInput!]!) { ${mutations} }`,
+        variables
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': shopifyToken
+        },
+        timeout: 60000
+      });
+      const { data, errors } = response.data;
+      productIds.forEach((id, i) => {
+        const userErrors = data?.[`pub${i}`]?.userErrors || [];
+        if (errors) failures.set(id, errors[0]?.message || 'GraphQL error');
+        else if (userErrors.length > 0) failures.set(id, userErrors.map(e => e.message).join(', '));
+      });
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.message || error.message;
+      productIds.forEach(id => failures.set(id, message));
+    }
+    return failures;
+  };
+
   try {
     const results = [];
     const batches = [];
 
+    // Match against products already in the store by custom.cj_product_id
+    // (throws if the lookup is incomplete - a missed match would upload a duplicate)
+    const lookupPids = productsToUpload.filter(p => p.pid && (p.onExisting || onExisting) !== 'create').map(p => p.pid);
+    const existingByPid = lookupPids.length > 0
+      ? await findProductsByCJIds(shopifyStore, shopifyToken, lookupPids)
+      : new Map();
+    if (lookupPids.length > 0) console.log(`[${requestId}] ${existingByPid.size} CJ products already in the store`);
+
+    const seenPids = new Set();
+    const toWrite = [];
+    for (const product of productsToUpload) {
+      const action = product.onExisting || onExisting;
+      const existing = product.pid ? existingByPid.get(product.pid) : null;
+      if (product.pid && seenPids.has(product.pid) && action !== 'create') {
+        results.push({ title: product.title, pid: product.pid, success: true, action: 'skipped', reason: 'Same CJ product earlier in this upload' });
+        continue;
+      }
+      if (product.pid) seenPids.add(product.pid);
+
+      if (existing && action === 'skip') {
+        results.push({
+          title: product.title,
+          pid: product.pid,
+          success: true,
+          action: 'skipped',
+          reason: 'Already in Shopify',
+          productId: existing.graphqlId,
+          handle: existing.handle
+        });
+        continue;
+      }
+      if (existing && action === 'update') {
+        uploadTargets.set(product, existing);
+      }
+      toWrite.push(product);
+    }
+    productsToUpload = toWrite;
+
+    // Price everything with the price sync rules first - products that can't be priced are reported, not uploaded
+    console.log(`[${requestId}] Pricing: price sync config${Object.keys(pricingOptions).length > 0 ? ` + override ${JSON.stringify(pricingOptions)}` : ''}`);
+    const priced = [];
+    for (const product of productsToUpload) {
+      try {
+        uploadPrices.set(product, await priceUploadProduct(product, pricingOptions));
+        priced.push(product);
+      } catch (error) {
+        console.warn(`[${requestId}] Pricing failed for ${product.pid || product.title}: ${error.message}`);
+        results.push({ title: product.title, pid: product.pid, success: false, action: 'failed', error: `Pricing failed: ${error.message}` });
+      }
+    }
+    productsToUpload = priced;
+
     // Split products into batches
     for (let i = 0; i < productsToUpload.length; i += BATCH_SIZE) {
       batches.push(productsToUpload.slice(i, i + BATCH_SIZE));
@@ -1146,12 +2881,42 @@ app.post('/api/upload-shopify', async (req, res) => {
         break;
       }
 
+      // Build variables object - JSON format, GraphQL handles type conversion!
+      // Updates also carry their variant prices, for a productVariantsBulkUpdate after the productSet
+      const variables = {};
+      batch.forEach((product, i) => {
+        if (uploadTargets.has(product)) {
+          variables[`input${i}`] = buildProductUpdateInput(product);
+          variables[`identifier${i}`] = { id: uploadTargets.get(product).graphqlId };
+          const variantPrices = buildVariantPrices(product);
+          if (variantPrices.length > 0) {
+            variables[`productId${i}`] = uploadTargets.get(product).graphqlId;
+            variables[`variants${i}`] = variantPrices;
+          }
+        } else {
+          variables[`input${i}`] = buildProductSetInput(product);
+        }
+      });
+
       // Build GraphQL mutation with variables (handles enums automatically!)
-      const varDefs = batch.map((_, i) => `$input${i}: ProductSetInput!`).join(', ');
-      const mutations = batch.map((_, i) => {
+      const varDefs = batch.map((product, i) => {
+        const defs = [`$input${i}: ProductSetInput!`];
+        if (variables[`identifier${i}`]) defs.push(`$identifier${i}: ProductSetIdentifiers`);
+        if (variables[`variants${i}`]) defs.push(`$productId${i}: ID!`, `$variants${i}: [ProductVariantsBulkInput!]!`);
+        return defs.join(', ');
+      }).join(', ');
+      const mutations = batch.map((product, i) => {
         const alias = `p${batchIndex * BATCH_SIZE + i}`;
+        const identifier = variables[`identifier${i}`] ? `, identifier: $identifier${i}` : '';
+        const prices = variables[`variants${i}`] ? `
+          ${alias}_prices: productVariantsBulkUpdate(productId: $productId${i}, variants: $variants${i}) {
+            userErrors {
+              field
+              message
+            }
+          }` : '';
         return `
-          ${alias}: productSet(synchronous: true, input: $input${i}) {
+          ${alias}: productSet(synchronous: true, input: $input${i}${identifier}) {
             product { 
               id 
               title
@@ -1161,18 +2926,12 @@ app.post('/api/upload-shopify', async (req, res) => {
               field 
               message 
             }
-          }
+          }${prices}
         `;
       }).join('\n');
 
       const mutation = `mutation BatchProductSet(${varDefs}) { ${mutations} }`;
 
-      // Build variables object - JSON format, GraphQL handles type conversion!
-      const variables = {};
-      batch.forEach((product, i) => {
-        variables[`input${i}`] = buildProductSetInput(product);
-      });
-
       try {
         const response = await axios.post(GRAPHQL_ENDPOINT, {
           query: mutation,
@@ -1193,39 +2952,69 @@ app.post('/api/upload-shopify', async (req, res) => {
           batch.forEach(product => {
             results.push({
               title: product.title,
+              pid: product.pid,
               success: false,
+              action: 'failed',
               error: errors[0]?.message || 'GraphQL error'
             });
           });
         } else if (data) {
           // Process each aliased result
-          Object.keys(data).forEach((alias, index) => {
+          batch.forEach((product, index) => {
+            const alias = `p${batchIndex * BATCH_SIZE + index}`;
             const result = data[alias];
-            const product = batch[index];
+            const priceErrors = data[`${alias}_prices`]?.userErrors || [];
 
-            if (result?.product) {
+            if (result?.product && priceErrors.length > 0) {
+              results.push({
+                title: product.title,
+                pid: product.pid,
+                success: false,
+                action: 'failed',
+                productId: result.product.id,
+                handle: result.product.handle,
+                error: `Prices not updated: ${priceErrors.map(e => e.message).join(', ')}`
+              });
+            } else if (result?.product) {
               results.push({
                 title: product.title,
+                pid: product.pid,
                 success: true,
+                action: uploadTargets.has(product) ? 'updated' : 'created',
                 productId: result.product.id,
                 handle: result.product.handle
               });
             } else if (result?.userErrors?.length > 0) {
               results.push({
                 title: product.title,
+                pid: product.pid,
                 success: false,
+                action: 'failed',
                 error: result.userErrors.map(e => e.message).join(', ')
               });
             } else {
               results.push({
                 title: product.title,
+                pid: product.pid,
                 success: false,
+                action: 'failed',
                 error: 'Unknown error'
               });
             }
           });
         }
 
+        // Publish what this batch created (updated products keep their channels)
+        const created = results.filter(r => r.action === 'created' && r.published === undefined);
+        if (publishOptions.publications.length > 0 && created.length > 0) {
+          const failures = await publishProducts(created.map(r => r.productId));
+          created.forEach(r => {
+            r.published = !failures.has(r.productId);
+            if (failures.has(r.productId)) r.publishError = failures.get(r.productId);
+          });
+          console.log(`[${requestId}] 📣 Published ${created.length - failures.size}/${created.length} to ${publishOptions.publications.length} publication(s)${publishOptions.publishAt ? ` from ${publishOptions.publishAt}` : ''}`);
+        }
+
         // Check throttle status and wait if needed
         const throttle = extensions?.cost?.throttleStatus;
         if (throttle) {
@@ -1261,7 +3050,9 @@ app.post('/api/upload-shopify', async (req, res) => {
         batch.forEach(product => {
           results.push({
             title: product.title,
+            pid: product.pid,
             success: false,
+            action: 'failed',
             error: error.response?.data?.errors?.[0]?.message || error.message
           });
         });
@@ -1271,11 +3062,14 @@ app.post('/api/upload-shopify', async (req, res) => {
     // Cleanup
     activeUploads.delete(uploadId);
 
-    const successCount = results.filter(r => r.success).length;
-    const failedCount = results.filter(r => !r.success).length;
+    const counts = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    results.forEach(r => { counts[r.action]++; });
+    const successCount = counts.created + counts.updated;
+    const failedCount = counts.failed;
 
     console.log(`[${requestId}] ========== UPLOAD COMPLETE ==========`);
-    console.log(`[${requestId}] ✅ Success: ${successCount}/${products.length}`);
+    console.log(`[${requestId}] ✅ Success: ${successCount}/${products.length} (${counts.created} created, ${counts.updated} updated)`);
+    console.log(`[${requestId}] ⏭️ Skipped: ${counts.skipped}/${products.length}`);
     console.log(`[${requestId}] ❌ Failed: ${failedCount}/${products.length}`);
     console.log(`[${requestId}] ======================================`);
 
@@ -1284,8 +3078,13 @@ app.post('/api/upload-shopify', async (req, res) => {
       requestId,
       total: products.length,
       uploaded: successCount,
+      created: counts.created,
+      updated: counts.updated,
+      skipped: counts.skipped,
       failed: failedCount,
       results,
+      pricing: pricingOptions,
+      publishing: publishOptions,
       uploadId,
       method: 'GraphQL productSet Batch',
       batchSize: BATCH_SIZE
@@ -1298,6 +3097,46 @@ app.post('/api/upload-shopify', async (req, res) => {
   }
 });
 
+// Preview the prices an upload would set (same rules and override as /api/upload-shopify)
+app.post('/api/upload-shopify/preview', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { products, markup, pricing } = req.body;
+  console.log(`[${requestId}] POST /api/upload-shopify/preview (${products?.length || 0} products)`);
+
+  if (!products || !Array.isArray(products) || products.length === 0) {
+    return res.status(400).json({ error: 'Products array is required', requestId });
+  }
+  const { options, error: pricingError } = normalizePricingOverride(pricing, markup);
+  if (pricingError) {
+    return res.status(400).json({ error: pricingError, requestId });
+  }
+
+  try {
+    const priced = [];
+    for (const product of products) {
+      const entry = { pid: product.pid || null, title: product.title || 'Untitled Product' };
+      try {
+        const result = await priceUploadProduct(product, options);
+        priced.push({
+          ...entry,
+          ...result,
+          variants: result.variants.map(({ vid, sku, options: variantOptions, cjPrice, price, compareAtPrice }) =>
+            ({ vid, sku, options: variantOptions, cjPrice, price, compareAtPrice }))
+        });
+      } catch (error) {
+        priced.push({ ...entry, error: error.message });
+      }
+    }
+
+    const effective = { ...loadPriceConfig(), ...options };
+    const config = Object.fromEntries([...PRICING_NUMBER_KEYS, 'show_compare_at', 'cost_basis'].map(key => [key, effective[key] ?? null]));
+    res.json({ success: true, requestId, config, override: options, products: priced });
+  } catch (error) {
+    console.error(`[${requestId}] Upload preview error:`, error.message);
+    res.status(500).json({ error: error.message, requestId });
+  }
+});
+
 // Cancel all active uploads
 app.post('/api/upload-shopify/cancel-all', (req, res) => {
   const cancelled = [];
@@ -1360,30 +3199,78 @@ app.post('/api/sync-prices/preview', async (req, res) => {
 app.get('/api/cj-status', async (req, res) => {
   try {
     const testPid = '2508280550501615400'; // Known product
-    const response = await axios.get('https://developers.cjdropshipping.com/api2.0/v1/product/query', {
-      params: { pid: testPid },
-      headers: { 'CJ-Access-Token': CJ_API_TOKEN },
-      timeout: 8000
-    });
+    const body = await cjGet('/product/query', { pid: testPid }, CJ_API_TOKEN, { caller: 'status', timeout: 8000 });
     res.json({
       tokenPresent: !!CJ_API_TOKEN,
       tokenPrefix: CJ_API_TOKEN ? CJ_API_TOKEN.substring(0, 10) + '...' : null,
+      auth: getTokenHealth(),
       cjResponse: {
-        result: response.data.result,
-        code: response.data.code,
-        message: response.data.message,
-        hasData: !!response.data.data,
-        sellPrice: response.data.data?.sellPrice || null
+        result: body.result,
+        code: body.code,
+        message: body.message,
+        hasData: !!body.data,
+        sellPrice: body.data?.sellPrice || null
       }
     });
   } catch (error) {
     res.json({
       tokenPresent: !!CJ_API_TOKEN,
+      auth: getTokenHealth(),
       error: error.message
     });
   }
 });
 
+// CJ token lifecycle: log in with account credentials, check health, force a refresh or forget the tokens
+app.get('/api/cj/auth', (req, res) => {
+  res.json({ success: true, auth: getTokenHealth() });
+});
+
+app.post('/api/cj/auth', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  const { email, apiKey } = req.body;
+  console.log(`[${requestId}] POST /api/cj/auth`);
+
+  if (!apiKey) {
+    return res.status(400).json({ error: 'apiKey is required', requestId });
+  }
+  try {
+    const auth = await cjLogin({ email, apiKey });
+    res.json({ success: true, requestId, auth });
+  } catch (error) {
+    // Network/HTTP failures are upstream problems; a rejected login is the caller's
+    res.status(error.isAxiosError ? 502 : 400).json({ error: error.message, requestId, auth: getTokenHealth() });
+  }
+});
+
+app.post('/api/cj/auth/refresh', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] POST /api/cj/auth/refresh`);
+  if (getTokenHealth().mode !== 'managed') {
+    return res.status(400).json({ error: 'No managed CJ token to refresh - log in with POST /api/cj/auth first', requestId });
+  }
+  try {
+    const auth = await refreshCJTokens();
+    res.json({ success: true, requestId, auth });
+  } catch (error) {
+    res.status(502).json({ error: error.message, requestId, auth: getTokenHealth() });
+  }
+});
+
+app.delete('/api/cj/auth', async (req, res) => {
+  await clearCJTokens();
+  res.json({ success: true, auth: getTokenHealth() });
+});
+
+// Offline stand-in for CJ's auth endpoints (CJ_FAKE_AUTH=true)
+const fakeAuthPath = CJ_FAKE_AUTH ? mountFakeAuth(app, { ttlSeconds: process.env.CJ_FAKE_AUTH_TTL_SECONDS }) : null;
+
+// Today's CJ request count against the daily quota, per caller and endpoint, plus limiter state
+app.get('/api/cj/usage', (req, res) => {
+  res.set('Cache-Control', 'no-store, no-cache');
+  res.json({ success: true, ...getCJUsage() });
+});
+
 // Background sync state
 const activeSyncs = new Map();
 
@@ -1422,8 +3309,8 @@ app.post('/api/sync-prices/start', async (req, res) => {
     const state = activeSyncs.get(syncId);
     try {
       const { fetchShopifyProducts } = require('./price_sync/matcher');
-      const { fetchCJPrice } = require('./price_sync/sync');
-      const { calculatePrice, calculateChange, loadConfig } = require('./price_sync/calculator');
+      const { priceProduct, headlineVariant, updateShopifyPrices } = require('./price_sync/sync');
+      const { calculateChange, loadConfig } = require('./price_sync/calculator');
 
       console.log(`[${syncId}] Fetching Shopify products...`);
       const shopifyProducts = await fetchShopifyProducts(shopifyStore, shopifyToken);
@@ -1434,39 +3321,40 @@ app.post('/api/sync-prices/start', async (req, res) => {
       console.log(`[${syncId}] Processing ${withCjId.length} products...`);
 
       for (const product of withCjId) {
-        const cjPrice = await fetchCJPrice(product.cjProductId, CJ_API_TOKEN);
+        // Every variant priced from its own CJ variant cost (freight-less landed pricing is skipped)
+        const priced = await priceProduct(product, CJ_API_TOKEN, config);
         state.processed++;
 
-        if (cjPrice === null) {
+        if (priced.error) {
           state.skipped++;
           state.products.push({
             title: product.title,
             shopifyId: product.shopifyId,
             status: 'skipped',
-            reason: 'CJ price not found'
+            reason: priced.error
           });
           continue;
         }
 
-        const { price: newPrice, compareAtPrice } = calculatePrice(cjPrice, config);
-        const { change, direction } = calculateChange(product.currentPrice, newPrice);
+        const headline = headlineVariant(priced.variants);
+        const changed = priced.variants.filter(v => v.changed);
 
-        // Skip if price unchanged
-        if (Math.abs(newPrice - product.currentPrice) < 0.01) {
+        // Skip if no variant's price changed
+        if (changed.length === 0) {
           state.skipped++;
           state.products.push({
             title: product.title,
             shopifyId: product.shopifyId,
             status: 'unchanged',
-            currentPrice: product.currentPrice,
-            cjPrice
+            currentPrice: headline.currentPrice,
+            cjPrice: headline.cjPrice
           });
           continue;
         }
 
-        // Update Shopify price
-        const { updateShopifyPrice } = require('./price_sync/sync');
-        const result = await updateShopifyPrice(product, newPrice, compareAtPrice, shopifyStore, shopifyToken);
+        // Update Shopify prices
+        const result = await updateShopifyPrices(product, changed, shopifyStore, shopifyToken);
+        const { change, direction } = calculateChange(headline.currentPrice, headline.newPrice);
 
         if (result.success) {
           state.updated++;
@@ -1474,11 +3362,13 @@ app.post('/api/sync-prices/start', async (req, res) => {
             title: product.title,
             shopifyId: product.shopifyId,
             status: 'updated',
-            oldPrice: product.currentPrice,
-            newPrice,
-            cjPrice,
+            oldPrice: headline.currentPrice,
+            newPrice: headline.newPrice,
+            cjPrice: headline.cjPrice,
+            shipping: priced.shipping,
             change,
-            direction
+            direction,
+            variantsUpdated: changed.length
           });
         } else {
           state.failed++;
@@ -1648,7 +3538,8 @@ app.get('/api/sync-prices/config', (req, res) => {
         max_price: null,
         round_to: 0.95,
         show_compare_at: false,
-        compare_at_markup: 1.3
+        compare_at_markup: 1.3,
+        cost_basis: 'product'
       }
     });
   }
@@ -1713,6 +3604,46 @@ app.post('/api/test-connection', async (req, res) => {
   }
 });
 
+// List the store's publications (sales channels) for upload publishing
+app.post('/api/shopify/publications', async (req, res) => {
+  const requestId = Date.now().toString(36);
+  console.log(`[${requestId}] POST /api/shopify/publications`);
+
+  const { shopifyStore, shopifyToken } = req.body;
+  if (!shopifyStore || !shopifyToken) {
+    return res.status(400).json({ error: 'Shopify credentials required', requestId });
+  }
+
+  const cleanStoreUrl = shopifyStore.replace(/^https?:\/\//i, '').replace(/\/+$/, '');
+  try {
+    const response = await axios.post(`https://${cleanStoreUrl}/admin/api/2026-01/graphql.json`, {
+      query: `{
+        publications(first: 50) {
+          edges { node { id catalog { title } } }
+        }
+      }`
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': shopifyToken
+      },
+      timeout: 15000
+    });
+
+    if (response.data.errors) {
+      throw new Error(response.data.errors[0]?.message || 'GraphQL error');
+    }
+    const publications = (response.data.data?.publications?.edges || []).map(({ node }) => ({
+      id: node.id,
+      name: node.catalog?.title || node.id
+    }));
+    res.json({ success: true, requestId, publications });
+  } catch (error) {
+    console.error(`[${requestId}] Publications error:`, error.message);
+    res.status(500).json({ error: error.response?.data?.errors || error.message, requestId });
+  }
+});
+
 // Serve React frontend (if build exists)
 const frontendPath = path.join(__dirname, '../frontend/build');
 if (fs.existsSync(frontendPath)) {
@@ -1738,9 +3669,26 @@ if (fs.existsSync(frontendPath)) {
       status: 'running',
       endpoints: {
         health: '/health',
-        scrape: '/api/scrape',
+        scrape: 'POST /api/scrape',
+        scrapeStatus: 'GET /api/scrape/status/:scrapeId',
+        scrapeEvents: 'GET /api/scrape/:scrapeId/events (SSE)',
+        scrapeBatch: 'POST /api/scrape/batch, GET /api/scrape/batch/:batchId',
+        scrapeHistory: 'GET /api/scrapes, GET /api/scrapes/:id, POST /api/scrapes/:id/refilter',
         categories: '/api/categories',
+        savedSearches: 'GET/POST /api/saved-searches, GET/PUT/DELETE /api/saved-searches/:id, POST /api/saved-searches/:id/run, GET /api/saved-searches/:id/runs',
+        filterRules: 'GET/POST /api/filter-rules, PUT/DELETE /api/filter-rules/:id, POST /api/filter-rules/test',
+        imageClassifiers: 'GET /api/image-classifiers',
+        enrichProducts: 'POST /api/products/enrich',
+        productFreight: 'POST /api/products/freight',
+        productLookup: 'GET /api/product/:pid, GET /api/product/:pid/variants, GET /api/product/:pid/inventory',
+        inventoryBySku: 'GET /api/inventory/sku/:sku',
+        warehouses: 'GET /api/warehouses',
+        myProducts: 'GET /api/my-products',
+        cjUsage: 'GET /api/cj/usage',
+        cjAuth: 'GET/POST/DELETE /api/cj/auth, POST /api/cj/auth/refresh',
         uploadShopify: '/api/upload-shopify',
+        uploadPreview: '/api/upload-shopify/preview',
+        shopifyPublications: 'POST /api/shopify/publications',
         priceSync: {
           preview: 'POST /api/sync-prices/preview',
           sync: 'POST /api/sync-prices',
@@ -1759,4 +3707,14 @@ app.listen(PORT, () => {
   console.log(`   Frontend: http://localhost:${PORT}`);
   console.log(`   API: http://localhost:${PORT}/api`);
   console.log(`   Health: http://localhost:${PORT}/health`);
+
+  // Scheduled saved searches
+  setInterval(checkSavedSearches, SAVED_SEARCH_TICK_MS).unref();
+  checkSavedSearches();
+
+  // Managed CJ token: stored tokens or CJ_EMAIL / CJ_API_KEY login, refreshed before expiry
+  initCJAuth({
+    authBase: fakeAuthPath ? `http://127.0.0.1:${PORT}${fakeAuthPath}` : undefined,
+    onToken: (token) => { CJ_API_TOKEN = token; }
+  }).then(auth => console.log(`[CJ Auth] Token mode: ${auth.mode} (${auth.status})`));
 });
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, nextRun } = require('../cron-schedule');
+
+// Thursday 1 January 2026, 10:00 server local time
+const FROM = new Date(2026, 0, 1, 10, 0);
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute);
+
+test('restricted day of month and day of week match either one (OR)', () => {
+  // 13th or Friday - Friday 2 January comes first
+  assert.deepEqual(nextRun('0 9 13 * 5', FROM), at(2, 9));
+  // 1st (already past today's 09:00) or Monday
+  assert.deepEqual(nextRun('0 9 1 * 1', FROM), at(5, 9));
+});
+
+test('a day field starting with * leaves the other in charge (AND)', () => {
+  // */2 is unrestricted: odd days that are also Mondays, not every odd day
+  assert.deepEqual(nextRun('0 9 */2 * 1', FROM), at(5, 9));
+  // Plain * - Mondays only
+  assert.deepEqual(nextRun('0 9 * * 1', FROM), at(5, 9));
+  // */3 weekday (Sun, Wed, Sat) with the 15th: only a Sat/Sun/Wed 15th counts
+  assert.deepEqual(nextRun('0 9 15 * */3', FROM), new Date(2026, 1, 15, 9, 0));
+  assert.deepEqual(nextRun('0 9 15 * *', FROM), at(15, 9));
+});
+
+test('parseCron flags * and */n day fields as unrestricted', () => {
+  const schedule = parseCron('30 6 */2 * */3');
+  assert.equal(schedule.anyDayOfMonth, true);
+  assert.equal(schedule.anyDayOfWeek, true);
+  assert.equal(parseCron('30 6 1-15 * 1').anyDayOfMonth, false);
+});
+
+test('nextRun is strictly after the start point', () => {
+  assert.deepEqual(nextRun('0 10 * * *', FROM), at(2, 10));
+  assert.deepEqual(nextRun('@hourly', FROM), at(1, 11));
+});
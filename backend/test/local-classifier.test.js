@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const local = require('../image_classifier/local');
+
+// PNG signature + IHDR dimensions, padded with noise to `bytes`
+function png(width, height, bytes = Math.ceil(width * height * 0.1)) {
+  const buffer = crypto.randomBytes(Math.max(bytes, 24));
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+// JPEG with an SOF0 frame header right after SOI
+function jpeg(width, height, bytes = Math.ceil(width * height * 0.1)) {
+  const buffer = crypto.randomBytes(Math.max(bytes, 16));
+  Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08]).copy(buffer, 0);
+  buffer.writeUInt16BE(height, 7);
+  buffer.writeUInt16BE(width, 9);
+  return buffer;
+}
+
+const context = { title: 'Sherpa Fleece Throw Blanket', categoryName: 'Blankets' };
+
+test('a product photo gets labels from the title and category', async () => {
+  const labels = await local.classify(jpeg(800, 800), context);
+  const descriptions = labels.map(l => l.description);
+  assert.ok(descriptions.includes('blanket'));
+  assert.ok(descriptions.includes('throw blanket'));
+  assert.ok(descriptions.includes('blankets'));
+});
+
+test('image heuristics reject non-photos whatever the title says', async () => {
+  const cases = [
+    [Buffer.from('<html>Not found</html>'.padEnd(4096)), 'not_an_image'],
+    [png(800, 800, 512), 'not_an_image'],
+    [Buffer.from([0xff, 0xd8, ...crypto.randomBytes(4096)]).fill(0, 2), 'unreadable_dimensions'],
+    [png(60, 60, 2048), 'too_small'],
+    [jpeg(1200, 200), 'banner_shape'],
+    [png(1000, 1000, 4096), 'near_blank']
+  ];
+  for (const [buffer, reason] of cases) {
+    assert.equal(local.inspectImage(buffer).reason, reason);
+    assert.deepEqual(await local.classify(buffer, context), [], `${reason} should get no labels`);
+  }
+});
+
+test('inspectImage reads dimensions and accepts ordinary shapes', () => {
+  const result = local.inspectImage(png(800, 600));
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.info, { format: 'png', width: 800, height: 600 });
+  assert.equal(local.inspectImage(jpeg(900, 300)).ok, true);
+});
+
+test('labels depend only on the image verdict and the text', async () => {
+  const a = await local.classify(jpeg(800, 800), context);
+  const b = await local.classify(png(640, 640), context);
+  assert.deepEqual(a, b);
+  assert.notEqual(local.contextKey(context), local.contextKey({ ...context, title: 'Dog Collar' }));
+});
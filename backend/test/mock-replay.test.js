@@ -0,0 +1,170 @@
+/**
+ * Offline replay of the committed demo fixtures (backend/fixtures):
+ * scrape -> upload -> re-upload -> price sync preview -> sync -> preview, with no network
+ * and no credentials. Any request without a fixture shows up as a miss in /health.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const BACKEND = path.join(__dirname, '..');
+const STORE = { shopifyStore: 'demo-store.myshopify.com', shopifyToken: 'shpat_demo' };
+
+let server;
+let baseUrl;
+let workDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return response.json();
+}
+
+// Shopify fixtures with the GraphQL body each answers - replay only serves a fixture for the exact body
+function shopifyFixtures() {
+  const dir = path.join(BACKEND, 'fixtures', 'shopify');
+  return fs.readdirSync(dir).map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+async function poll(route, done, timeoutMs = 60000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const state = await api('GET', route);
+    if (done(state)) return state;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Timed out waiting for ${route}`);
+}
+
+before(async () => {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  // Stored scrapes, tokens, saved searches and caches go to a scratch dir, not backend/data
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-replay-'));
+  // No credentials at all - replay stands in for the ones the recording had
+  const env = {
+    PATH: process.env.PATH,
+    PORT: String(port),
+    MOCK_MODE: 'replay',
+    MOCK_FIXTURES_DIR: path.join(BACKEND, 'fixtures'),
+    DATA_DIR: path.join(workDir, 'data'),
+    CACHE_DIR: path.join(workDir, 'cache')
+  };
+  server = spawn(process.execPath, ['server.js'], { cwd: BACKEND, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  server.stdout.on('data', chunk => { output += chunk; });
+  server.stderr.on('data', chunk => { output += chunk; });
+
+  const deadline = Date.now() + 30000;
+  while (Date.now() < deadline) {
+    try {
+      const health = await api('GET', '/health');
+      if (health.status === 'ok') return;
+    } catch (e) {
+      // Not listening yet
+    }
+    if (server.exitCode !== null) break;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Server did not start:\n${output}`);
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('scrape, upload and price sync replay offline from the demo fixtures', { timeout: 180000 }, async () => {
+  // Scrape: the local classifier drops the banner-shaped and thumbnail images
+  const { scrapeId } = await api('POST', '/api/scrape', {
+    searchTerm: 'sherpa blanket',
+    useImageDetection: true,
+    imageClassifier: 'local'
+  });
+  assert.ok(scrapeId);
+  const scrape = await poll(`/api/scrape/status/${scrapeId}`, state => state.status !== 'running');
+  assert.equal(scrape.status, 'complete');
+  const products = scrape.results.products;
+  const pids = products.map(p => p.pid);
+  assert.ok(pids.includes('1880000000000000101'));
+  assert.ok(!pids.includes('1880000000000000105'), 'size chart banner should be filtered');
+  assert.ok(!pids.includes('1880000000000000106'), 'thumbnail should be filtered');
+
+  // Upload two plain scrape results - the upload fetches their CJ variants
+  const toUpload = ['1880000000000000101', '1880000000000000102'].map(pid => products.find(p => p.pid === pid));
+  const upload = await api('POST', '/api/upload-shopify', { ...STORE, products: toUpload, status: 'DRAFT' });
+  assert.equal(upload.success, true);
+  assert.equal(upload.created, 2);
+  assert.equal(upload.failed, 0);
+
+  // The same CJ product again updates the Shopify product: variant prices, images and description only
+  const reupload = await api('POST', '/api/upload-shopify', {
+    ...STORE,
+    products: [{ ...toUpload[0], descriptionHtml: '<p>Double layer sherpa fleece throw.</p>' }]
+  });
+  assert.equal(reupload.updated, 1);
+  assert.equal(reupload.created, 0);
+  const fixtures = shopifyFixtures();
+  const lookup = fixtures.find(({ request }) => /FindCJProducts/.test(request.body.query) &&
+    request.body.variables.search === 'metafields.custom.cj_product_id:"1880000000000000101"');
+  assert.ok(lookup, 'lookup of the re-uploaded product is recorded');
+  const [existing] = lookup.responses[0].json.data.products.edges.map(edge => edge.node);
+  const update = fixtures.map(({ request }) => request.body)
+    .find(body => /BatchProductSet/.test(body.query) && body.variables.identifier0);
+  assert.ok(update, 'update mutation is recorded');
+  assert.equal(update.variables.identifier0.id, existing.id);
+  assert.deepEqual(Object.keys(update.variables.input0).sort(), ['descriptionHtml', 'files', 'metafields']);
+  assert.deepEqual(update.variables.input0.metafields.map(m => `${m.namespace}.${m.key}`), ['custom.cj_pricing']);
+  assert.deepEqual(update.variables.variants0.map(v => v.id).sort(), existing.variants.edges.map(edge => edge.node.id).sort());
+  assert.ok(update.variables.variants0.every(v => Object.keys(v).every(key => ['id', 'price', 'compareAtPrice'].includes(key))));
+  assert.equal(update.variables.productId0, update.variables.identifier0.id);
+
+  // CJ raised the first product's cost after the upload: only its variants change
+  const preview = await api('POST', '/api/sync-prices/preview', STORE);
+  assert.equal(preview.success, true);
+  assert.equal(preview.matchedProducts, 2);
+  const [raised, unchanged] = ['1880000000000000101', '1880000000000000102']
+    .map(pid => preview.products.find(p => p.cjProductId === pid));
+  assert.equal(raised.direction, 'increase');
+  assert.equal(raised.variants.length, 2);
+  assert.equal(raised.variantsChanged, 2);
+  assert.equal(unchanged.direction, 'none');
+  assert.equal(unchanged.variantsChanged, 0);
+
+  const { syncId } = await api('POST', '/api/sync-prices/start', STORE);
+  const sync = await poll(`/api/sync-prices/status/${syncId}`, state => state.status !== 'running');
+  assert.equal(sync.status, 'complete');
+  assert.equal(sync.updated, 1);
+  assert.equal(sync.skipped, 1);
+
+  const synced = await api('POST', '/api/sync-prices/preview', STORE);
+  assert.ok(synced.products.every(p => p.direction === 'none'));
+
+  const health = await api('GET', '/health');
+  assert.equal(health.mock.mode, 'replay');
+  assert.equal(health.mock.missed, 0);
+});
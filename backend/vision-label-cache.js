@@ -0,0 +1,132 @@
+/**
+ * Vision Label Cache
+ * Keeps the raw labels each image classifier (Google Vision, local) returned
+ * so filter rules can be re-applied later without paying for Vision again.
+ *
+ * Labels are keyed by a SHA-1 of the image content; image URLs map to that hash
+ * so a known URL skips both the download and the Vision call.
+ *
+ * Each classifier provider caches under its own namespace. Providers whose
+ * labels also depend on product text pass a contextKey as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+const LABEL_CACHE_FILE = path.join(CACHE_DIR, 'vision-labels.json');
+const FLUSH_DELAY_MS = 2000;
+
+let cache = null;       // { urls: { url -> hash }, labels: { hash -> { labels, analyzedAt } } }
+let flushTimer = null;
+
+function load() {
+  if (cache) return cache;
+  try {
+    cache = JSON.parse(fs.readFileSync(LABEL_CACHE_FILE, 'utf8'));
+    console.log(`[Label Cache] Loaded ${Object.keys(cache.labels || {}).length} cached label sets`);
+  } catch (err) {
+    // Cache doesn't exist yet
+  }
+  if (!cache || !cache.urls || !cache.labels) {
+    cache = { urls: {}, labels: {} };
+  }
+  return cache;
+}
+
+// Batch writes - a scrape stores up to 50 label sets per Vision batch
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flush();
+  }, FLUSH_DELAY_MS);
+}
+
+/**
+ * Write the cache to disk now
+ */
+function flush() {
+  if (!cache) return;
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(LABEL_CACHE_FILE, JSON.stringify(cache));
+  } catch (err) {
+    console.error('[Label Cache] Failed to write cache:', err.message);
+  }
+}
+
+/**
+ * Hash image bytes for content-based lookup
+ * @param {Buffer} buffer - Image content
+ * @returns {string} SHA-1 hex digest
+ */
+function hashImage(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+// Google labels keep the bare content hash as key (the original cache format)
+function labelKey(hash, { namespace = 'google', contextKey = null } = {}) {
+  if (namespace === 'google' && !contextKey) return hash;
+  return [namespace, hash, contextKey].filter(Boolean).join(':');
+}
+
+/**
+ * Get cached labels for an image URL
+ * @param {string} imageUrl - Image URL
+ * @param {Object} options - { namespace, contextKey }
+ * @returns {Array|null} [{ description, score }] or null if not cached
+ */
+function getLabelsByUrl(imageUrl, options = {}) {
+  const { urls, labels } = load();
+  const hash = urls[imageUrl];
+  const entry = hash && labels[labelKey(hash, options)];
+  return entry ? entry.labels : null;
+}
+
+/**
+ * Get cached labels for image content (same photo under a different URL)
+ * @param {string} hash - Content hash from hashImage()
+ * @param {string} imageUrl - URL to link to this content for future lookups
+ * @param {Object} options - { namespace, contextKey }
+ * @returns {Array|null} [{ description, score }] or null if not cached
+ */
+function getLabelsByHash(hash, imageUrl, options = {}) {
+  const { urls, labels } = load();
+  const entry = labels[labelKey(hash, options)];
+  if (!entry) return null;
+  if (imageUrl && urls[imageUrl] !== hash) {
+    urls[imageUrl] = hash;
+    scheduleFlush();
+  }
+  return entry.labels;
+}
+
+/**
+ * Store labels for an image
+ * @param {string} imageUrl - Image URL
+ * @param {string} hash - Content hash from hashImage()
+ * @param {Array} labelAnnotations - Raw Vision labelAnnotations
+ * @param {Object} options - { namespace, contextKey }
+ * @returns {Array} Stored labels [{ description, score }]
+ */
+function setLabels(imageUrl, hash, labelAnnotations, options = {}) {
+  const store = load();
+  const labels = (labelAnnotations || []).map(l => ({
+    description: l.description,
+    score: typeof l.score === 'number' ? parseFloat(l.score.toFixed(4)) : null
+  }));
+  store.labels[labelKey(hash, options)] = { labels, analyzedAt: new Date().toISOString() };
+  store.urls[imageUrl] = hash;
+  scheduleFlush();
+  return labels;
+}
+
+module.exports = {
+  hashImage,
+  getLabelsByUrl,
+  getLabelsByHash,
+  setLabels,
+  flush
+};
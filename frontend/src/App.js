@@ -8,7 +8,9 @@ import {
   History,
   Menu,
   X,
-  Upload
+  Upload,
+  Filter,
+  Search
 } from 'lucide-react';
 
 import Dashboard from './pages/Dashboard';
@@ -17,12 +19,16 @@ import PriceSync from './pages/PriceSync';
 import ConfigPage from './pages/ConfigPage';
 import SyncHistory from './pages/SyncHistory';
 import ImportPage from './pages/ImportPage';
+import FilterRulesPage from './pages/FilterRulesPage';
+import SearchPage from './pages/SearchPage';
 
 const navigation = [
   { name: 'Dashboard', path: '/', icon: LayoutDashboard },
+  { name: 'Search', path: '/search', icon: Search },
   { name: 'Price Sync', path: '/sync', icon: RefreshCw },
   { name: 'Import', path: '/import', icon: Upload },
   { name: 'Config', path: '/config', icon: Sliders },
+  { name: 'Filter Rules', path: '/filter-rules', icon: Filter },
   { name: 'History', path: '/history', icon: History },
   { name: 'Settings', path: '/settings', icon: Settings },
 ];
@@ -106,9 +112,11 @@ function App() {
         <div className="p-6 lg:p-8">
           <Routes>
             <Route path="/" element={<Dashboard />} />
+            <Route path="/search" element={<SearchPage />} />
             <Route path="/sync" element={<PriceSync />} />
             <Route path="/import" element={<ImportPage />} />
             <Route path="/config" element={<ConfigPage />} />
+            <Route path="/filter-rules" element={<FilterRulesPage />} />
             <Route path="/history" element={<SyncHistory />} />
             <Route path="/settings" element={<SettingsPage />} />
           </Routes>
@@ -7,7 +7,8 @@ import {
   Percent,
   RotateCcw,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  Truck
 } from 'lucide-react';
 import { getApiUrl } from '../utils/api';
 
@@ -17,7 +18,14 @@ const DEFAULT_CONFIG = {
   max_price: null,
   round_to: 0.95,
   show_compare_at: false,
-  compare_at_markup: 1.3
+  compare_at_markup: 1.3,
+  cost_basis: 'product',
+  freight: {
+    provider: 'auto',
+    origin_country: 'CN',
+    destination_country: 'US',
+    shipping_method: null
+  }
 };
 
 function ConfigPage() {
@@ -82,6 +90,12 @@ function ConfigPage() {
     setConfig(prev => ({ ...prev, [key]: value }));
   };
 
+  const updateFreight = (key, value) => {
+    setConfig(prev => ({ ...prev, freight: { ...DEFAULT_CONFIG.freight, ...prev.freight, [key]: value } }));
+  };
+
+  const freight = { ...DEFAULT_CONFIG.freight, ...config.freight };
+
   // Calculate example price
   const exampleCost = 12.50;
   const examplePrice = Math.max(
@@ -233,6 +247,76 @@ function ConfigPage() {
           </p>
         </div>
 
+        {/* Cost Basis */}
+        <div className="border-t border-slate-700 pt-6">
+          <label className="block text-sm font-medium text-slate-300 mb-2">
+            <Truck size={14} className="inline mr-1" />
+            Cost Basis
+          </label>
+          <div className="flex gap-3">
+            {[['product', 'CJ price only'], ['landed', 'CJ price + shipping']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => updateConfig('cost_basis', value)}
+                className={`px-4 py-2 rounded-lg border transition ${
+                  config.cost_basis === value
+                    ? 'bg-emerald-500/20 border-emerald-500 text-emerald-400'
+                    : 'bg-slate-900 border-slate-600 hover:border-slate-500'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500 mt-1">
+            With shipping, the markup applies to the CJ price plus the estimated freight to the destination below
+          </p>
+
+          {config.cost_basis === 'landed' && (
+            <div className="grid grid-cols-2 gap-4 mt-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Destination Country
+                </label>
+                <input
+                  type="text"
+                  maxLength={2}
+                  value={freight.destination_country || ''}
+                  onChange={(e) => updateFreight('destination_country', e.target.value.toUpperCase())}
+                  placeholder="US"
+                  className="w-full px-4 py-3 bg-slate-900 border border-slate-600 rounded-lg focus:border-emerald-500 focus:ring-1 focus:ring-emerald-500 outline-none transition"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Shipping Method
+                </label>
+                <input
+                  type="text"
+                  value={freight.shipping_method || ''}
+                  onChange={(e) => updateFreight('shipping_method', e.target.value || null)}
+                  placeholder="Cheapest line"
+                  className="w-full px-4 py-3 bg-slate-900 border border-slate-600 rounded-lg focus:border-emerald-500 focus:ring-1 focus:ring-emerald-500 outline-none transition"
+                />
+              </div>
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Freight Estimates
+                </label>
+                <select
+                  value={freight.provider}
+                  onChange={(e) => updateFreight('provider', e.target.value)}
+                  className="w-full px-4 py-3 bg-slate-900 border border-slate-600 rounded-lg focus:border-emerald-500 focus:ring-1 focus:ring-emerald-500 outline-none transition"
+                >
+                  <option value="auto">Auto (CJ, offline estimate if CJ is unreachable)</option>
+                  <option value="cj">CJ freight calculation only</option>
+                  <option value="stub">Offline estimate by weight</option>
+                </select>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Compare At Price */}
         <div className="border-t border-slate-700 pt-6">
           <label className="flex items-center gap-3 mb-4 cursor-pointer">
@@ -289,7 +373,7 @@ function ConfigPage() {
       <div className="bg-slate-800/50 rounded-xl p-6 border border-slate-700">
         <h3 className="font-semibold mb-3">How Pricing Works</h3>
         <ol className="text-sm text-slate-400 space-y-2 list-decimal list-inside">
-          <li>Get the current CJ product cost</li>
+          <li>Get the current CJ product cost (plus estimated shipping when the cost basis includes it)</li>
           <li>Multiply by the markup multiplier (e.g., $12.50 × 2.0 = $25.00)</li>
           <li>Round to the specified ending (e.g., $25.00 → $24.95)</li>
           <li>Enforce minimum/maximum price limits</li>
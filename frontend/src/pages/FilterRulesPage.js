@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Filter,
+  Plus,
+  Save,
+  Trash2,
+  RefreshCw,
+  CheckCircle,
+  AlertCircle,
+  FlaskConical
+} from 'lucide-react';
+import { getApiUrl } from '../utils/api';
+
+const EMPTY_RULE = {
+  name: '',
+  triggers: '',
+  rejectTerms: '',
+  exceptTerms: '',
+  enabled: true
+};
+
+// Rules store term arrays; the form edits them as comma-separated text
+const toForm = (rule) => ({
+  ...rule,
+  triggers: rule.triggers.join(', '),
+  rejectTerms: rule.rejectTerms.join(', '),
+  exceptTerms: (rule.exceptTerms || []).join(', ')
+});
+
+const toTerms = (text) => text.split(',').map(t => t.trim()).filter(Boolean);
+
+const fromForm = (form) => ({
+  name: form.name,
+  triggers: toTerms(form.triggers),
+  rejectTerms: toTerms(form.rejectTerms),
+  exceptTerms: toTerms(form.exceptTerms),
+  enabled: form.enabled
+});
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg focus:border-emerald-500 focus:ring-1 focus:ring-emerald-500 outline-none transition text-sm';
+
+function FilterRulesPage() {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [test, setTest] = useState({ title: '', searchTerm: '' });
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const fetchRules = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${getApiUrl()}/api/filter-rules`);
+      const data = await response.json();
+      if (data.success) {
+        setRules(data.rules.map(toForm));
+      }
+    } catch (e) {
+      console.error('Failed to fetch filter rules:', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRule = (id, key, value) => {
+    setRules(prev => prev.map(r => (r.id === id ? { ...r, [key]: value } : r)));
+  };
+
+  const handleSave = async (rule) => {
+    setSavingId(rule.id);
+    try {
+      const response = await fetch(`${getApiUrl()}/api/filter-rules/${rule.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fromForm(rule))
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to save');
+      }
+      setRules(prev => prev.map(r => (r.id === rule.id ? toForm(data.rule) : r)));
+      showMessage('success', 'Rule saved - applies to the next scrape');
+    } catch (e) {
+      showMessage('error', e.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name || rule.id}"?`)) return;
+    try {
+      const response = await fetch(`${getApiUrl()}/api/filter-rules/${rule.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to delete');
+      }
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+      showMessage('success', 'Rule deleted');
+    } catch (e) {
+      showMessage('error', e.message);
+    }
+  };
+
+  const handleCreate = async () => {
+    setSavingId('new');
+    try {
+      const response = await fetch(`${getApiUrl()}/api/filter-rules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fromForm(newRule))
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to create');
+      }
+      setRules(prev => [...prev, toForm(data.rule)]);
+      setNewRule(EMPTY_RULE);
+      showMessage('success', 'Rule added');
+    } catch (e) {
+      showMessage('error', e.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleTest = async () => {
+    setTestResult(null);
+    try {
+      const response = await fetch(`${getApiUrl()}/api/filter-rules/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(test)
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Test failed');
+      }
+      setTestResult(data.decision);
+    } catch (e) {
+      showMessage('error', e.message);
+    }
+  };
+
+  const renderFields = (rule, onChange) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className="block text-xs font-medium text-slate-400 mb-1">Name</label>
+        <input
+          type="text"
+          value={rule.name}
+          onChange={(e) => onChange('name', e.target.value)}
+          placeholder="e.g. Blanket searches: no pillows"
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-400 mb-1">Search triggers</label>
+        <input
+          type="text"
+          value={rule.triggers}
+          onChange={(e) => onChange('triggers', e.target.value)}
+          placeholder="blanket, throw"
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-400 mb-1">Reject titles containing</label>
+        <input
+          type="text"
+          value={rule.rejectTerms}
+          onChange={(e) => onChange('rejectTerms', e.target.value)}
+          placeholder="pillow, cushion"
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-slate-400 mb-1">Unless title contains</label>
+        <input
+          type="text"
+          value={rule.exceptTerms}
+          onChange={(e) => onChange('exceptTerms', e.target.value)}
+          placeholder="blanket"
+          className={inputClass}
+        />
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <RefreshCw className="animate-spin text-slate-400" size={32} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold">Text Filter Rules</h1>
+        <p className="text-slate-400 mt-1">
+          Reject products by title before image detection. Rules are checked in order and apply to the next scrape.
+        </p>
+      </div>
+
+      {/* Message */}
+      {message && (
+        <div className={`p-4 rounded-lg flex items-center gap-3 ${
+          message.type === 'success'
+            ? 'bg-emerald-500/20 text-emerald-400 border border-emerald-500/30'
+            : 'bg-red-500/20 text-red-400 border border-red-500/30'
+        }`}>
+          {message.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          {message.text}
+        </div>
+      )}
+
+      {/* Rule List */}
+      {rules.map((rule) => (
+        <div key={rule.id} className="bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-4">
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(rule.id, 'enabled', e.target.checked)}
+                className="w-5 h-5 rounded border-slate-500 text-emerald-500 focus:ring-emerald-500 focus:ring-offset-slate-800"
+              />
+              <span className="font-medium">{rule.name || rule.id}</span>
+            </label>
+            <span className="text-xs text-slate-500 font-mono">{rule.id}</span>
+          </div>
+
+          {renderFields(rule, (key, value) => updateRule(rule.id, key, value))}
+
+          <div className="flex gap-3">
+            <button
+              onClick={() => handleSave(rule)}
+              disabled={savingId === rule.id}
+              className="flex items-center gap-2 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 rounded-lg transition text-sm font-medium"
+            >
+              <Save size={16} />
+              {savingId === rule.id ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => handleDelete(rule)}
+              className="flex items-center gap-2 px-4 py-2 text-red-400 hover:bg-red-500/20 rounded-lg transition text-sm"
+            >
+              <Trash2 size={16} />
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {/* New Rule */}
+      <div className="bg-slate-800 rounded-xl p-6 border border-dashed border-slate-600 space-y-4">
+        <div className="flex items-center gap-3">
+          <Plus size={20} className="text-emerald-400" />
+          <h2 className="text-lg font-semibold">Add Rule</h2>
+        </div>
+
+        {renderFields(newRule, (key, value) => setNewRule(prev => ({ ...prev, [key]: value })))}
+
+        <button
+          onClick={handleCreate}
+          disabled={savingId === 'new'}
+          className="flex items-center gap-2 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 rounded-lg transition text-sm font-medium"
+        >
+          <Plus size={16} />
+          {savingId === 'new' ? 'Adding...' : 'Add Rule'}
+        </button>
+      </div>
+
+      {/* Tester */}
+      <div className="bg-slate-800/50 rounded-xl p-6 border border-slate-700 space-y-4">
+        <h3 className="font-semibold flex items-center gap-2">
+          <FlaskConical size={18} className="text-blue-400" />
+          Try a Title
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input
+            type="text"
+            value={test.searchTerm}
+            onChange={(e) => setTest(prev => ({ ...prev, searchTerm: e.target.value }))}
+            placeholder="Search term (e.g. sherpa blanket)"
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={test.title}
+            onChange={(e) => setTest(prev => ({ ...prev, title: e.target.value }))}
+            placeholder="Product title"
+            className={inputClass}
+          />
+        </div>
+        <div className="flex items-center gap-4">
+          <button
+            onClick={handleTest}
+            disabled={!test.title || !test.searchTerm}
+            className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg transition text-sm"
+          >
+            <Filter size={16} />
+            Test
+          </button>
+          {testResult && (
+            <span className={`text-sm font-mono ${testResult.passed ? 'text-emerald-400' : 'text-red-400'}`}>
+              {testResult.passed ? 'PASS' : 'REJECT'} - {testResult.reasons.join(', ')}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FilterRulesPage;
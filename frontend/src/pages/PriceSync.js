@@ -415,6 +415,11 @@ function PriceSync() {
                             {!product.cjProductId && (
                               <p className="text-xs text-amber-400">No CJ ID linked</p>
                             )}
+                            {product.variants?.length > 1 && (
+                              <p className="text-xs text-slate-400">
+                                {product.variantsChanged} of {product.variants.length} variants change
+                              </p>
+                            )}
                           </div>
                         </div>
                       </td>
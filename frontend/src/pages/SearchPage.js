@@ -0,0 +1,653 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Search,
+  Square,
+  Upload,
+  Image as ImageIcon,
+  CheckCircle,
+  AlertCircle,
+  RefreshCw,
+  ExternalLink,
+  DollarSign
+} from 'lucide-react';
+import { getApiUrl, getCredentials } from '../utils/api';
+
+const POLL_INTERVAL_MS = 1500;
+
+const EMPTY_FILTERS = {
+  minPrice: '',
+  maxPrice: '',
+  minInventory: '',
+  maxListed: '',
+  verifiedOnly: false
+};
+
+// Human-readable scrape phases (see runScrape in server.js)
+const PHASE_LABELS = {
+  starting: 'Starting',
+  validating_category: 'Checking category',
+  fetching_pages: 'Fetching pages',
+  text_filter: 'Filtering titles',
+  product_filter: 'Applying filters',
+  generating_keywords: 'Preparing image check',
+  vision: 'Checking images',
+  dedupe: 'Removing duplicates',
+  complete: 'Complete'
+};
+
+const inputClass = 'w-full px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg focus:border-emerald-500 focus:ring-1 focus:ring-emerald-500 outline-none transition text-sm';
+
+function SearchPage() {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [countryCode, setCountryCode] = useState('');
+  const [useImageDetection, setUseImageDetection] = useState(true);
+  const [imageClassifier, setImageClassifier] = useState('auto');
+  const [classifiers, setClassifiers] = useState([]);
+  const [exhaustive, setExhaustive] = useState(false);
+  const [dedupe, setDedupe] = useState(false);
+
+  const [scrape, setScrape] = useState(null); // latest /api/scrape/status payload
+  const [products, setProducts] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [markupOverride, setMarkupOverride] = useState(''); // empty = price sync config
+  const [priceConfig, setPriceConfig] = useState(null);
+  const [pricePreview, setPricePreview] = useState(null); // /api/upload-shopify/preview payload
+  const [previewing, setPreviewing] = useState(false);
+  const [uploadStatus, setUploadStatus] = useState('DRAFT');
+  const [onExisting, setOnExisting] = useState('update'); // products already in Shopify (matched by CJ product id)
+  const [publications, setPublications] = useState(null); // store's sales channels, loaded with the first preview
+  const [publicationIds, setPublicationIds] = useState([]);
+  const [publishAt, setPublishAt] = useState(''); // datetime-local value
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const pollRef = useRef(null);
+
+  const running = scrape?.status === 'running';
+  const isUrl = query.includes('cjdropshipping.com');
+
+  useEffect(() => {
+    fetchClassifiers();
+    fetchPriceConfig();
+    return () => clearInterval(pollRef.current);
+  }, []);
+
+  // A preview is only good for the selection and markup it was made with
+  useEffect(() => {
+    setPricePreview(null);
+  }, [selected, markupOverride]);
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage(null), 5000);
+  };
+
+  const fetchClassifiers = async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/image-classifiers`);
+      const data = await response.json();
+      if (data.success) {
+        setClassifiers(data.classifiers);
+      }
+    } catch (e) {
+      console.error('Failed to fetch image classifiers:', e);
+    }
+  };
+
+  const fetchPriceConfig = async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/sync-prices/config`);
+      const data = await response.json();
+      if (data.success) {
+        setPriceConfig(data.config);
+      }
+    } catch (e) {
+      console.error('Failed to fetch price config:', e);
+    }
+  };
+
+  const fetchPublications = async () => {
+    const { shopifyStore, shopifyToken } = getCredentials();
+    if (!shopifyStore || !shopifyToken) return;
+    try {
+      const response = await fetch(`${getApiUrl()}/api/shopify/publications`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ shopifyStore, shopifyToken })
+      });
+      const data = await response.json();
+      setPublications(data.success ? data.publications : []);
+    } catch (e) {
+      console.error('Failed to fetch publications:', e);
+      setPublications([]);
+    }
+  };
+
+  const togglePublication = (id) => {
+    setPublicationIds(prev => (prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id]));
+  };
+
+  // Same override for the preview and the upload, so the prices shown are the prices set
+  const pricingOverride = () => (markupOverride ? { markup_multiplier: Number(markupOverride) } : undefined);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const pollStatus = (scrapeId) => {
+    clearInterval(pollRef.current);
+    pollRef.current = setInterval(async () => {
+      try {
+        const response = await fetch(`${getApiUrl()}/api/scrape/status/${scrapeId}`);
+        const data = await response.json();
+        if (!data.success) {
+          throw new Error(data.error || 'Scrape not found');
+        }
+        setScrape(data);
+        if (data.status === 'running') return;
+
+        clearInterval(pollRef.current);
+        if (data.status === 'error') {
+          showMessage('error', data.error || 'Scrape failed');
+        } else if (data.results) {
+          setProducts(data.results.products || []);
+        }
+      } catch (e) {
+        clearInterval(pollRef.current);
+        showMessage('error', e.message);
+      }
+    }, POLL_INTERVAL_MS);
+  };
+
+  const handleSearch = async () => {
+    setProducts([]);
+    setSelected(new Set());
+    setScrape(null);
+    try {
+      const response = await fetch(`${getApiUrl()}/api/scrape`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(isUrl ? { searchUrl: query.trim() } : { searchTerm: query.trim() }),
+          useImageDetection,
+          imageClassifier,
+          exhaustive,
+          dedupe,
+          filters: countryCode ? { countryCode: countryCode.toUpperCase() } : {},
+          productFilters: filters
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to start scrape');
+      }
+      setScrape({ scrapeId: data.scrapeId, status: 'running', phase: 'starting' });
+      pollStatus(data.scrapeId);
+    } catch (e) {
+      showMessage('error', e.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/scrape/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scrapeId: scrape.scrapeId })
+      });
+      const data = await response.json();
+      showMessage(data.success ? 'success' : 'error', data.message);
+    } catch (e) {
+      showMessage('error', e.message);
+    }
+  };
+
+  const toggleProduct = (pid) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(pid)) {
+        next.delete(pid);
+      } else {
+        next.add(pid);
+      }
+      return next;
+    });
+  };
+
+  const handlePreviewPrices = async () => {
+    setPreviewing(true);
+    if (publications === null) {
+      fetchPublications();
+    }
+    try {
+      const response = await fetch(`${getApiUrl()}/api/upload-shopify/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          products: products.filter(p => selected.has(p.pid)),
+          pricing: pricingOverride()
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Price preview failed');
+      }
+      setPricePreview(data);
+    } catch (e) {
+      showMessage('error', e.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleUpload = async () => {
+    const { shopifyStore, shopifyToken } = getCredentials();
+    if (!shopifyStore || !shopifyToken) {
+      showMessage('error', 'Shopify credentials not configured. Go to Settings first.');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const response = await fetch(`${getApiUrl()}/api/upload-shopify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          products: products.filter(p => selected.has(p.pid)),
+          pricing: pricingOverride(),
+          status: uploadStatus,
+          onExisting,
+          publications: publicationIds,
+          publishAt: publishAt && publicationIds.length > 0 ? new Date(publishAt).toISOString() : undefined,
+          shopifyStore,
+          shopifyToken
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Upload failed');
+      }
+      const unpublished = data.results.filter(r => r.published === false).length;
+      const summary = [
+        data.created > 0 && `${data.created} created as ${uploadStatus.toLowerCase()}`,
+        data.updated > 0 && `${data.updated} updated`,
+        data.skipped > 0 && `${data.skipped} skipped`,
+        data.failed > 0 && `${data.failed} failed`,
+        unpublished > 0 && `${unpublished} not published`
+      ].filter(Boolean).join(', ');
+      showMessage(data.failed > 0 || unpublished > 0 ? 'error' : 'success', `${data.total} products: ${summary}`);
+      setSelected(new Set());
+    } catch (e) {
+      showMessage('error', e.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const formatPrice = (value) => (value === null || value === undefined ? '-' : `$${value.toFixed(2)}`);
+
+  // "$19.95" or "$19.95 - $24.95" across a product's variants
+  const priceRange = (product) => {
+    const prices = product.variants.length > 0 ? product.variants.map(v => v.price) : [product.price];
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    return min === max ? formatPrice(min) : `${formatPrice(min)} - ${formatPrice(max)}`;
+  };
+
+  const progressText = () => {
+    if (!scrape) return null;
+    const phase = PHASE_LABELS[scrape.phase] || scrape.phase;
+    if (scrape.phase === 'fetching_pages' && scrape.totalPages > 0) {
+      return `${phase}: ${scrape.pagesFetched}/${scrape.totalPages} (${scrape.fetched} products)`;
+    }
+    if (scrape.phase === 'vision' && scrape.visionBatches > 0) {
+      return `${phase}: batch ${scrape.visionBatch}/${scrape.visionBatches}`;
+    }
+    return phase;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold">Search</h1>
+        <p className="text-slate-400 mt-1">
+          Scrape CJ by keyword or by pasting a CJ search, category or product URL.
+        </p>
+      </div>
+
+      {/* Message */}
+      {message && (
+        <div className={`p-4 rounded-lg flex items-center gap-3 ${
+          message.type === 'success'
+            ? 'bg-emerald-500/20 text-emerald-400 border border-emerald-500/30'
+            : 'bg-red-500/20 text-red-400 border border-red-500/30'
+        }`}>
+          {message.type === 'success' ? <CheckCircle size={20} /> : <AlertCircle size={20} />}
+          {message.text}
+        </div>
+      )}
+
+      {/* Search Form */}
+      <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 space-y-4">
+        <div className="flex gap-3">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && query.trim() && !running && handleSearch()}
+            placeholder="sherpa blanket -pillow, or https://cjdropshipping.com/search/..."
+            className={inputClass}
+          />
+          {running ? (
+            <button
+              onClick={handleCancel}
+              className="flex items-center gap-2 px-4 py-2 bg-red-500 hover:bg-red-600 rounded-lg transition text-sm font-medium"
+            >
+              <Square size={16} />
+              Cancel
+            </button>
+          ) : (
+            <button
+              onClick={handleSearch}
+              disabled={!query.trim()}
+              className="flex items-center gap-2 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 rounded-lg transition text-sm font-medium"
+            >
+              <Search size={16} />
+              Search
+            </button>
+          )}
+        </div>
+        {isUrl && (
+          <p className="text-xs text-slate-400">CJ URL - its keyword, category and filters are used as the scrape source.</p>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-slate-400 mb-1">Min price ($)</label>
+            <input type="number" min="0" step="0.01" value={filters.minPrice} onChange={(e) => updateFilter('minPrice', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-400 mb-1">Max price ($)</label>
+            <input type="number" min="0" step="0.01" value={filters.maxPrice} onChange={(e) => updateFilter('maxPrice', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-400 mb-1">Min inventory</label>
+            <input type="number" min="0" value={filters.minInventory} onChange={(e) => updateFilter('minInventory', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-400 mb-1">Max listings</label>
+            <input type="number" min="0" value={filters.maxListed} onChange={(e) => updateFilter('maxListed', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-400 mb-1">Ship from</label>
+            <input type="text" maxLength={2} value={countryCode} onChange={(e) => setCountryCode(e.target.value)} placeholder="CN, US..." className={inputClass} />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6 text-sm">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={filters.verifiedOnly} onChange={(e) => updateFilter('verifiedOnly', e.target.checked)} className="w-4 h-4 rounded border-slate-500 text-emerald-500 focus:ring-emerald-500 focus:ring-offset-slate-800" />
+            Verified warehouses only
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={exhaustive} onChange={(e) => setExhaustive(e.target.checked)} className="w-4 h-4 rounded border-slate-500 text-emerald-500 focus:ring-emerald-500 focus:ring-offset-slate-800" />
+            Exhaustive (past CJ's 6,000 result cap)
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={dedupe} onChange={(e) => setDedupe(e.target.checked)} className="w-4 h-4 rounded border-slate-500 text-emerald-500 focus:ring-emerald-500 focus:ring-offset-slate-800" />
+            Fold near-duplicates
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={useImageDetection} onChange={(e) => setUseImageDetection(e.target.checked)} className="w-4 h-4 rounded border-slate-500 text-emerald-500 focus:ring-emerald-500 focus:ring-offset-slate-800" />
+            <ImageIcon size={16} className="text-blue-400" />
+            Image detection
+          </label>
+          {useImageDetection && (
+            <select
+              value={imageClassifier}
+              onChange={(e) => setImageClassifier(e.target.value)}
+              className="px-3 py-1.5 bg-slate-900 border border-slate-600 rounded-lg text-sm"
+            >
+              <option value="auto">auto</option>
+              {classifiers.map(c => (
+                <option key={c.name} value={c.name} disabled={!c.available}>
+                  {c.name}{c.available ? '' : ' (not configured)'}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {/* Progress */}
+      {scrape && (
+        <div className="bg-slate-800/50 rounded-xl p-4 border border-slate-700 flex items-center justify-between text-sm">
+          <div className="flex items-center gap-3">
+            {running && <RefreshCw className="animate-spin text-emerald-400" size={18} />}
+            <span>{progressText()}</span>
+            {scrape.status === 'cancelled' && <span className="text-amber-400">Cancelled</span>}
+          </div>
+          {scrape.results && (
+            <span className="text-slate-400">
+              {scrape.results.filtered} of {scrape.results.totalFound} products passed ({scrape.results.passRate})
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Results */}
+      {products.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center gap-4 text-sm">
+              <span className="text-slate-400">{selected.size} of {products.length} selected</span>
+              <button onClick={() => setSelected(new Set(products.map(p => p.pid)))} className="text-emerald-400 hover:underline">
+                Select all
+              </button>
+              <button onClick={() => setSelected(new Set())} className="text-slate-400 hover:underline">
+                Clear
+              </button>
+            </div>
+            <div className="flex items-center gap-3">
+              <label className="text-sm text-slate-400" title="Overrides the markup from Price Config for this upload">
+                Markup (×)
+              </label>
+              <input
+                type="number"
+                min="1"
+                step="0.1"
+                value={markupOverride}
+                onChange={(e) => setMarkupOverride(e.target.value)}
+                placeholder={priceConfig ? String(priceConfig.markup_multiplier) : 'config'}
+                className="w-24 px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-sm"
+              />
+              <button
+                onClick={handlePreviewPrices}
+                disabled={selected.size === 0 || previewing || uploading}
+                className="flex items-center gap-2 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 rounded-lg transition text-sm font-medium"
+              >
+                <DollarSign size={16} />
+                {previewing ? 'Pricing...' : `Review prices for ${selected.size}`}
+              </button>
+            </div>
+          </div>
+
+          {/* Price preview - uploads go through here so the prices are seen first */}
+          {pricePreview && (
+            <div className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden">
+              <div className="flex flex-wrap items-center justify-between gap-4 p-4 border-b border-slate-700">
+                <div className="text-sm text-slate-400">
+                  Markup ×{pricePreview.config.markup_multiplier}
+                  {pricePreview.config.cost_basis === 'landed' && ' on CJ price + shipping'}
+                  {pricePreview.config.round_to ? `, rounded to .${String(pricePreview.config.round_to).split('.')[1] || '00'}` : ''}
+                  {pricePreview.config.min_price ? `, min ${formatPrice(pricePreview.config.min_price)}` : ''}
+                  {pricePreview.config.max_price ? `, max ${formatPrice(pricePreview.config.max_price)}` : ''}
+                  {pricePreview.config.show_compare_at && `, compare-at ×${pricePreview.config.compare_at_markup}`}
+                </div>
+                <div className="flex items-center gap-3">
+                  <button onClick={() => setPricePreview(null)} className="text-sm text-slate-400 hover:underline">
+                    Back
+                  </button>
+                  <button
+                    onClick={handleUpload}
+                    disabled={uploading || pricePreview.products.every(p => p.error)}
+                    className="flex items-center gap-2 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 disabled:opacity-50 rounded-lg transition text-sm font-medium"
+                  >
+                    <Upload size={16} />
+                    {uploading ? 'Uploading...' : `Upload ${pricePreview.products.filter(p => !p.error).length} to Shopify`}
+                  </button>
+                </div>
+              </div>
+              <div className="flex flex-wrap items-start gap-6 p-4 border-b border-slate-700 text-sm">
+                <div>
+                  <label className="block text-slate-400 mb-1">Status</label>
+                  <select
+                    value={uploadStatus}
+                    onChange={(e) => setUploadStatus(e.target.value)}
+                    className="px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg"
+                  >
+                    <option value="DRAFT">Draft</option>
+                    <option value="ACTIVE">Active</option>
+                    <option value="ARCHIVED">Archived</option>
+                  </select>
+                  <p className="text-xs text-slate-500 mt-1">New products only</p>
+                </div>
+                <div>
+                  <label className="block text-slate-400 mb-1">Already in Shopify</label>
+                  <select
+                    value={onExisting}
+                    onChange={(e) => setOnExisting(e.target.value)}
+                    className="px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg"
+                  >
+                    <option value="update">Update price, images and content</option>
+                    <option value="skip">Skip</option>
+                    <option value="create">Create a duplicate</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-slate-400 mb-1">Publish to</label>
+                  {publications === null && <span className="text-slate-500">Loading sales channels...</span>}
+                  {publications?.length === 0 && <span className="text-slate-500">No sales channels found</span>}
+                  <div className="flex flex-wrap gap-3">
+                    {(publications || []).map(publication => (
+                      <label key={publication.id} className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={publicationIds.includes(publication.id)}
+                          onChange={() => togglePublication(publication.id)}
+                          className="w-4 h-4 rounded border-slate-500 text-emerald-500"
+                        />
+                        {publication.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-slate-400 mb-1">Publish date</label>
+                  <input
+                    type="datetime-local"
+                    value={publishAt}
+                    onChange={(e) => setPublishAt(e.target.value)}
+                    disabled={publicationIds.length === 0}
+                    className="px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg disabled:opacity-50"
+                  />
+                  <p className="text-xs text-slate-500 mt-1">Empty publishes right away</p>
+                </div>
+              </div>
+              <div className="max-h-96 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-900 text-slate-400 sticky top-0">
+                    <tr>
+                      <th className="text-left px-4 py-2 font-medium">Product</th>
+                      <th className="text-right px-4 py-2 font-medium">CJ cost</th>
+                      <th className="text-right px-4 py-2 font-medium">Shipping</th>
+                      <th className="text-right px-4 py-2 font-medium">Price</th>
+                      <th className="text-right px-4 py-2 font-medium">Compare-at</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-700">
+                    {pricePreview.products.map((product, i) => (
+                      <tr key={product.pid || i}>
+                        <td className="px-4 py-2">
+                          <span className="line-clamp-1" title={product.title}>{product.title}</span>
+                          {product.variants?.length > 1 && (
+                            <span className="text-xs text-slate-400">{product.variants.length} variants</span>
+                          )}
+                        </td>
+                        {product.error ? (
+                          <td colSpan={4} className="px-4 py-2 text-right text-red-400">{product.error}</td>
+                        ) : (
+                          <>
+                            <td className="px-4 py-2 text-right">{formatPrice(product.cjPrice)}</td>
+                            <td className="px-4 py-2 text-right text-slate-400">{formatPrice(product.shipping?.price)}</td>
+                            <td className="px-4 py-2 text-right text-emerald-400 font-semibold">{priceRange(product)}</td>
+                            <td className="px-4 py-2 text-right text-slate-400">{formatPrice(product.compareAtPrice)}</td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-5 gap-4">
+            {products.map(product => {
+              const isSelected = selected.has(product.pid);
+              return (
+                <div
+                  key={product.pid}
+                  onClick={() => toggleProduct(product.pid)}
+                  className={`bg-slate-800 rounded-xl overflow-hidden border cursor-pointer transition ${
+                    isSelected ? 'border-emerald-500 ring-1 ring-emerald-500' : 'border-slate-700 hover:border-slate-500'
+                  }`}
+                >
+                  <div className="relative aspect-square bg-slate-900">
+                    {product.image && (
+                      <img src={product.image} alt={product.title} loading="lazy" className="w-full h-full object-cover" />
+                    )}
+                    <input
+                      type="checkbox"
+                      checked={isSelected}
+                      readOnly
+                      className="absolute top-2 left-2 w-5 h-5 rounded border-slate-500 text-emerald-500"
+                    />
+                  </div>
+                  <div className="p-3 space-y-2">
+                    <p className="text-sm line-clamp-2" title={product.title}>{product.title}</p>
+                    <div className="flex items-center justify-between">
+                      <span className="text-emerald-400 font-semibold">{product.price}</span>
+                      {product.url && (
+                        <a
+                          href={product.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          onClick={(e) => e.stopPropagation()}
+                          className="text-slate-400 hover:text-white"
+                        >
+                          <ExternalLink size={14} />
+                        </a>
+                      )}
+                    </div>
+                    <div className="flex justify-between text-xs text-slate-400">
+                      <span>Stock {product.warehouseInventoryNum}</span>
+                      <span>{product.listedNum} listings</span>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {scrape && !running && scrape.status !== 'error' && products.length === 0 && (
+        <div className="text-center text-slate-400 py-12">No products passed the filters.</div>
+      )}
+    </div>
+  );
+}
+
+export default SearchPage;